@@ -3,12 +3,16 @@ import { formatEther, parseAbiItem } from 'viem';
 import { contracts, TOKENS, ERC20_ABI } from '../shared/config.js';
 import { createLogger, formatPrice, formatNumber, formatUptime, getHealthBar } from '../shared/logger.js';
 import { createClients, getPublicClient, registerAgent, postSignal } from '../shared/wallet.js';
-import { fetchPrice, getBondingProgress } from '../shared/priceService.js';
+import { mon } from '../shared/units.js';
+import { fetchPrice, fetchPairs, getBondingProgress } from '../shared/priceService.js';
+import { exitOnSignals } from '../shared/candleStore.js';
+import { getDepthCurve, impactAt } from '../shared/bondingCurve.js';
 import { sendSignal } from '../shared/websocketClient.js';
 import AI from '../shared/aiModule.js';
 
 const AGENT_NAME = 'Liquidity Sentinel v1.0';
 const log = createLogger('Liquid');
+AI.setAgentName(AGENT_NAME);
 
 const CONFIG = {
     CHECK_INTERVAL: 600000,     // 10 min
@@ -16,6 +20,9 @@ const CONFIG = {
     LP_CHANGE_ALERT: 10,        // Alert when LP changes > 10%
     MIN_LIQUIDITY_USD: 5000,    // Minimum healthy liquidity
     RUG_RISK_THRESHOLD: 70,     // Rug risk score threshold
+    FRAGMENTED_TOP_SHARE: 0.6,  // Alert when the deepest pool holds < 60% of liquidity
+    PAIR_DEVIATION_ALERT: 3,    // Alert when a pool trades > 3% off the weighted price
+    MIN_PAIR_LIQUIDITY_USD: 500, // Ignore dust pools for deviation alerts
 };
 
 let isRegistered = false;
@@ -35,6 +42,8 @@ const metrics = {
     rugRiskScore: 0,
     priceImpact2Pct: 0,
     lpHealth: 'UNKNOWN',
+    pairCount: 0,
+    topPairShare: 0,
 };
 
 // ═══════════════════════════════════════════════════════════════════
@@ -45,11 +54,11 @@ async function analyzeLiquidity() {
     const priceData = await fetchPrice();
     if (!priceData) return null;
 
-    const bonding = await getBondingProgress();
+    const [bonding, pairView, curve] = await Promise.all([getBondingProgress(), fetchPairs(), getDepthCurve()]);
 
-    // Get LP info from DexScreener data
-    const liquidity = priceData.liquidity || 0;
-    const volume24h = priceData.volume || 0;
+    // Get LP info from DexScreener data (summed across every pool when the pair view is available)
+    const liquidity = pairView?.totalLiquidity || priceData.liquidity || 0;
+    const volume24h = pairView?.totalVolume24h || priceData.volume || 0;
 
     // Calculate liquidity change from previous check
     let liquidityChange = 0;
@@ -63,8 +72,21 @@ async function analyzeLiquidity() {
     // Rug risk scoring
     const rugRisk = calculateRugRisk(liquidity, volume24h, bonding, priceData);
 
-    // Price impact estimation (how much 2% of liquidity would move the price)
-    const priceImpact2Pct = liquidity > 0 ? (volume24h * 0.02 / liquidity) * 100 : 0;
+    // Price impact of a trade worth 2% of liquidity, read off the Lens depth curve
+    // (worse of the quoted sides). Falls back to the old volume heuristic without a curve or MON/USD rate.
+    const tradeMon = priceData.monUsd > 0 ? (liquidity * 0.02) / priceData.monUsd : 0;
+    const impactBuy = curve && tradeMon > 0 ? impactAt(curve, 'buy', tradeMon) : null;
+    const impactSell = curve && tradeMon > 0 ? impactAt(curve, 'sell', tradeMon) : null;
+    const quotedImpacts = [impactBuy, impactSell].filter(v => v !== null);
+    let priceImpact2Pct;
+    let impactMethod;
+    if (quotedImpacts.length > 0) {
+        priceImpact2Pct = Math.max(...quotedImpacts);
+        impactMethod = 'lens-curve';
+    } else {
+        priceImpact2Pct = liquidity > 0 ? (volume24h * 0.02 / liquidity) * 100 : 0;
+        impactMethod = 'volume-estimate';
+    }
 
     const state = {
         price: priceData.price,
@@ -76,6 +98,16 @@ async function analyzeLiquidity() {
         lpHealth,
         rugRisk,
         priceImpact2Pct,
+        impactBuy,
+        impactSell,
+        impactMethod,
+        tradeMon,
+        depth: curve?.depth || null,
+        spreadPct: curve?.spot.spreadPct ?? null,
+        pairs: pairView?.pairs || [],
+        fragmentation: pairView?.fragmentation || null,
+        weightedPrice: pairView?.price || null,
+        priceQuarantined: !!priceData.quarantined,
         buys24h: priceData.buys24h || 0,
         sells24h: priceData.sells24h || 0,
         timestamp: Date.now(),
@@ -172,12 +204,34 @@ function generateAlerts(state) {
         });
     }
 
+    // Fragmented liquidity across pools
+    const frag = state.fragmentation;
+    if (frag && frag.pairCount > 1 && frag.topPairShare < CONFIG.FRAGMENTED_TOP_SHARE) {
+        alerts.push({
+            level: 'WARNING',
+            type: 'FRAGMENTED',
+            message: `Liquidity split across ${frag.pairCount} pools (${frag.dexCount} DEXs) - top pool holds ${(frag.topPairShare * 100).toFixed(0)}%`,
+        });
+    }
+
+    // Pools trading away from the liquidity-weighted price
+    const divergent = state.pairs.filter(p =>
+        p.liquidity >= CONFIG.MIN_PAIR_LIQUIDITY_USD && Math.abs(p.deviation) > CONFIG.PAIR_DEVIATION_ALERT
+    );
+    for (const pair of divergent) {
+        alerts.push({
+            level: 'INFO',
+            type: 'PAIR_DIVERGENCE',
+            message: `${pair.dexId} ${pair.quoteToken.symbol} pool ${pair.deviation > 0 ? '+' : ''}${pair.deviation.toFixed(2)}% vs weighted price`,
+        });
+    }
+
     // High price impact
     if (state.priceImpact2Pct > 5) {
         alerts.push({
             level: 'WARNING',
             type: 'SLIPPAGE',
-            message: `High slippage risk: 2% trade = ${state.priceImpact2Pct.toFixed(1)}% price impact`,
+            message: `High slippage risk: trade of 2% of liquidity = ${state.priceImpact2Pct.toFixed(1)}% price impact`,
         });
     }
 
@@ -205,6 +259,8 @@ async function runAnalysis() {
     metrics.rugRiskScore = state.rugRisk;
     metrics.priceImpact2Pct = state.priceImpact2Pct;
     metrics.lpHealth = state.lpHealth;
+    metrics.pairCount = state.fragmentation?.pairCount || 0;
+    metrics.topPairShare = state.fragmentation?.topPairShare || 0;
 
     // Generate alerts
     const newAlerts = generateAlerts(state);
@@ -240,6 +296,15 @@ async function runAnalysis() {
     console.log(`  LP Health:     ${state.lpHealth}`);
     log.separator();
 
+    if (state.pairs.length > 0) {
+        console.log('  POOLS:');
+        for (const pair of state.pairs.slice(0, 5)) {
+            console.log(`    ${`${pair.dexId}/${pair.quoteToken.symbol}`.padEnd(18)} $${formatNumber(pair.liquidity).padEnd(8)} ${(pair.liquidityShare * 100).toFixed(0).padStart(3)}% | ${pair.deviation >= 0 ? '+' : ''}${pair.deviation.toFixed(2)}%`);
+        }
+        if (state.fragmentation.pairCount > 5) console.log(`    ... ${state.fragmentation.pairCount - 5} more`);
+        log.separator();
+    }
+
     console.log('  BONDING CURVE:');
     console.log(`    Progress:    ${getHealthBar(state.bondingProgress)} ${state.bondingProgress.toFixed(1)}%`);
     console.log(`    Graduated:   ${state.isGraduated ? 'YES' : 'NO'}`);
@@ -247,7 +312,11 @@ async function runAnalysis() {
 
     console.log('  RISK ASSESSMENT:');
     console.log(`    Rug Risk:    ${getHealthBar(100 - state.rugRisk)} ${state.rugRisk}/100`);
-    console.log(`    Slippage:    ${state.priceImpact2Pct.toFixed(2)}% (2% trade)`);
+    console.log(`    Slippage:    ${state.priceImpact2Pct.toFixed(2)}% (2% of LP${state.tradeMon > 0 ? ` = ${formatNumber(state.tradeMon)} MON` : ''}, ${state.impactMethod})`);
+    if (state.depth) {
+        const depthText = (v) => (v !== null ? `${formatNumber(v)} MON` : 'beyond curve');
+        console.log(`    Depth 2%:    buy ${depthText(state.depth.buy2Pct)} / sell ${depthText(state.depth.sell2Pct)}`);
+    }
     console.log(`    Buy/Sell:    ${state.buys24h}/${state.sells24h}`);
 
     if (aiAnalysis) {
@@ -285,8 +354,8 @@ async function runAnalysis() {
             aiAnalysis ? `AI:${aiAnalysis.riskLevel || 'N/A'}` : null,
         ].filter(Boolean).join(' | ');
 
-        if (confidence >= 55) {
-            await postSignal(signalType, confidence, state.price, reason, log);
+        if (confidence >= 55 && !state.priceQuarantined) {
+            await postSignal(signalType, confidence, mon(state.price), reason, log);
         }
     }
 
@@ -305,6 +374,19 @@ async function runAnalysis() {
             rugRisk: state.rugRisk,
             lpHealth: state.lpHealth,
             priceImpact2Pct: state.priceImpact2Pct,
+            impactBuy: state.impactBuy,
+            impactSell: state.impactSell,
+            impactMethod: state.impactMethod,
+            depth: state.depth,
+            spreadPct: state.spreadPct,
+            fragmentation: state.fragmentation,
+            pairs: state.pairs.map(p => ({
+                dexId: p.dexId,
+                quoteToken: p.quoteToken.symbol,
+                liquidity: p.liquidity,
+                liquidityShare: p.liquidityShare,
+                deviation: p.deviation,
+            })),
             volume24h: state.volume24h,
             buys24h: state.buys24h,
             sells24h: state.sells24h,
@@ -344,4 +426,7 @@ async function main() {
 }
 
 export { runAnalysis, performance, metrics };
+
+exitOnSignals();
+
 main().catch(console.error);
@@ -2,7 +2,8 @@
 import { contracts } from '../shared/config.js';
 import { createLogger, formatPrice, formatNumber, formatUptime, getHealthBar } from '../shared/logger.js';
 import { createClients, registerAgent, postSignal } from '../shared/wallet.js';
-import { fetchPrice, buildHistory } from '../shared/priceService.js';
+import { mon } from '../shared/units.js';
+import { fetchPrice, buildHistory, quarantineReason, tradedVolumeSince } from '../shared/priceService.js';
 import {
     calculateRSI, calculateSMA, calculateBollingerBands,
     calculateMomentum, calculateVolatility, calculateATR,
@@ -10,23 +11,27 @@ import {
     calculateSupportResistance, calculateVWAP, calculateIchimokuCloud,
     calculateFibonacciLevels, generateFullAnalysis,
 } from '../shared/technical-analysis.js';
+import { getCandles, exitOnSignals } from '../shared/candleStore.js';
+import { detectPatterns, describePattern } from '../shared/patterns.js';
+import { getStrategyProfile } from '../shared/strategyProfiles.js';
+import { analyzeCorrelation, describeCorrelation } from '../shared/correlation.js';
 import { sendSignal } from '../shared/websocketClient.js';
 import AI from '../shared/aiModule.js';
 
 const AGENT_NAME = 'Market Analyzer v3.0';
 const log = createLogger('Market');
+AI.setAgentName(AGENT_NAME);
 
 const CONFIG = {
     ANALYSIS_INTERVAL: 900000,
     HISTORY_SIZE: 500,
-    WHALE_THRESHOLD: 0.03,
-    VOLATILITY_ALERT_THRESHOLD: 8,
-    HEALTH_CRITICAL: 25,
-    HEALTH_WARNING: 50,
+    PATTERN_INTERVAL: '15m',        // Candle interval the pattern recognizer reads
+    STRATEGY_AGENT: 'market-analyzer', // Key under "agents" in the strategy profile file
 };
 
 let priceHistory = [];
 let volumeHistory = [];
+let lastSampleAt = null; // Timestamp of the newest history point
 let isRegistered = false;
 
 const alerts = {
@@ -46,7 +51,7 @@ const performance = {
 // ALERT GENERATION ENGINE
 // ═══════════════════════════════════════════════════════════════════
 
-function detectWhaleMove(prices) {
+function detectWhaleMove(prices, threshold) {
     if (prices.length < 3) return { detected: false };
 
     const current = prices[prices.length - 1];
@@ -54,41 +59,45 @@ function detectWhaleMove(prices) {
     const change = Math.abs((current - previous) / previous);
 
     return {
-        detected: change > CONFIG.WHALE_THRESHOLD,
+        detected: change > threshold,
         priceChange: (change * 100).toFixed(2),
         direction: current > previous ? 'BUY' : 'SELL',
-        confidence: Math.min((change / CONFIG.WHALE_THRESHOLD) * 100, 100),
+        confidence: Math.min((change / threshold) * 100, 100),
     };
 }
 
-function calculateHealthScore(volatility, trend, fearGreed, whaleDetected) {
+/**
+ * @param {Object} profile - getStrategyProfile() result: health points (weights), thresholds
+ */
+function calculateHealthScore(volatility, trend, fearGreed, whaleDetected, profile) {
+    const { weights: w, thresholds: th } = profile;
     let score = 50;
 
-    if (trend.direction === 'BULLISH') score += 15 + trend.strength * 0.1;
-    else if (trend.direction === 'BEARISH') score -= 15 + trend.strength * 0.1;
+    if (trend.direction === 'BULLISH') score += w.trend + trend.strength * w.trendStrength;
+    else if (trend.direction === 'BEARISH') score -= w.trend + trend.strength * w.trendStrength;
 
-    if (volatility > CONFIG.VOLATILITY_ALERT_THRESHOLD) score -= 25;
-    else if (volatility > 5) score -= 10;
-    else if (volatility < 2) score += 10;
+    if (volatility > th.highVolatility) score -= w.highVolatility;
+    else if (volatility > th.elevatedVolatility) score -= w.elevatedVolatility;
+    else if (volatility < th.calmVolatility) score += w.calmVolatility;
 
-    if (fearGreed > 70) score += 5;
-    else if (fearGreed < 30) score -= 10;
+    if (fearGreed > th.greed) score += w.greed;
+    else if (fearGreed < th.fear) score -= w.fear;
 
-    if (whaleDetected) score -= 10;
+    if (whaleDetected) score -= w.whale;
 
     return Math.max(0, Math.min(100, score));
 }
 
-function generateAlerts(health, volatility, whale, trend, sr, currentPrice, regime) {
+function generateAlerts(health, volatility, whale, trend, sr, currentPrice, regime, thresholds, patterns = []) {
     const newAlerts = [];
 
-    if (health < CONFIG.HEALTH_CRITICAL) {
+    if (health < thresholds.healthCritical) {
         newAlerts.push({ level: 'CRITICAL', type: 'HEALTH', message: `Market health critical: ${health.toFixed(0)}%` });
-    } else if (health < CONFIG.HEALTH_WARNING) {
+    } else if (health < thresholds.healthWarning) {
         newAlerts.push({ level: 'WARNING', type: 'HEALTH', message: `Market health declining: ${health.toFixed(0)}%` });
     }
 
-    if (volatility > CONFIG.VOLATILITY_ALERT_THRESHOLD) {
+    if (volatility > thresholds.highVolatility) {
         newAlerts.push({ level: 'WARNING', type: 'VOLATILITY', message: `High volatility: ${volatility.toFixed(2)}%` });
         alerts.volatilitySpikes++;
     }
@@ -109,6 +118,17 @@ function generateAlerts(health, volatility, whale, trend, sr, currentPrice, regi
         newAlerts.push({ level: 'WARNING', type: 'REGIME', message: 'Volatile choppy market detected - high risk' });
     }
 
+    for (const p of patterns) {
+        if (p.confidence < thresholds.patternConfidence) continue;
+        const level = p.breakoutLevel ? `${p.confirmed ? 'broke' : 'breakout at'} ${p.breakoutLevel.toFixed(8)} MON` : 'no breakout level';
+        newAlerts.push({
+            level: p.confirmed ? 'WARNING' : 'INFO',
+            type: 'PATTERN',
+            message: `${describePattern(p)} ${p.direction.toLowerCase()} - ${level}`,
+            pattern: p.name,
+        });
+    }
+
     return newAlerts;
 }
 
@@ -122,19 +142,27 @@ async function runAnalysis() {
 
     const priceData = await fetchPrice();
     if (!priceData) { log.error('No price data'); return null; }
+    if (priceData.quarantined) {
+        log.warning(`Price tick quarantined (${quarantineReason(priceData)}) - skipping update and signal`);
+        return null;
+    }
 
     priceHistory.push(priceData.price);
-    volumeHistory.push(priceData.volume || 0);
+    // Traded MON since the previous point (priceData.volume is a 24h USD snapshot)
+    volumeHistory.push(tradedVolumeSince(contracts.DUCK_TOKEN, lastSampleAt));
+    lastSampleAt = priceData.timestamp;
     if (priceHistory.length > CONFIG.HISTORY_SIZE) {
         priceHistory = priceHistory.slice(-CONFIG.HISTORY_SIZE);
         volumeHistory = volumeHistory.slice(-CONFIG.HISTORY_SIZE);
     }
+    AI.scoreVerdicts(priceData); // Score earlier AI analyses that have reached their horizon
 
     const currentPrice = priceData.price;
+    const profile = getStrategyProfile(contracts.DUCK_TOKEN, CONFIG.STRATEGY_AGENT);
 
     // Full technical analysis from shared library
     const fullAnalysis = priceHistory.length >= 30
-        ? generateFullAnalysis(priceHistory, volumeHistory)
+        ? generateFullAnalysis(priceHistory, volumeHistory, profile.indicators)
         : null;
 
     const volatility = calculateVolatility(priceHistory);
@@ -142,8 +170,8 @@ async function runAnalysis() {
     const fearGreed = calculateFearGreedIndex(priceHistory, volumeHistory);
     const regime = detectMarketRegime(priceHistory, volumeHistory);
     const sr = calculateSupportResistance(priceHistory, volumeHistory);
-    const whale = detectWhaleMove(priceHistory);
-    const health = calculateHealthScore(volatility, trend, fearGreed, whale.detected);
+    const whale = detectWhaleMove(priceHistory, profile.thresholds.whaleMove);
+    const health = calculateHealthScore(volatility, trend, fearGreed, whale.detected, profile);
     const momentum = calculateMomentum(priceHistory);
     const rsi = calculateRSI(priceHistory);
     const atr = calculateATR(priceHistory);
@@ -153,8 +181,15 @@ async function runAnalysis() {
     const bb = priceHistory.length >= 20 ? calculateBollingerBands(priceHistory) : null;
     const ichimoku = priceHistory.length >= 52 ? calculateIchimokuCloud(priceHistory) : null;
 
+    // Candle patterns (stored OHLC bars when available, else the tick history)
+    const candles = getCandles(contracts.DUCK_TOKEN, CONFIG.PATTERN_INTERVAL, 200);
+    const patterns = detectPatterns(candles.length >= 20 ? candles : priceHistory);
+
+    // Co-movement with MON and the watchlist (reads the bars ws-server's watchlist refresh stores)
+    const correlation = analyzeCorrelation(contracts.DUCK_TOKEN, { reload: true });
+
     // Generate alerts
-    const newAlerts = generateAlerts(health, volatility, whale, trend, sr, currentPrice, regime);
+    const newAlerts = generateAlerts(health, volatility, whale, trend, sr, currentPrice, regime, profile.thresholds, patterns.patterns);
     for (const alert of newAlerts) {
         alerts.active.push(alert);
         alerts.history.push(alert);
@@ -199,7 +234,7 @@ async function runAnalysis() {
     log.separator();
 
     console.log('  MARKET METRICS:');
-    console.log(`    Trend:       ${trend.direction} (${trend.strength.toFixed(1)}%)`);
+    console.log(`    Trend:       ${trend.direction} (${trend.method === 'adx' ? 'ADX' : 'SMA strength'} ${trend.strength.toFixed(1)})`);
     console.log(`    Volatility:  ${volatility.toFixed(2)}%`);
     console.log(`    Momentum:    ${momentum > 0 ? '+' : ''}${momentum.toFixed(2)}%`);
     console.log(`    RSI:         ${rsi.toFixed(1)}`);
@@ -218,6 +253,25 @@ async function runAnalysis() {
         console.log(`    Fib 61.8%:   ${fib.level_61_8.toFixed(8)} MON`);
     }
 
+    if (patterns.patterns.length > 0) {
+        log.separator();
+        console.log(`  PATTERNS (${patterns.bias}):`);
+        for (const p of patterns.patterns.slice(0, 5)) {
+            console.log(`    ${describePattern(p).padEnd(34)} ${p.direction.padEnd(8)} ${p.confirmed ? 'confirmed' : 'forming'}`);
+        }
+    }
+
+    log.separator();
+    console.log('  MARKET CORRELATION:');
+    console.log(`    Relation:    ${describeCorrelation(correlation)}`);
+    if (correlation.mon) {
+        console.log(`    Beta vs MON: ${correlation.mon.beta.toFixed(2)} (r=${correlation.mon.correlation.toFixed(2)}, ${correlation.mon.samples} bars)`);
+    }
+    if (correlation.market) {
+        const change = correlation.market.change !== null ? `, ${correlation.market.change >= 0 ? '+' : ''}${correlation.market.change.toFixed(2)} vs prior window` : '';
+        console.log(`    Watchlist:   r=${correlation.market.correlation.toFixed(2)} across ${correlation.market.tokens} token(s)${change}`);
+    }
+
     if (aiAnalysis) {
         log.separator();
         console.log('  AI ANALYSIS:');
@@ -251,7 +305,7 @@ async function runAnalysis() {
         const signalType = trend.direction === 'BULLISH' ? 'BUY' : trend.direction === 'BEARISH' ? 'SELL' : 'HOLD';
         const confidence = Math.round(Math.min(50 + trend.strength * 0.5, 95));
 
-        if (confidence >= 55) {
+        if (confidence >= profile.minConfidence) {
             const reason = [
                 `Health:${health.toFixed(0)}%`,
                 `RSI:${rsi.toFixed(0)}`,
@@ -260,11 +314,11 @@ async function runAnalysis() {
                 aiAnalysis ? `AI:${aiAnalysis.signal}` : null,
             ].filter(Boolean).join(' | ');
 
-            await postSignal(signalType, confidence, currentPrice, reason, log);
+            await postSignal(signalType, confidence, mon(currentPrice), reason, log);
         }
     }
 
-    return { health, volatility, trend, whale, regime, fearGreed, alerts: newAlerts, aiAnalysis };
+    return { health, volatility, trend, whale, regime, fearGreed, patterns, correlation, alerts: newAlerts, aiAnalysis };
 }
 
 // Send market intelligence to ws-server after each analysis
@@ -281,6 +335,8 @@ async function broadcastMarketIntel(data) {
             regime: data.regime,
             fearGreed: data.fearGreed,
             whale: data.whale,
+            patterns: data.patterns,
+            correlation: data.correlation,
             alerts: data.alerts,
             aiAnalysis: data.aiAnalysis || null,
         });
@@ -308,9 +364,10 @@ async function main() {
     isRegistered = await registerAgent(AGENT_NAME, log);
 
     log.info('Building price history...');
-    const history = await buildHistory(60, 3000, log);
+    const history = await buildHistory(contracts.DUCK_TOKEN, 60, 3000, log);
     priceHistory = history.map(d => d.price);
     volumeHistory = history.map(d => d.volume || 0);
+    lastSampleAt = history[history.length - 1]?.timestamp ?? null;
 
     await runAnalysis();
 
@@ -326,4 +383,7 @@ async function main() {
 }
 
 export { runAnalysis, performance, alerts };
+
+exitOnSignals();
+
 main().catch(console.error);
@@ -3,12 +3,15 @@ import { formatEther, parseAbiItem } from 'viem';
 import { contracts, TOKENS, ERC20_ABI } from '../shared/config.js';
 import { createLogger, formatNumber, formatAddress, formatUptime, getHealthBar } from '../shared/logger.js';
 import { createClients, getPublicClient, registerAgent, postSignal } from '../shared/wallet.js';
+import { mon } from '../shared/units.js';
 import { fetchPrice } from '../shared/priceService.js';
+import { exitOnSignals } from '../shared/candleStore.js';
 import { sendSignal } from '../shared/websocketClient.js';
 import AI from '../shared/aiModule.js';
 
 const AGENT_NAME = 'On-Chain Analytics v1.0';
 const log = createLogger('OnChn');
+AI.setAgentName(AGENT_NAME);
 
 const CONFIG = {
     SCAN_INTERVAL: 600000,      // 10 min
@@ -313,8 +316,8 @@ async function runAnalysis() {
             aiInsight ? `AI:${aiInsight.outlook || 'N/A'}` : null,
         ].filter(Boolean).join(' | ');
 
-        if (confidence >= 55) {
-            await postSignal(signalType, confidence, priceData?.price || 0, reason, log);
+        if (confidence >= 55 && priceData && !priceData.quarantined) {
+            await postSignal(signalType, confidence, mon(priceData.price), reason, log);
             performance.signals++;
         }
     }
@@ -375,4 +378,7 @@ async function main() {
 }
 
 export { runAnalysis, performance, analytics, holderData };
+
+exitOnSignals();
+
 main().catch(console.error);
@@ -2,19 +2,25 @@
 import { contracts } from '../shared/config.js';
 import { createLogger, formatUptime } from '../shared/logger.js';
 import { createClients, registerAgent, postPrediction } from '../shared/wallet.js';
-import { fetchPrice, buildHistory } from '../shared/priceService.js';
+import { mon } from '../shared/units.js';
+import { fetchPrice, buildHistory, quarantineReason } from '../shared/priceService.js';
+import { exitOnSignals } from '../shared/candleStore.js';
+import { now, every } from '../shared/clock.js';
 import { calculateRSI, calculateSMA, calculateMomentum, calculateVolatility, calculateTrendStrength, calculateSupportResistance } from '../shared/technical-analysis.js';
+import { getStrategyProfile } from '../shared/strategyProfiles.js';
 import { sendSignal } from '../shared/websocketClient.js';
 import AI from '../shared/aiModule.js';
 
 const AGENT_NAME = 'Prediction Bot v3.0';
 const log = createLogger('Predict');
+AI.setAgentName(AGENT_NAME);
 
 const CONFIG = {
     PREDICTION_INTERVAL: 900000,
     PREDICTION_HORIZONS: [5, 15, 60, 240],
     HISTORY_SIZE: 300,
-    MIN_CONFIDENCE: 55,
+    MIN_CONFIDENCE: 55,              // Used when the strategy profile sets no minConfidence
+    STRATEGY_AGENT: 'prediction-bot', // Key under "agents" in the strategy profile file
 };
 
 let priceHistory = [];
@@ -32,15 +38,6 @@ const performance = {
 // ═══════════════════════════════════════════════════════════════════
 
 class EnsemblePredictor {
-    constructor() {
-        this.componentWeights = {
-            linearRegression: 0.25,
-            weightedMA: 0.25,
-            meanReversion: 0.25,
-            momentum: 0.25,
-        };
-    }
-
     linearRegressionPredict(prices, horizon) {
         const n = Math.min(prices.length, 30);
         const recent = prices.slice(-n);
@@ -119,7 +116,7 @@ class EnsemblePredictor {
         return { direction, magnitude: Math.abs(mom10) / 100, confidence: Math.min(Math.abs(mom10) / 10, 0.8) * horizonFactor };
     }
 
-    predict(prices, horizon) {
+    predict(prices, horizon, weights) {
         const components = {
             linearRegression: this.linearRegressionPredict(prices, horizon),
             weightedMA: this.weightedMAPredict(prices),
@@ -129,7 +126,7 @@ class EnsemblePredictor {
 
         let totalDirection = 0, totalMagnitude = 0, totalConfidence = 0, totalWeight = 0;
         for (const [name, result] of Object.entries(components)) {
-            const weight = this.componentWeights[name];
+            const weight = weights[name] ?? 0;
             totalDirection += result.direction * weight * result.confidence;
             totalMagnitude += result.magnitude * weight;
             totalConfidence += result.confidence * weight;
@@ -137,39 +134,44 @@ class EnsemblePredictor {
         }
 
         return {
-            direction: totalDirection / totalWeight,
-            magnitude: totalMagnitude / totalWeight,
-            confidence: totalConfidence / totalWeight,
+            direction: totalWeight > 0 ? totalDirection / totalWeight : 0,
+            magnitude: totalWeight > 0 ? totalMagnitude / totalWeight : 0,
+            confidence: totalWeight > 0 ? totalConfidence / totalWeight : 0,
             components,
         };
     }
 
-    generatePredictions(prices) {
+    /**
+     * @param {number[]} prices
+     * @param {Object} profile - getStrategyProfile() result: component weights, thresholds
+     */
+    generatePredictions(prices, profile) {
         if (prices.length < 30) {
-            return [{ direction: 'SIDEWAYS', confidence: 30, horizon: 5, reason: 'Insufficient data', currentPrice: prices[prices.length - 1] || 0, targetTime: Date.now() + 300000 }];
+            return [{ direction: 'SIDEWAYS', confidence: 30, horizon: 5, reason: 'Insufficient data', currentPrice: prices[prices.length - 1] || 0, targetTime: now() + 300000 }];
         }
 
         const current = prices[prices.length - 1];
         const volatility = calculateVolatility(prices);
         const sr = calculateSupportResistance(prices);
+        const { weights, thresholds: th } = profile;
         const results = [];
 
         for (const horizon of CONFIG.PREDICTION_HORIZONS) {
-            const ensemble = this.predict(prices, horizon);
+            const ensemble = this.predict(prices, horizon, weights);
 
             let direction, confidence;
-            if (ensemble.direction > 0.15) {
+            if (ensemble.direction > th.direction) {
                 direction = 'UP';
-                confidence = Math.min(55 + ensemble.confidence * 50, 92);
-            } else if (ensemble.direction < -0.15) {
+                confidence = Math.min(th.baseConfidence + ensemble.confidence * th.confidenceScale, th.maxConfidence);
+            } else if (ensemble.direction < -th.direction) {
                 direction = 'DOWN';
-                confidence = Math.min(55 + ensemble.confidence * 50, 92);
+                confidence = Math.min(th.baseConfidence + ensemble.confidence * th.confidenceScale, th.maxConfidence);
             } else {
                 direction = 'SIDEWAYS';
                 confidence = 45 + ensemble.confidence * 20;
             }
 
-            if (volatility > 10) confidence *= 0.85;
+            if (volatility > th.highVolatility) confidence *= th.volatilityDamping;
 
             const expectedMove = ensemble.direction * ensemble.magnitude * (horizon / 15);
             const expectedPrice = current * (1 + expectedMove);
@@ -190,7 +192,7 @@ class EnsemblePredictor {
                 currentPrice: current,
                 expectedPrice,
                 expectedMove: (expectedMove * 100).toFixed(3),
-                targetTime: Date.now() + horizon * 60 * 1000,
+                targetTime: now() + horizon * 60 * 1000,
                 confidenceInterval: { low: expectedPrice - intervalWidth, high: expectedPrice + intervalWidth },
                 support: sr.support,
                 resistance: sr.resistance,
@@ -209,12 +211,11 @@ const predictor = new EnsemblePredictor();
 // ═══════════════════════════════════════════════════════════════════
 
 async function verifyPendingPredictions() {
-    const now = Date.now();
-    const toVerify = performance.pendingPredictions.filter(p => p.targetTime <= now);
+    const toVerify = performance.pendingPredictions.filter(p => p.targetTime <= now());
 
     for (const pred of toVerify) {
         const currentData = await fetchPrice();
-        if (!currentData) continue;
+        if (!currentData || currentData.quarantined) continue; // Verify against a clean tick later
 
         const change = (currentData.price - pred.currentPrice) / pred.currentPrice;
         let actualDirection;
@@ -232,7 +233,7 @@ async function verifyPendingPredictions() {
 
     performance.pendingPredictions = performance.pendingPredictions.filter(p => !p.verified);
     // TTL cleanup: remove predictions older than 6 hours that were never verified
-    const sixHoursAgo = Date.now() - 6 * 60 * 60 * 1000;
+    const sixHoursAgo = now() - 6 * 60 * 60 * 1000;
     performance.pendingPredictions = performance.pendingPredictions.filter(p => p.targetTime > sixHoursAgo);
     const total = performance.correct + performance.incorrect;
     if (total > 0) performance.accuracy = (performance.correct / total) * 100;
@@ -250,11 +251,17 @@ async function runPrediction() {
 
     const priceData = await fetchPrice();
     if (!priceData) { log.error('No price data'); return; }
+    if (priceData.quarantined) {
+        log.warning(`Price tick quarantined (${quarantineReason(priceData)}) - skipping predictions`);
+        return;
+    }
 
     priceHistory.push(priceData.price);
     if (priceHistory.length > CONFIG.HISTORY_SIZE) priceHistory = priceHistory.slice(-CONFIG.HISTORY_SIZE);
+    AI.scoreVerdicts(priceData); // Score earlier AI predictions that have reached their horizon
 
-    const predictions = predictor.generatePredictions(priceHistory);
+    const profile = getStrategyProfile(contracts.DUCK_TOKEN, CONFIG.STRATEGY_AGENT);
+    const predictions = predictor.generatePredictions(priceHistory, profile);
     performance.totalPredictions += predictions.length;
     performance.pendingPredictions.push(...predictions);
 
@@ -273,7 +280,16 @@ async function runPrediction() {
             });
             if (aiPred) {
                 log.ai(`AI Prediction: ${aiPred.direction} (${aiPred.confidence}%)`);
-                predictions[0].aiEnhanced = true;
+                // Blend by measured AI reliability instead of trusting the AI call outright
+                const { weight } = AI.getReliability('price-prediction');
+                if (weight > 0) {
+                    const aiConfidence = AI.calibrateConfidence('price-prediction', aiPred.confidence);
+                    const support = aiPred.direction === best.direction ? aiConfidence : 100 - aiConfidence;
+                    best.confidence = Math.round(best.confidence * (1 - weight) + support * weight);
+                    best.aiEnhanced = true;
+                    best.aiWeight = weight;
+                    best.reason += ` | AI: ${aiPred.direction} (${aiPred.confidence}%, weight ${(weight * 100).toFixed(0)}%)`;
+                }
             }
         } catch (err) {
             log.warning(`AI prediction unavailable: ${err.message}`);
@@ -297,9 +313,9 @@ async function runPrediction() {
     console.log(`  Accuracy: ${total > 0 ? performance.accuracy.toFixed(1) + '%' : 'N/A'} (${performance.correct}/${total}) | Pending: ${performance.pendingPredictions.length}`);
     console.log(`  Uptime: ${formatUptime(Date.now() - performance.startTime)}`);
 
-    const bestPred = predictions.find(p => p.direction !== 'SIDEWAYS' && p.confidence >= CONFIG.MIN_CONFIDENCE);
+    const bestPred = predictions.find(p => p.direction !== 'SIDEWAYS' && p.confidence >= (profile.minConfidence ?? CONFIG.MIN_CONFIDENCE));
     if (bestPred && isRegistered) {
-        await postPrediction(bestPred.direction, bestPred.confidence, bestPred.currentPrice, bestPred.targetTime, log);
+        await postPrediction(bestPred.direction, bestPred.confidence, mon(bestPred.currentPrice), bestPred.targetTime, log);
     }
 
     // Send to ws-server for frontend
@@ -318,6 +334,7 @@ async function runPrediction() {
                 expectedPrice: p.expectedPrice,
                 expectedMove: p.expectedMove,
                 confidenceInterval: p.confidenceInterval,
+                aiWeight: p.aiWeight ?? null,
             })),
             accuracy: total > 0 ? performance.accuracy.toFixed(1) : null,
             verified: { correct: performance.correct, incorrect: performance.incorrect },
@@ -343,18 +360,21 @@ async function main() {
     isRegistered = await registerAgent(AGENT_NAME, log);
 
     log.info('Building price history...');
-    const history = await buildHistory(60, 3000, log);
+    const history = await buildHistory(contracts.DUCK_TOKEN, 60, 3000, log);
     priceHistory = history.map(d => d.price);
 
     await runPrediction();
 
-    setInterval(async () => {
+    every(CONFIG.PREDICTION_INTERVAL, async () => {
         try { await runPrediction(); }
         catch (err) { log.error(`Prediction loop error: ${err.message}`); }
-    }, CONFIG.PREDICTION_INTERVAL);
+    });
 
     log.success('Agent running!');
 }
 
 export { runPrediction, performance };
+
+exitOnSignals();
+
 main().catch(console.error);
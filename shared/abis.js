@@ -176,3 +176,33 @@ export const ERC20_ABI = [
         ],
     },
 ];
+
+export const ROUTER_ABI = [
+    {
+        type: 'function',
+        name: 'getAmountsOut',
+        inputs: [
+            { name: 'amountIn', type: 'uint256' },
+            { name: 'path', type: 'address[]' },
+        ],
+        outputs: [{ name: 'amounts', type: 'uint256[]' }],
+        stateMutability: 'view',
+    },
+];
+
+export const PAIR_ABI = [
+    {
+        type: 'function',
+        name: 'token0',
+        inputs: [],
+        outputs: [{ name: '', type: 'address' }],
+        stateMutability: 'view',
+    },
+    {
+        type: 'function',
+        name: 'token1',
+        inputs: [],
+        outputs: [{ name: '', type: 'address' }],
+        stateMutability: 'view',
+    },
+];
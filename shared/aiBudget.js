@@ -0,0 +1,238 @@
+// Shared AI Budget for all DUCKMON Agents
+// Requests, input/output tokens and estimated cost per agent and per AI function, bucketed by
+// UTC hour and day. Each agent process writes only its own usage file under AI_STATE_DIR, so
+// totals across agents need no locking; quotas are checked against those totals before a call.
+import fs from 'fs';
+import path from 'path';
+import { AI_BUDGET_CONFIG } from './config.js';
+import { now } from './clock.js';
+
+let _agentName = 'unknown';
+let _usage = null;      // This agent's { agent, hours, days }
+let _degraded = null;   // Quota reason while in technical-only mode
+
+const log = {
+    warn: (msg) => console.log(`\x1b[33m[AI-BUDGET]\x1b[0m ${msg}`),
+    info: (msg) => console.log(`\x1b[35m[AI-BUDGET]\x1b[0m ${msg}`),
+};
+
+const emptyCounter = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+const hourKey = (t) => new Date(t).toISOString().slice(0, 13);
+const dayKey = (t) => new Date(t).toISOString().slice(0, 10);
+
+function addTo(counter, { requests = 1, inputTokens = 0, outputTokens = 0, costUsd = 0 }) {
+    counter.requests += requests;
+    counter.inputTokens += inputTokens;
+    counter.outputTokens += outputTokens;
+    counter.costUsd += costUsd;
+    return counter;
+}
+
+function roundCounter(counter) {
+    return { ...counter, costUsd: +counter.costUsd.toFixed(6) };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// USAGE FILES (one per agent)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Per-agent state file under AI_STATE_DIR, e.g. usage-trading-oracle-v3-0.json
+ */
+export function agentStateFile(kind, agent = _agentName) {
+    const slug = agent.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return path.join(AI_BUDGET_CONFIG.STATE_DIR, `${kind}-${slug || 'unknown'}.json`);
+}
+
+function usageFile(agent) {
+    return agentStateFile('usage', agent);
+}
+
+function readUsage(file) {
+    try {
+        const usage = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { hours: {}, days: {}, ...usage };
+    } catch {
+        return null;
+    }
+}
+
+function ownUsage() {
+    if (!_usage || _usage.agent !== _agentName) {
+        _usage = readUsage(usageFile(_agentName)) || { agent: _agentName, hours: {}, days: {} };
+        _usage.agent = _agentName;
+    }
+    return _usage;
+}
+
+function saveUsage(usage) {
+    const t = now();
+    // Keep two days of hours and RETENTION_DAYS of days
+    const oldestHour = hourKey(t - 48 * 3_600_000);
+    const oldestDay = dayKey(t - AI_BUDGET_CONFIG.RETENTION_DAYS * 86_400_000);
+    for (const key of Object.keys(usage.hours)) if (key < oldestHour) delete usage.hours[key];
+    for (const key of Object.keys(usage.days)) if (key < oldestDay) delete usage.days[key];
+
+    try {
+        const file = usageFile(usage.agent);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(usage));
+        fs.renameSync(tmp, file);
+    } catch { /* usage stays in memory */ }
+}
+
+/**
+ * Every agent's usage: the files on disk, with this process's in-memory copy for its own agent
+ */
+function allUsage() {
+    const own = ownUsage();
+    let others = [];
+    try {
+        others = fs.readdirSync(AI_BUDGET_CONFIG.STATE_DIR)
+            .filter(name => name.startsWith('usage-') && name.endsWith('.json'))
+            .map(name => readUsage(path.join(AI_BUDGET_CONFIG.STATE_DIR, name)))
+            .filter(usage => usage && usage.agent !== own.agent);
+    } catch { /* no state dir yet */ }
+    return [own, ...others];
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RECORDING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Name the agent this process's AI calls are billed to (call once at startup)
+ */
+export function setAgentName(name) {
+    if (name) _agentName = name;
+}
+
+export function getAgentName() {
+    return _agentName;
+}
+
+/**
+ * Rough token count for providers that don't report usage (~4 characters per token)
+ */
+export function estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / 4) : 0;
+}
+
+/**
+ * Estimated USD cost of a request from AI_BUDGET_CONFIG.PRICING (0 for unlisted/local models)
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+    const price = AI_BUDGET_CONFIG.PRICING[model];
+    if (!price) return 0;
+    return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Record one provider request (failed attempts count as requests with no tokens)
+ * @param {Object} entry - { task, model, inputTokens, outputTokens }
+ * @returns {number} Estimated cost in USD
+ */
+export function recordUsage({ task = 'unknown', model, inputTokens = 0, outputTokens = 0 }) {
+    const usage = ownUsage();
+    const t = now();
+    const entry = { inputTokens, outputTokens, costUsd: estimateCost(model, inputTokens, outputTokens) };
+
+    addTo(usage.hours[hourKey(t)] ||= emptyCounter(), entry);
+    const day = usage.days[dayKey(t)] ||= { ...emptyCounter(), functions: {} };
+    addTo(day, entry);
+    addTo(day.functions[task] ||= emptyCounter(), entry);
+
+    saveUsage(usage);
+    return entry.costUsd;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// QUOTAS
+// ═══════════════════════════════════════════════════════════════════
+
+function limitsFor(agent) {
+    return { ...AI_BUDGET_CONFIG.PER_AGENT, ...AI_BUDGET_CONFIG.AGENTS[agent] };
+}
+
+function exceeded(counter, limits, hourly) {
+    if (hourly) {
+        return limits.HOURLY_REQUESTS > 0 && counter.requests >= limits.HOURLY_REQUESTS ? `hourly request quota (${limits.HOURLY_REQUESTS})` : null;
+    }
+    if (limits.DAILY_REQUESTS > 0 && counter.requests >= limits.DAILY_REQUESTS) return `daily request quota (${limits.DAILY_REQUESTS})`;
+    if (limits.DAILY_COST_USD > 0 && counter.costUsd >= limits.DAILY_COST_USD) return `daily cost quota ($${limits.DAILY_COST_USD})`;
+    return null;
+}
+
+/**
+ * Whether this agent may make another AI request
+ * Logs once when entering and leaving technical-only mode.
+ * @returns {string|null} Reason the quota is exhausted, or null when calls are allowed
+ */
+export function checkQuota() {
+    const t = now();
+    const hour = hourKey(t), day = dayKey(t);
+    const usages = allUsage();
+    const own = usages[0];
+    const sum = (pick) => usages.reduce((total, u) => addTo(total, { ...emptyCounter(), ...pick(u) }), emptyCounter());
+
+    const agentLimits = limitsFor(_agentName);
+    const agentHour = exceeded(own.hours[hour] || emptyCounter(), agentLimits, true);
+    const agentDay = exceeded(own.days[day] || emptyCounter(), agentLimits, false);
+    const totalHour = exceeded(sum(u => u.hours[hour]), AI_BUDGET_CONFIG.TOTAL, true);
+    const totalDay = exceeded(sum(u => u.days[day]), AI_BUDGET_CONFIG.TOTAL, false);
+
+    const reason = agentHour || agentDay
+        ? `${_agentName} ${agentHour || agentDay} reached`
+        : totalHour || totalDay ? `all-agent ${totalHour || totalDay} reached` : null;
+
+    if (reason && !_degraded) log.warn(`${reason} - technical-only mode until the window resets`);
+    if (!reason && _degraded) log.info('AI quota available again - AI enhancement resumed');
+    _degraded = reason;
+    return reason;
+}
+
+/**
+ * Usage for the current hour and day, per agent (and per function for the day)
+ */
+export function getUsageReport() {
+    const t = now();
+    const hour = hourKey(t), day = dayKey(t);
+    const usages = allUsage();
+
+    const hourAgents = {}, dayAgents = {};
+    const hourTotal = emptyCounter(), dayTotal = emptyCounter();
+    for (const u of usages) {
+        if (u.hours[hour]) {
+            hourAgents[u.agent] = roundCounter(u.hours[hour]);
+            addTo(hourTotal, u.hours[hour]);
+        }
+        if (u.days[day]) {
+            const { functions = {}, ...counter } = u.days[day];
+            dayAgents[u.agent] = {
+                ...roundCounter(counter),
+                functions: Object.fromEntries(Object.entries(functions).map(([task, c]) => [task, roundCounter(c)])),
+            };
+            addTo(dayTotal, counter);
+        }
+    }
+
+    return {
+        agent: _agentName,
+        degraded: _degraded,
+        hour: { window: hour, total: roundCounter(hourTotal), agents: hourAgents },
+        today: { window: day, total: roundCounter(dayTotal), agents: dayAgents },
+        limits: { total: AI_BUDGET_CONFIG.TOTAL, agent: limitsFor(_agentName) },
+    };
+}
+
+export default {
+    setAgentName,
+    getAgentName,
+    agentStateFile,
+    estimateTokens,
+    estimateCost,
+    recordUsage,
+    checkQuota,
+    getUsageReport,
+};
@@ -0,0 +1,142 @@
+// Shared AI Response Cache for all DUCKMON Agents
+// Keys are SHA-256 over provider, model, generation parameters and the full prompt, so
+// prompts that share boilerplate never collide. Entries live in memory (LRU) and, with
+// AI_CACHE_DIR set, as one JSON file per key so every agent process can reuse them.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AI_CACHE_CONFIG } from './config.js';
+
+const _memory = new Map(); // key -> { response, timestamp }, oldest first
+let _writes = 0;
+
+const stats = {
+    hits: 0,
+    diskHits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+};
+
+/**
+ * Cache key for a request
+ * @param {Object} request - { provider, model, prompt, ...generation params }
+ * @returns {string} Hex SHA-256
+ */
+export function buildCacheKey({ provider, model, prompt, ...params }) {
+    // Sorted params so { a, b } and { b, a } share a key
+    const sorted = Object.fromEntries(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)));
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([provider, model, sorted, prompt]))
+        .digest('hex');
+}
+
+function cacheFile(key) {
+    return path.join(AI_CACHE_CONFIG.DIR, `${key}.json`);
+}
+
+function remember(key, entry) {
+    _memory.delete(key);
+    _memory.set(key, entry);
+    while (_memory.size > AI_CACHE_CONFIG.MAX_ENTRIES) {
+        _memory.delete(_memory.keys().next().value);
+        stats.evictions++;
+    }
+}
+
+function readDisk(key) {
+    if (!AI_CACHE_CONFIG.DIR) return null;
+    try {
+        return JSON.parse(fs.readFileSync(cacheFile(key), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function pruneDisk() {
+    const cutoff = Date.now() - AI_CACHE_CONFIG.TTL;
+    for (const name of fs.readdirSync(AI_CACHE_CONFIG.DIR)) {
+        const file = path.join(AI_CACHE_CONFIG.DIR, name);
+        try {
+            if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+        } catch { /* removed by another process */ }
+    }
+}
+
+/**
+ * Fresh cached response for a key, from memory or disk
+ * @returns {string|null}
+ */
+export function getCachedResponse(key) {
+    const fresh = (entry) => entry && Date.now() - entry.timestamp < AI_CACHE_CONFIG.TTL;
+
+    const memory = _memory.get(key);
+    if (fresh(memory)) {
+        remember(key, memory);
+        stats.hits++;
+        return memory.response;
+    }
+
+    const disk = readDisk(key);
+    if (fresh(disk)) {
+        remember(key, { response: disk.response, timestamp: disk.timestamp });
+        stats.hits++;
+        stats.diskHits++;
+        return disk.response;
+    }
+
+    stats.misses++;
+    return null;
+}
+
+/**
+ * Store a response
+ * @param {string} key - From buildCacheKey()
+ * @param {string} response - Raw model text
+ * @param {Object} [meta] - Extra fields kept in the disk entry (provider, model, task)
+ */
+export function setCachedResponse(key, response, meta = {}) {
+    const entry = { response, timestamp: Date.now() };
+    remember(key, entry);
+    stats.writes++;
+
+    if (!AI_CACHE_CONFIG.DIR) return;
+    try {
+        const file = cacheFile(key);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ ...meta, key, ...entry }));
+        fs.renameSync(tmp, file);
+        if (++_writes % 100 === 0) pruneDisk();
+    } catch { /* cache is best-effort */ }
+}
+
+/**
+ * Drop a response (e.g. one that failed validation) from memory and disk
+ */
+export function deleteCachedResponse(key) {
+    _memory.delete(key);
+    if (!AI_CACHE_CONFIG.DIR) return;
+    try {
+        fs.unlinkSync(cacheFile(key));
+    } catch { /* not persisted */ }
+}
+
+export function getCacheStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+        ...stats,
+        hitRate: lookups > 0 ? +(stats.hits / lookups).toFixed(3) : null,
+        entries: _memory.size,
+        ttl: AI_CACHE_CONFIG.TTL,
+        persistent: !!AI_CACHE_CONFIG.DIR,
+    };
+}
+
+export default {
+    buildCacheKey,
+    getCachedResponse,
+    setCachedResponse,
+    deleteCachedResponse,
+    getCacheStats,
+};
@@ -0,0 +1,232 @@
+// Shared AI Calibration for all DUCKMON Agents
+// Every directional AI verdict (signal/direction, confidence, price) is recorded and later
+// scored against the realized move. Scored verdicts give hit rates, Brier scores and
+// calibration curves per AI function, and a reliability weight agents blend AI input with.
+// Each agent scores its own verdicts (verdicts-<agent>.json); reliability pools all agents.
+import fs from 'fs';
+import path from 'path';
+import { AI_CALIBRATION_CONFIG, AI_BUDGET_CONFIG, CANDLE_CONFIG } from './config.js';
+import { getAgentName, agentStateFile } from './aiBudget.js';
+import { getCandles } from './candleStore.js';
+import { now } from './clock.js';
+
+let _verdicts = null; // This agent's verdicts, oldest first
+let _loadedFor = null;
+
+// BUY/SELL/HOLD and UP/DOWN/SIDEWAYS on one scale
+const DIRECTION = { BUY: 'UP', UP: 'UP', SELL: 'DOWN', DOWN: 'DOWN', HOLD: 'FLAT', SIDEWAYS: 'FLAT' };
+
+function readVerdicts(file) {
+    try {
+        const verdicts = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(verdicts) ? verdicts : [];
+    } catch {
+        return [];
+    }
+}
+
+function ownVerdicts() {
+    const agent = getAgentName();
+    if (!_verdicts || _loadedFor !== agent) {
+        _verdicts = readVerdicts(agentStateFile('verdicts', agent));
+        _loadedFor = agent;
+    }
+    return _verdicts;
+}
+
+function saveVerdicts() {
+    const verdicts = ownVerdicts();
+    if (verdicts.length > AI_CALIBRATION_CONFIG.MAX_VERDICTS) {
+        verdicts.splice(0, verdicts.length - AI_CALIBRATION_CONFIG.MAX_VERDICTS);
+    }
+    try {
+        const file = agentStateFile('verdicts');
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(verdicts));
+        fs.renameSync(tmp, file);
+    } catch { /* verdicts stay in memory */ }
+}
+
+/**
+ * Scored verdicts from every agent's file (this agent's from memory)
+ */
+function allScored() {
+    const agent = getAgentName();
+    let others = [];
+    try {
+        others = fs.readdirSync(AI_BUDGET_CONFIG.STATE_DIR)
+            .filter(name => name.startsWith('verdicts-') && name.endsWith('.json'))
+            .map(name => path.join(AI_BUDGET_CONFIG.STATE_DIR, name))
+            .filter(file => file !== agentStateFile('verdicts', agent))
+            .flatMap(readVerdicts);
+    } catch { /* no state dir yet */ }
+    return [...ownVerdicts(), ...others].filter(v => v.outcome);
+}
+
+/**
+ * Price closest to a verdict's due time, from the stored 1m bars and the current tick
+ * @returns {number|null} null when nothing lies within SCORE_WINDOW of dueAt
+ */
+function priceAtDue(verdict, priceData, t) {
+    const { SCORE_WINDOW } = AI_CALIBRATION_CONFIG;
+    const candidates = [{ time: t, price: priceData.price }];
+    if (verdict.token) {
+        const bars = Math.min(CANDLE_CONFIG.MAX_CANDLES, Math.ceil((t - verdict.dueAt + SCORE_WINDOW) / 60_000) + 1);
+        // A bar's close is its last tick, at most its end
+        for (const c of getCandles(verdict.token, '1m', bars)) candidates.push({ time: Math.min(c.time + 60_000, t), price: c.close });
+    }
+    const inWindow = candidates.filter(c => c.price > 0 && Math.abs(c.time - verdict.dueAt) <= SCORE_WINDOW);
+    if (inWindow.length === 0) return null;
+    return inWindow.reduce((best, c) => (Math.abs(c.time - verdict.dueAt) < Math.abs(best.time - verdict.dueAt) ? c : best)).price;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RECORDING & SCORING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Record a directional AI verdict for later scoring
+ * @param {Object} verdict - { task, token, call ('BUY'|'SELL'|'HOLD'|'UP'|'DOWN'|'SIDEWAYS'), confidence, price, horizonMs? }
+ * @returns {Object|null} The stored verdict, or null when it can't be scored (no price/direction)
+ */
+export function recordVerdict({ task, token, call, confidence, price, horizonMs }) {
+    const direction = DIRECTION[call];
+    if (!direction || !(price > 0)) return null;
+
+    const timestamp = now();
+    const verdict = {
+        task,
+        agent: getAgentName(),
+        token: token?.toLowerCase() || null,
+        call,
+        direction,
+        confidence,
+        price,
+        timestamp,
+        dueAt: timestamp + (horizonMs || AI_CALIBRATION_CONFIG.HORIZONS[task] || 3_600_000),
+        outcome: null,
+    };
+    ownVerdicts().push(verdict);
+    saveVerdicts();
+    return verdict;
+}
+
+/**
+ * Score this agent's due verdicts at the price closest to their due time
+ * The current tick counts from SCORE_WINDOW before a verdict falls due (agents poll on the
+ * horizon's own cadence); stored 1m bars cover verdicts that fell due between ticks.
+ * @param {Object} priceData - { price, tokenAddress?, quarantined? } (fetchPrice() result)
+ * @returns {number} Verdicts scored
+ */
+export function scoreVerdicts(priceData) {
+    if (!(priceData?.price > 0) || priceData.quarantined) return 0;
+    const token = priceData.tokenAddress?.toLowerCase() || null;
+    const t = now();
+    const verdicts = ownVerdicts();
+    const { FLAT_BAND, FLAT_TOLERANCE, SCORE_WINDOW } = AI_CALIBRATION_CONFIG;
+
+    let scored = 0;
+    for (const v of verdicts) {
+        if (v.outcome || v.dueAt - SCORE_WINDOW > t || (token && v.token && v.token !== token)) continue;
+
+        const price = priceAtDue(v, priceData, t);
+        if (price === null) continue;
+        const change = (price - v.price) / v.price;
+        const actual = change > FLAT_BAND ? 'UP' : change < -FLAT_BAND ? 'DOWN' : 'FLAT';
+        const correct = v.direction === 'FLAT' ? Math.abs(change) < FLAT_TOLERANCE : v.direction === actual;
+        v.outcome = { price, change: +(change * 100).toFixed(3), actual, correct, scoredAt: t };
+        scored++;
+    }
+
+    // Verdicts with no price near their due time are dropped rather than scored late
+    const before = verdicts.length;
+    const kept = verdicts.filter(v => v.outcome || t - v.dueAt <= SCORE_WINDOW);
+    if (scored > 0 || kept.length !== before) {
+        verdicts.splice(0, verdicts.length, ...kept);
+        saveVerdicts();
+    }
+    return scored;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RELIABILITY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Hit rate per confidence bucket
+ * @returns {Object[]} [{ range: '60-69', samples, avgConfidence, hitRate }]
+ */
+function calibrationCurve(scored) {
+    const { BUCKETS } = AI_CALIBRATION_CONFIG;
+    return BUCKETS.map((low, i) => {
+        const high = BUCKETS[i + 1] ?? 101;
+        const inBucket = scored.filter(v => v.confidence >= low && v.confidence < high);
+        const hits = inBucket.filter(v => v.outcome.correct).length;
+        return {
+            range: `${low}-${high > 100 ? 100 : high - 1}`,
+            samples: inBucket.length,
+            avgConfidence: inBucket.length > 0 ? +(inBucket.reduce((s, v) => s + v.confidence, 0) / inBucket.length).toFixed(1) : null,
+            hitRate: inBucket.length > 0 ? +((hits / inBucket.length) * 100).toFixed(1) : null,
+        };
+    });
+}
+
+/**
+ * Measured reliability of an AI function, pooled across agents
+ * `weight` is the share AI input should get when blended with an agent's own confidence:
+ * skill over always calling the most common outcome, scaled to MAX_WEIGHT and shrunk
+ * toward PRIOR_WEIGHT while few verdicts have been scored.
+ * @param {string} task - e.g. 'market-analysis', 'price-prediction'
+ * @returns {Object} { task, samples, pending, hitRate, baseline, brier, skill, weight, calibration }
+ */
+export function getReliability(task) {
+    const { PRIOR_WEIGHT, PRIOR_SAMPLES, MAX_WEIGHT } = AI_CALIBRATION_CONFIG;
+    const scored = allScored().filter(v => v.task === task);
+    const pending = ownVerdicts().filter(v => v.task === task && !v.outcome).length;
+    const n = scored.length;
+
+    if (n === 0) {
+        return { task, samples: 0, pending, hitRate: null, baseline: null, brier: null, skill: null, weight: PRIOR_WEIGHT, calibration: calibrationCurve([]) };
+    }
+
+    const hitRate = scored.filter(v => v.outcome.correct).length / n;
+    // Baseline: hit rate of always calling the most frequent realized outcome
+    const counts = {};
+    for (const v of scored) counts[v.outcome.actual] = (counts[v.outcome.actual] || 0) + 1;
+    const baseline = Math.max(...Object.values(counts)) / n;
+    const skill = baseline < 1 ? Math.max(0, (hitRate - baseline) / (1 - baseline)) : 0;
+    const brier = scored.reduce((s, v) => s + (v.confidence / 100 - (v.outcome.correct ? 1 : 0)) ** 2, 0) / n;
+    const measured = Math.min(1, skill) * MAX_WEIGHT;
+
+    return {
+        task,
+        samples: n,
+        pending,
+        hitRate: +(hitRate * 100).toFixed(1),
+        baseline: +(baseline * 100).toFixed(1),
+        brier: +brier.toFixed(4),
+        skill: +skill.toFixed(3),
+        weight: +((n * measured + PRIOR_SAMPLES * PRIOR_WEIGHT) / (n + PRIOR_SAMPLES)).toFixed(3),
+        calibration: calibrationCurve(scored),
+    };
+}
+
+/**
+ * Replace a stated AI confidence with the hit rate measured for its confidence bucket
+ * Falls back to the stated confidence until the bucket has MIN_BUCKET_SAMPLES scored verdicts.
+ */
+export function calibrateConfidence(task, confidence) {
+    // Highest bucket whose lower bound is at or below the confidence (69.5 falls in 60-69)
+    const { BUCKETS } = AI_CALIBRATION_CONFIG;
+    const index = BUCKETS.findLastIndex(low => confidence >= low);
+    const bucket = index >= 0 ? getReliability(task).calibration[index] : null;
+    return bucket && bucket.samples >= AI_CALIBRATION_CONFIG.MIN_BUCKET_SAMPLES ? bucket.hitRate : confidence;
+}
+
+export default {
+    recordVerdict,
+    scoreVerdicts,
+    getReliability,
+    calibrateConfidence,
+};
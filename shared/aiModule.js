@@ -1,14 +1,10 @@
 // DUCKMON AI Intelligence Module v3.0
-// Powered by Google Gemini - Enhanced with timeout, caching, exponential backoff
-import dotenv from 'dotenv';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-dotenv.config({ path: path.resolve(__dirname, '../.env') });
-
-const GEMINI_API_KEY = process.env.VITE_API_KEY || process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
+// Provider-agnostic (AI_PROVIDER: gemini, openai, ollama, stub) - with timeout, shared response cache, exponential backoff
+import { getAIProvider } from './aiProviders.js';
+import { extractJSON, validateAIResponse, describeSchema } from './aiSchemas.js';
+import { buildCacheKey, getCachedResponse, setCachedResponse, deleteCachedResponse, getCacheStats } from './aiCache.js';
+import { setAgentName, recordUsage, estimateTokens, checkQuota, getUsageReport } from './aiBudget.js';
+import { recordVerdict, scoreVerdicts, getReliability, calibrateConfidence } from './aiCalibration.js';
 
 const AI_CONFIG = {
     maxRetries: 3,
@@ -17,97 +13,151 @@ const AI_CONFIG = {
     maxOutputTokens: 1024,
 };
 
-// Response cache (5 min TTL)
-const _cache = new Map();
-const CACHE_TTL = 300000;
-
 const log = {
     ai: (msg) => console.log(`\x1b[35m[AI]\x1b[0m ${msg}`),
     error: (msg) => console.log(`\x1b[31m[AI-ERR]\x1b[0m ${msg}`),
 };
 
-function getCacheKey(prompt) {
-    // Simple hash for cache key
-    let hash = 0;
-    for (let i = 0; i < Math.min(prompt.length, 200); i++) {
-        hash = ((hash << 5) - hash) + prompt.charCodeAt(i);
-        hash |= 0;
-    }
-    return hash.toString(36);
+// Everything that shapes the answer is part of the key (shared/aiCache.js)
+function cacheKeyFor(provider, prompt) {
+    return buildCacheKey({
+        provider: provider.name,
+        model: provider.model,
+        temperature: AI_CONFIG.temperature,
+        maxOutputTokens: AI_CONFIG.maxOutputTokens,
+        prompt,
+    });
 }
 
-async function callGeminiAPI(prompt, retries = AI_CONFIG.maxRetries) {
-    if (!GEMINI_API_KEY) {
+/**
+ * Send a prompt to the configured provider
+ * @param {string} prompt
+ * @param {string} task - Feature name (see getAIStatus().features); the stub answers per task
+ * @param {Object} [options] - { cache: false } skips the response cache (e.g. for repair prompts);
+ *   onCacheHit is called when the answer is served from the cache
+ * @returns {Promise<string|null>} Raw response text, null when disabled or every attempt failed
+ */
+async function callAI(prompt, task, { cache = true, onCacheHit = null } = {}) {
+    const provider = getAIProvider();
+    if (!provider?.isConfigured()) {
         return null;
     }
 
-    // Check cache
-    const cacheKey = getCacheKey(prompt);
-    const cached = _cache.get(cacheKey);
-    if (cached && Date.now() - cached.time < CACHE_TTL) {
-        return cached.data;
+    const cacheKey = cacheKeyFor(provider, prompt);
+    if (cache) {
+        const cached = getCachedResponse(cacheKey);
+        if (cached) {
+            onCacheHit?.();
+            return cached;
+        }
     }
 
+    // Over quota: the agent carries on with technical analysis only
+    if (checkQuota()) return null;
+
+    const result = await generateWithRetry(provider, prompt, task);
+    if (result && cache) {
+        setCachedResponse(cacheKey, result, { provider: provider.name, model: provider.model, task });
+    }
+    return result;
+}
+
+async function generateWithRetry(provider, prompt, task, retries = AI_CONFIG.maxRetries) {
     try {
         // AbortController with timeout
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), AI_CONFIG.timeout);
 
-        const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            signal: controller.signal,
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: {
-                    temperature: AI_CONFIG.temperature,
-                    maxOutputTokens: AI_CONFIG.maxOutputTokens,
-                },
-            }),
-        });
-
-        clearTimeout(timeout);
-
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
+        let response;
+        try {
+            response = await provider.generate(prompt, {
+                task,
+                temperature: AI_CONFIG.temperature,
+                maxOutputTokens: AI_CONFIG.maxOutputTokens,
+                signal: controller.signal,
+            });
+        } finally {
+            clearTimeout(timeout);
         }
 
-        const data = await response.json();
-        const result = data.candidates?.[0]?.content?.parts?.[0]?.text || null;
-
-        // Cache successful response
-        if (result) {
-            _cache.set(cacheKey, { data: result, time: Date.now() });
-            // Clean old cache entries
-            if (_cache.size > 50) {
-                for (const [key, val] of _cache) {
-                    if (Date.now() - val.time > CACHE_TTL) _cache.delete(key);
-                }
-            }
-        }
-
-        return result;
+        const text = response?.text || null;
+        recordUsage({
+            task,
+            model: provider.model,
+            inputTokens: response?.usage?.inputTokens ?? estimateTokens(prompt),
+            outputTokens: response?.usage?.outputTokens ?? estimateTokens(text),
+        });
+        return text;
     } catch (error) {
-        if (retries > 0) {
+        recordUsage({ task, model: provider.model }); // Failed attempts still count against the request quota
+
+        if (retries > 0 && !checkQuota()) {
             // Exponential backoff: 1s, 2s, 4s
             const delay = 1000 * Math.pow(2, AI_CONFIG.maxRetries - retries);
             await new Promise(r => setTimeout(r, delay));
-            return callGeminiAPI(prompt, retries - 1);
+            return generateWithRetry(provider, prompt, task, retries - 1);
         }
-        log.error(`Gemini API failed: ${error.message}`);
+        log.error(`${provider.name} API failed: ${error.message}`);
         return null;
     }
 }
 
 function parseJSON(text) {
     if (!text) return null;
-    try {
-        const match = text.match(/\{[\s\S]*\}/);
-        if (match) return JSON.parse(match[0]);
-    } catch (e) {
-        log.error(`JSON parse failed: ${e.message}`);
+    const { value, error } = extractJSON(text);
+    if (error) log.error(`JSON parse failed: ${error}`);
+    return value || null;
+}
+
+// Structured-output outcomes, reported by getAIStatus() (repaired responses also count as accepted)
+const validationStats = { accepted: 0, repaired: 0, rejected: 0, lastRejection: null };
+
+/**
+ * Call the provider and validate the answer against the task's schema (shared/aiSchemas.js)
+ * An invalid answer gets one repair prompt listing the problems; if that fails too the
+ * response is rejected (null) with the reasons logged, so it can't shape a signal.
+ * @param {string} task
+ * @param {string} prompt
+ * @param {Object} [context] - { price } for price-level sanity checks
+ * @param {Object} [options] - onFresh(value) runs only for an answer not served from the cache
+ * @returns {Promise<Object|null>} Validated, coerced response
+ */
+async function callStructured(task, prompt, context = {}, { onFresh = null } = {}) {
+    let cached = false;
+    const text = await callAI(prompt, task, { onCacheHit: () => { cached = true; } });
+    if (!text) return null;
+
+    let result = validateAIResponse(task, text, context);
+    if (!result.valid) {
+        deleteCachedResponse(cacheKeyFor(getAIProvider(), prompt)); // Don't serve the bad answer again
+        log.ai(`${task} response invalid (${result.errors.join('; ')}) - requesting repair`);
+        const repairPrompt = `${prompt}
+
+Your previous response could not be used:
+${result.errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${text.slice(0, 1500)}
+
+Reply with ONLY a corrected JSON object in this shape:
+${describeSchema(task)}`;
+        const repaired = await callAI(repairPrompt, task, { cache: false });
+        result = repaired ? validateAIResponse(task, repaired, context) : { valid: false, errors: ['no response to repair prompt'], warnings: [] };
+        if (result.valid) validationStats.repaired++;
+        cached = false; // Repair prompts bypass the cache
+    }
+
+    if (!result.valid) {
+        validationStats.rejected++;
+        validationStats.lastRejection = { task, reasons: result.errors, time: Date.now() };
+        log.error(`${task} response rejected: ${result.errors.join('; ')}`);
+        return null;
     }
-    return null;
+
+    validationStats.accepted++;
+    if (result.warnings.length > 0) log.ai(`${task} response adjusted: ${result.warnings.join('; ')}`);
+    if (!cached) onFresh?.(result.value);
+    return result.value;
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -148,7 +198,10 @@ Provide a JSON response:
 
 Respond with ONLY the JSON.`;
 
-    return parseJSON(await callGeminiAPI(prompt));
+    // A cached answer was recorded when it was first received
+    return callStructured('market-analysis', prompt, { price }, {
+        onFresh: (analysis) => recordVerdict({ task: 'market-analysis', call: analysis.signal, confidence: analysis.confidence, price }),
+    });
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -182,7 +235,17 @@ Provide a JSON response:
 
 Respond with ONLY the JSON.`;
 
-    return parseJSON(await callGeminiAPI(prompt));
+    const minutes = String(timeframe || '').match(/(\d+)\s*min/);
+    // A cached answer was recorded when it was first received
+    return callStructured('price-prediction', prompt, { price: currentPrice }, {
+        onFresh: (prediction) => recordVerdict({
+            task: 'price-prediction',
+            call: prediction.direction,
+            confidence: prediction.confidence,
+            price: currentPrice,
+            horizonMs: minutes ? Number(minutes[1]) * 60_000 : undefined,
+        }),
+    });
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -220,7 +283,7 @@ Provide a JSON response:
 
 Respond with ONLY the JSON.`;
 
-    return parseJSON(await callGeminiAPI(prompt));
+    return callStructured('whale-behavior', prompt);
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -252,7 +315,7 @@ Provide a JSON response:
 
 Respond with ONLY the JSON.`;
 
-    return parseJSON(await callGeminiAPI(prompt));
+    return parseJSON(await callAI(prompt, 'daily-summary'));
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -286,7 +349,7 @@ Provide a JSON response:
 
 Respond with ONLY the JSON.`;
 
-    return parseJSON(await callGeminiAPI(prompt));
+    return callStructured('sentiment-analysis', prompt);
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -321,7 +384,7 @@ Provide a JSON response:
 
 Respond with ONLY the JSON.`;
 
-    return parseJSON(await callGeminiAPI(prompt));
+    return callStructured('liquidity-analysis', prompt);
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -354,7 +417,7 @@ Provide a JSON response:
 
 Respond with ONLY the JSON.`;
 
-    return parseJSON(await callGeminiAPI(prompt));
+    return callStructured('onchain-insight', prompt);
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -378,14 +441,26 @@ export function formatAISignalReason(aiAnalysis) {
     return parts.join(' | ');
 }
 
+/**
+ * Whether AI enhancement is available: a configured provider and quota left for this agent
+ */
 export function isAIEnabled() {
-    return !!GEMINI_API_KEY;
+    return !!getAIProvider()?.isConfigured() && !checkQuota();
 }
 
 export function getAIStatus() {
+    const provider = getAIProvider();
     return {
         enabled: isAIEnabled(),
-        model: 'gemini-2.0-flash',
+        provider: provider?.name || null,
+        model: provider?.model || null,
+        validation: { ...validationStats },
+        cache: getCacheStats(),
+        usage: getUsageReport(),
+        calibration: {
+            'market-analysis': getReliability('market-analysis'),
+            'price-prediction': getReliability('price-prediction'),
+        },
         features: [
             'market-analysis', 'price-prediction', 'whale-behavior',
             'daily-summary', 'sentiment-analysis', 'liquidity-analysis', 'onchain-insight',
@@ -393,6 +468,12 @@ export function getAIStatus() {
     };
 }
 
+// Agents call AI.setAgentName(AGENT_NAME) at startup so usage and quotas are tracked per agent
+export { setAgentName };
+
+// Directional verdicts are scored against later prices; agents weight AI input by getReliability()
+export { scoreVerdicts, getReliability, calibrateConfidence };
+
 export default {
     generateMarketAnalysis,
     generatePricePrediction,
@@ -404,4 +485,8 @@ export default {
     formatAISignalReason,
     isAIEnabled,
     getAIStatus,
+    setAgentName,
+    scoreVerdicts,
+    getReliability,
+    calibrateConfidence,
 };
@@ -0,0 +1,204 @@
+// LLM Provider Registry for all DUCKMON Agents
+// aiModule builds the prompts; the provider selected by AI_PROVIDER answers them. Gemini,
+// OpenAI-compatible /chat/completions servers (OpenAI, llama.cpp, vLLM, ...), Ollama, and an
+// offline stub with canned JSON so AI-enhanced code paths run without network access.
+import fs from 'fs';
+import { AI_PROVIDER_CONFIG } from './config.js';
+
+/**
+ * Provider shape:
+ * {
+ *   name: string,
+ *   model: string,
+ *   isConfigured(): boolean,     // Has what it needs (API key, ...) to answer
+ *   generate(prompt, options): Promise<{ text: string|null, usage: { inputTokens, outputTokens }|null }>
+ * }
+ * `options` is { task, temperature, maxOutputTokens, signal }; `task` names the aiModule
+ * feature (e.g. 'market-analysis'). generate() throws on transport/HTTP errors so the
+ * caller can retry. `text` is the raw answer (expected to contain JSON); `usage` is the
+ * token count the backend reported, or null when it doesn't (aiBudget then estimates).
+ */
+const _providers = new Map(); // name -> provider
+
+export function registerAIProvider(provider) {
+    if (!provider?.name || typeof provider.generate !== 'function') {
+        throw new Error('AI provider requires a name and generate()');
+    }
+    _providers.set(provider.name, { isConfigured: () => true, ...provider });
+}
+
+export function unregisterAIProvider(name) {
+    return _providers.delete(name);
+}
+
+/**
+ * The provider to use (AI_PROVIDER by default), or null when the name is unknown
+ */
+export function getAIProvider(name = AI_PROVIDER_CONFIG.PROVIDER) {
+    return _providers.get(name) || null;
+}
+
+export function listAIProviders() {
+    return [..._providers.keys()];
+}
+
+async function postJSON(url, body, { headers = {}, signal } = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        signal,
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) throw new Error(`API error: ${response.status}`);
+    return response.json();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// GOOGLE GEMINI
+// ═══════════════════════════════════════════════════════════════════
+
+export const geminiProvider = {
+    name: 'gemini',
+    model: AI_PROVIDER_CONFIG.GEMINI_MODEL,
+    isConfigured: () => !!AI_PROVIDER_CONFIG.GEMINI_API_KEY,
+    async generate(prompt, { temperature, maxOutputTokens, signal } = {}) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+        const data = await postJSON(`${url}?key=${AI_PROVIDER_CONFIG.GEMINI_API_KEY}`, {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: { temperature, maxOutputTokens },
+        }, { signal });
+        return {
+            text: data.candidates?.[0]?.content?.parts?.[0]?.text || null,
+            usage: data.usageMetadata
+                ? { inputTokens: data.usageMetadata.promptTokenCount || 0, outputTokens: data.usageMetadata.candidatesTokenCount || 0 }
+                : null,
+        };
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// OPENAI-COMPATIBLE (/chat/completions)
+// ═══════════════════════════════════════════════════════════════════
+
+export const openAICompatibleProvider = {
+    name: 'openai',
+    model: AI_PROVIDER_CONFIG.OPENAI_MODEL,
+    // Local servers usually need no key; only the hosted API insists on one
+    isConfigured: () => !!AI_PROVIDER_CONFIG.OPENAI_API_KEY || !AI_PROVIDER_CONFIG.OPENAI_BASE_URL.includes('api.openai.com'),
+    async generate(prompt, { temperature, maxOutputTokens, signal } = {}) {
+        const headers = AI_PROVIDER_CONFIG.OPENAI_API_KEY ? { Authorization: `Bearer ${AI_PROVIDER_CONFIG.OPENAI_API_KEY}` } : {};
+        const data = await postJSON(`${AI_PROVIDER_CONFIG.OPENAI_BASE_URL.replace(/\/$/, '')}/chat/completions`, {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            max_tokens: maxOutputTokens,
+        }, { headers, signal });
+        return {
+            text: data.choices?.[0]?.message?.content || null,
+            usage: data.usage ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 } : null,
+        };
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// OLLAMA (local /api/generate)
+// ═══════════════════════════════════════════════════════════════════
+
+export const ollamaProvider = {
+    name: 'ollama',
+    model: AI_PROVIDER_CONFIG.OLLAMA_MODEL,
+    async generate(prompt, { temperature, maxOutputTokens, signal } = {}) {
+        const data = await postJSON(`${AI_PROVIDER_CONFIG.OLLAMA_URL.replace(/\/$/, '')}/api/generate`, {
+            model: this.model,
+            prompt,
+            stream: false,
+            format: 'json',
+            options: { temperature, num_predict: maxOutputTokens },
+        }, { signal });
+        return {
+            text: data.response || null,
+            usage: data.prompt_eval_count !== undefined ? { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count || 0 } : null,
+        };
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// OFFLINE STUB (canned JSON per task)
+// ═══════════════════════════════════════════════════════════════════
+
+const STUB_RESPONSES = {
+    'market-analysis': {
+        signal: 'HOLD', confidence: 60, reason: 'Stub analysis: no directional edge',
+        support: null, resistance: null, riskReward: '1:1', stopLoss: null, takeProfit: null,
+        sentiment: 'NEUTRAL', keyFactors: ['stub response', 'no network access'],
+    },
+    'price-prediction': {
+        direction: 'SIDEWAYS', confidence: 55, targetPrice: null, percentChange: 0,
+        analysis: 'Stub prediction: range-bound',
+        probability: { bullish: 33, bearish: 33, sideways: 34 },
+        keyLevels: { strongSupport: null, weakSupport: null, weakResistance: null, strongResistance: null },
+    },
+    'whale-behavior': {
+        behavior: 'TRADING', intent: 'Stub analysis: routine repositioning', marketImpact: 'LOW',
+        sentiment: 'NEUTRAL', recommendation: 'Monitor', riskAssessment: 'Low',
+        historicalPattern: 'None', priceImpact: 'Negligible',
+    },
+    'daily-summary': {
+        marketCondition: 'CONSOLIDATING', summary: 'Stub summary: no notable activity.',
+        keyHighlights: ['stub response'], outlook: 'Sideways', riskLevel: 'MODERATE',
+        actionableInsight: 'Hold', confidenceScore: 60,
+    },
+    'sentiment-analysis': {
+        sentimentScore: 50, sentiment: 'NEUTRAL', socialMomentum: 'STABLE', holderBehavior: 'HOLDING',
+        volumeAnalysis: 'Stub analysis', marketPsychology: 'Stub analysis',
+        signal: 'HOLD', confidence: 55, keyInsights: ['stub response'],
+    },
+    'liquidity-analysis': {
+        liquidityHealth: 'MODERATE', rugRisk: 30, bondingStatus: 'Stub analysis', lpAnalysis: 'Stub analysis',
+        graduationProximity: 'Unknown', recommendation: 'Monitor', signal: 'HOLD', confidence: 55,
+        keyRisks: ['stub response'],
+    },
+    'onchain-insight': {
+        onChainHealth: 'MODERATE', accumulationScore: 50, organicGrowth: true, smartMoneyFlow: 'NEUTRAL',
+        analysis: 'Stub analysis', signal: 'HOLD', confidence: 55, keyMetrics: ['stub response'],
+    },
+};
+
+let _stubOverrides = null;
+
+function stubOverrides() {
+    if (_stubOverrides || !AI_PROVIDER_CONFIG.STUB_FILE) return _stubOverrides || {};
+    try {
+        _stubOverrides = JSON.parse(fs.readFileSync(AI_PROVIDER_CONFIG.STUB_FILE, 'utf8'));
+    } catch (error) {
+        console.log(`\x1b[33m[AI]\x1b[0m Could not load stub file ${AI_PROVIDER_CONFIG.STUB_FILE}: ${error.message}`);
+        _stubOverrides = {};
+    }
+    return _stubOverrides;
+}
+
+export const stubProvider = {
+    name: 'stub',
+    model: 'stub',
+    async generate(_prompt, { task } = {}) {
+        const response = stubOverrides()[task] ?? STUB_RESPONSES[task];
+        return { text: response ? JSON.stringify(response) : null, usage: null };
+    },
+};
+
+// Built-in providers
+registerAIProvider(geminiProvider);
+registerAIProvider(openAICompatibleProvider);
+registerAIProvider(ollamaProvider);
+registerAIProvider(stubProvider);
+
+if (!_providers.has(AI_PROVIDER_CONFIG.PROVIDER)) {
+    console.log(`\x1b[33m[AI]\x1b[0m Unknown AI_PROVIDER "${AI_PROVIDER_CONFIG.PROVIDER}" - AI features disabled`);
+}
+
+export default {
+    registerAIProvider,
+    unregisterAIProvider,
+    getAIProvider,
+    listAIProviders,
+};
@@ -0,0 +1,301 @@
+// Shared AI Response Schemas for all DUCKMON Agents
+// Per-task schemas for aiModule's structured output: JSON extraction, type coercion, range
+// clamping and cross-field checks. Missing or malformed required fields reject the response
+// (with reasons); malformed optional fields are dropped with a warning.
+
+const SIGNAL = ['BUY', 'SELL', 'HOLD'];
+const SENTIMENT = ['BULLISH', 'BEARISH', 'NEUTRAL'];
+const PRICE_BAND = 10; // Price levels beyond 10x / 0.1x the current price are treated as noise
+
+/**
+ * Field spec:
+ *   { type: 'enum', values: string[] }
+ *   { type: 'number', min?, max? }         // Out-of-range values are clamped
+ *   { type: 'price' }                      // Positive MON price, checked against context.price
+ *   { type: 'string', maxLength? }
+ *   { type: 'boolean' }
+ *   { type: 'array', maxItems? }           // Array of strings
+ *   { type: 'object', fields: { ... } }
+ * plus `required: true` where the response is useless without the field.
+ */
+export const AI_SCHEMAS = {
+    'market-analysis': {
+        fields: {
+            signal: { type: 'enum', values: SIGNAL, required: true },
+            confidence: { type: 'number', min: 50, max: 95, required: true },
+            reason: { type: 'string', maxLength: 200 },
+            support: { type: 'price' },
+            resistance: { type: 'price' },
+            riskReward: { type: 'string', maxLength: 20 },
+            stopLoss: { type: 'price' },
+            takeProfit: { type: 'price' },
+            sentiment: { type: 'enum', values: SENTIMENT },
+            keyFactors: { type: 'array', maxItems: 5 },
+        },
+        check(value, warnings) {
+            if (value.support !== null && value.resistance !== null && value.support >= value.resistance) {
+                warnings.push('support is not below resistance - levels dropped');
+                value.support = null;
+                value.resistance = null;
+            }
+            return [];
+        },
+    },
+    'price-prediction': {
+        fields: {
+            direction: { type: 'enum', values: ['UP', 'DOWN', 'SIDEWAYS'], required: true },
+            confidence: { type: 'number', min: 50, max: 95, required: true },
+            targetPrice: { type: 'price' },
+            percentChange: { type: 'number', min: -100, max: 1000 },
+            analysis: { type: 'string', maxLength: 200 },
+            probability: {
+                type: 'object',
+                fields: {
+                    bullish: { type: 'number', min: 0, max: 100, required: true },
+                    bearish: { type: 'number', min: 0, max: 100, required: true },
+                    sideways: { type: 'number', min: 0, max: 100, required: true },
+                },
+            },
+            keyLevels: {
+                type: 'object',
+                fields: {
+                    strongSupport: { type: 'price' },
+                    weakSupport: { type: 'price' },
+                    weakResistance: { type: 'price' },
+                    strongResistance: { type: 'price' },
+                },
+            },
+        },
+        check(value, warnings, context) {
+            // Probabilities are rescaled to sum to 100
+            const p = value.probability;
+            const total = p ? p.bullish + p.bearish + p.sideways : 0;
+            if (p && total > 0 && Math.abs(total - 100) > 0.5) {
+                warnings.push(`probabilities summed to ${total} - rescaled`);
+                for (const key of Object.keys(p)) p[key] = +((p[key] / total) * 100).toFixed(1);
+            }
+
+            const errors = [];
+            if (value.targetPrice !== null && context.price > 0) {
+                if (value.direction === 'UP' && value.targetPrice < context.price) errors.push('targetPrice is below the current price for an UP call');
+                if (value.direction === 'DOWN' && value.targetPrice > context.price) errors.push('targetPrice is above the current price for a DOWN call');
+            }
+            return errors;
+        },
+    },
+    'whale-behavior': {
+        fields: {
+            behavior: { type: 'enum', values: ['ACCUMULATING', 'DISTRIBUTING', 'TRADING', 'DORMANT'], required: true },
+            intent: { type: 'string', maxLength: 200 },
+            marketImpact: { type: 'enum', values: ['LOW', 'MODERATE', 'HIGH', 'CRITICAL'], required: true },
+            sentiment: { type: 'enum', values: SENTIMENT, required: true },
+            recommendation: { type: 'string', maxLength: 200 },
+            riskAssessment: { type: 'string', maxLength: 200 },
+            historicalPattern: { type: 'string', maxLength: 200 },
+            priceImpact: { type: 'string', maxLength: 200 },
+        },
+    },
+    'sentiment-analysis': {
+        fields: {
+            sentimentScore: { type: 'number', min: 0, max: 100, required: true },
+            sentiment: { type: 'enum', values: ['EXTREME_FEAR', 'FEAR', 'NEUTRAL', 'GREED', 'EXTREME_GREED'], required: true },
+            socialMomentum: { type: 'enum', values: ['DECLINING', 'STABLE', 'GROWING', 'VIRAL'] },
+            holderBehavior: { type: 'enum', values: ['ACCUMULATING', 'DISTRIBUTING', 'HOLDING'] },
+            volumeAnalysis: { type: 'string', maxLength: 200 },
+            marketPsychology: { type: 'string', maxLength: 200 },
+            signal: { type: 'enum', values: SIGNAL, required: true },
+            confidence: { type: 'number', min: 50, max: 90, required: true },
+            keyInsights: { type: 'array', maxItems: 5 },
+        },
+    },
+    'liquidity-analysis': {
+        fields: {
+            liquidityHealth: { type: 'enum', values: ['CRITICAL', 'LOW', 'MODERATE', 'HEALTHY', 'STRONG'], required: true },
+            rugRisk: { type: 'number', min: 0, max: 100, required: true },
+            bondingStatus: { type: 'string', maxLength: 200 },
+            lpAnalysis: { type: 'string', maxLength: 200 },
+            graduationProximity: { type: 'string', maxLength: 200 },
+            recommendation: { type: 'string', maxLength: 200 },
+            signal: { type: 'enum', values: SIGNAL, required: true },
+            confidence: { type: 'number', min: 50, max: 90, required: true },
+            keyRisks: { type: 'array', maxItems: 5 },
+        },
+    },
+    'onchain-insight': {
+        fields: {
+            onChainHealth: { type: 'enum', values: ['WEAK', 'MODERATE', 'STRONG', 'VERY_STRONG'], required: true },
+            accumulationScore: { type: 'number', min: 0, max: 100, required: true },
+            organicGrowth: { type: 'boolean' },
+            smartMoneyFlow: { type: 'enum', values: ['INFLOW', 'OUTFLOW', 'NEUTRAL'] },
+            analysis: { type: 'string', maxLength: 200 },
+            signal: { type: 'enum', values: SIGNAL, required: true },
+            confidence: { type: 'number', min: 50, max: 90, required: true },
+            keyMetrics: { type: 'array', maxItems: 5 },
+        },
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// JSON EXTRACTION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * First complete JSON object in a model response (code fences and surrounding prose allowed)
+ * @returns {Object} { value } or { error }
+ */
+export function extractJSON(text) {
+    if (!text || typeof text !== 'string') return { error: 'empty response' };
+    const body = text.replace(/```(?:json)?/gi, '').trim();
+
+    try {
+        const value = JSON.parse(body);
+        if (value && typeof value === 'object' && !Array.isArray(value)) return { value };
+    } catch { /* Fall through to scanning for an embedded object */ }
+
+    // Balanced-brace scan from each '{', skipping braces inside strings
+    for (let start = body.indexOf('{'); start !== -1; start = body.indexOf('{', start + 1)) {
+        let depth = 0, inString = false, escaped = false;
+        for (let i = start; i < body.length; i++) {
+            const ch = body[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+            } else if (ch === '"') inString = true;
+            else if (ch === '{') depth++;
+            else if (ch === '}' && --depth === 0) {
+                try {
+                    return { value: JSON.parse(body.slice(start, i + 1)) };
+                } catch (error) {
+                    break; // Try the next '{'
+                }
+            }
+        }
+    }
+    return { error: 'no JSON object found' };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// COERCION
+// ═══════════════════════════════════════════════════════════════════
+
+function toNumber(raw) {
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+    if (typeof raw !== 'string') return null;
+    // "75%", "$0.0000213", "1,250"
+    const cleaned = raw.replace(/[\s$,%]/g, '');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+    return Number(cleaned);
+}
+
+/**
+ * Coerce one field; returns { value } or { error }, with clamping noted in `warnings`
+ */
+function coerceField(name, spec, raw, context, warnings) {
+    if (raw === undefined || raw === null || raw === '') return { value: null, missing: true };
+
+    switch (spec.type) {
+        case 'enum': {
+            const value = typeof raw === 'string' ? raw.trim().toUpperCase().replace(/[\s-]+/g, '_') : null;
+            return spec.values.includes(value) ? { value } : { error: `${name} must be one of ${spec.values.join('/')} (got ${JSON.stringify(raw)})` };
+        }
+        case 'number': {
+            const value = toNumber(raw);
+            if (value === null) return { error: `${name} is not a number (got ${JSON.stringify(raw)})` };
+            const clamped = Math.min(spec.max ?? Infinity, Math.max(spec.min ?? -Infinity, value));
+            if (clamped !== value) warnings.push(`${name} ${value} clamped to ${clamped}`);
+            return { value: clamped };
+        }
+        case 'price': {
+            const value = toNumber(raw);
+            if (value === null || value <= 0) return { error: `${name} is not a positive price (got ${JSON.stringify(raw)})` };
+            if (context.price > 0 && (value > context.price * PRICE_BAND || value < context.price / PRICE_BAND)) {
+                return { error: `${name} ${value} is implausibly far from the current price ${context.price}` };
+            }
+            return { value };
+        }
+        case 'string': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${name} is not a string` };
+            return { value: String(raw).trim().slice(0, spec.maxLength ?? 500) };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+            return { error: `${name} is not a boolean (got ${JSON.stringify(raw)})` };
+        }
+        case 'array': {
+            const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? [raw] : null;
+            if (!list) return { error: `${name} is not a list` };
+            return { value: list.filter(v => typeof v === 'string' || typeof v === 'number').map(v => String(v).trim()).slice(0, spec.maxItems ?? 10) };
+        }
+        case 'object': {
+            if (typeof raw !== 'object' || Array.isArray(raw)) return { error: `${name} is not an object` };
+            const nested = coerceFields(spec.fields, raw, context, warnings, `${name}.`);
+            return nested.errors.length > 0 ? { error: nested.errors.join('; ') } : { value: nested.value };
+        }
+        default:
+            return { error: `${name} has unknown schema type ${spec.type}` };
+    }
+}
+
+function coerceFields(fields, raw, context, warnings, prefix = '') {
+    const value = {};
+    const errors = [];
+    for (const [key, spec] of Object.entries(fields)) {
+        const result = coerceField(prefix + key, spec, raw[key], context, warnings);
+        if (result.missing && spec.required) errors.push(`${prefix}${key} is required`);
+        else if (result.error && spec.required) errors.push(result.error);
+        else if (result.error) warnings.push(`${result.error} - dropped`);
+        value[key] = result.error ? null : result.value;
+    }
+    return { value, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Parse and validate a model response for a task
+ * @param {string} task - Key of AI_SCHEMAS
+ * @param {string} text - Raw model output
+ * @param {Object} [context] - { price } used for price-level sanity checks (MON per token)
+ * @returns {Object} { valid, value, errors: string[], warnings: string[] }; value is null unless valid
+ */
+export function validateAIResponse(task, text, context = {}) {
+    const schema = AI_SCHEMAS[task];
+    if (!schema) return { valid: false, value: null, errors: [`no schema for task ${task}`], warnings: [] };
+
+    const parsed = extractJSON(text);
+    if (parsed.error) return { valid: false, value: null, errors: [parsed.error], warnings: [] };
+
+    const warnings = [];
+    const { value, errors } = coerceFields(schema.fields, parsed.value, context, warnings);
+    if (errors.length === 0 && schema.check) errors.push(...schema.check(value, warnings, context));
+
+    return { valid: errors.length === 0, value: errors.length === 0 ? value : null, errors, warnings };
+}
+
+/**
+ * The JSON shape a task expects, as shown to the model in a repair prompt
+ */
+export function describeSchema(task) {
+    const describe = (fields) => Object.fromEntries(Object.entries(fields).map(([key, spec]) => {
+        switch (spec.type) {
+            case 'enum': return [key, spec.values.join(' | ')];
+            case 'number': return [key, `number ${spec.min ?? ''}-${spec.max ?? ''}`];
+            case 'price': return [key, 'number (MON price) or null'];
+            case 'array': return [key, ['string']];
+            case 'object': return [key, describe(spec.fields)];
+            default: return [key, spec.type];
+        }
+    }));
+    return JSON.stringify(describe(AI_SCHEMAS[task]?.fields || {}), null, 2);
+}
+
+export default {
+    AI_SCHEMAS,
+    extractJSON,
+    validateAIResponse,
+    describeSchema,
+};
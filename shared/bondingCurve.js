@@ -0,0 +1,185 @@
+// Shared Bonding Curve Quotes for all DUCKMON Agents
+// Depth / price-impact curve and expected fills from nad.fun Lens getAmountOut.
+// Lens routes to the bonding curve or the graduated DEX pool, so this works for any
+// nad.fun token. All prices are MON per token; nad.fun tokens use 18 decimals.
+import { formatEther, parseEther } from 'viem';
+import { contracts, LENS_ABI, BONDING_CURVE_CONFIG } from './config.js';
+import { getPublicClient } from './wallet.js';
+
+const _curves = new Map(); // tokenAddress (lowercase) -> { data, timestamp }
+
+const toWei = (amount) => parseEther(amount.toFixed(18));
+
+async function quoteLens(tokenAddress, amountIn, isBuy) {
+    const [router, amountOut] = await getPublicClient().readContract({
+        address: contracts.LENS,
+        abi: LENS_ABI,
+        functionName: 'getAmountOut',
+        args: [tokenAddress, toWei(amountIn), isBuy],
+    });
+    return { router, amountOut: Number(formatEther(amountOut)) };
+}
+
+/**
+ * Spot price from a probe-sized buy and sell
+ * @returns {Promise<Object>} { bid, ask, mid, spreadPct, router } in MON per token
+ */
+export async function getSpotQuote(tokenAddress) {
+    const address = tokenAddress || contracts.DUCK_TOKEN;
+    const probe = BONDING_CURVE_CONFIG.SPOT_SIZE_MON;
+
+    const buy = await quoteLens(address, probe, true);
+    if (!(buy.amountOut > 0)) throw new Error('Lens returned no buy quote');
+    const ask = probe / buy.amountOut;
+
+    const sell = await quoteLens(address, buy.amountOut, false);
+    const bid = sell.amountOut > 0 ? sell.amountOut / buy.amountOut : ask;
+
+    const mid = (ask + bid) / 2;
+    return {
+        bid,
+        ask,
+        mid,
+        spreadPct: +(((ask - bid) / mid) * 100).toFixed(4),
+        router: buy.router,
+    };
+}
+
+/**
+ * Expected fill for an order of a given size
+ * @param {string} [tokenAddress] - Token contract address (defaults to DUCK_TOKEN)
+ * @param {Object} order
+ * @param {'buy'|'sell'} order.side
+ * @param {number} [order.amountMon] - Order size in MON (buys; sells are converted at spot)
+ * @param {number} [order.amountTokens] - Order size in tokens (sells; buys are converted at spot)
+ * @param {Object} [order.spot] - Pre-fetched getSpotQuote() result
+ * @returns {Promise<Object>} { side, amountIn, amountOut, sizeMon, fillPrice, spotPrice, impactPct, router }
+ */
+export async function getExpectedFill(tokenAddress, { side = 'buy', amountMon, amountTokens, spot } = {}) {
+    const address = tokenAddress || contracts.DUCK_TOKEN;
+    const spotQuote = spot || await getSpotQuote(address);
+
+    if (side === 'buy') {
+        const sizeMon = amountMon ?? (amountTokens || 0) * spotQuote.ask;
+        const quote = await quoteLens(address, sizeMon, true);
+        const fillPrice = quote.amountOut > 0 ? sizeMon / quote.amountOut : null;
+        return {
+            side,
+            amountIn: sizeMon,
+            amountOut: quote.amountOut,
+            sizeMon,
+            fillPrice,
+            spotPrice: spotQuote.ask,
+            impactPct: fillPrice ? +(((fillPrice - spotQuote.ask) / spotQuote.ask) * 100).toFixed(4) : 100,
+            router: quote.router,
+        };
+    }
+
+    const tokens = amountTokens ?? (amountMon || 0) / spotQuote.bid;
+    const quote = await quoteLens(address, tokens, false);
+    const fillPrice = tokens > 0 ? quote.amountOut / tokens : null;
+    return {
+        side,
+        amountIn: tokens,
+        amountOut: quote.amountOut,
+        sizeMon: tokens * spotQuote.bid,
+        fillPrice,
+        spotPrice: spotQuote.bid,
+        impactPct: fillPrice ? +(((spotQuote.bid - fillPrice) / spotQuote.bid) * 100).toFixed(4) : 100,
+        router: quote.router,
+    };
+}
+
+/**
+ * Depth / price-impact curve: expected fills for buys and sells at each configured size
+ * @param {string} [tokenAddress] - Token contract address (defaults to DUCK_TOKEN)
+ * @param {Object} [options]
+ * @param {number[]} [options.sizes=BONDING_CURVE_CONFIG.DEPTH_SIZES_MON] - Trade sizes in MON
+ * @returns {Promise<Object|null>} { spot, buy: [...], sell: [...], depth, currency, timestamp }
+ *   (sizes that could not be quoted are omitted), or null when the spot quote fails
+ */
+export async function getDepthCurve(tokenAddress, { sizes = BONDING_CURVE_CONFIG.DEPTH_SIZES_MON } = {}) {
+    const address = tokenAddress || contracts.DUCK_TOKEN;
+    const key = address.toLowerCase();
+    const cached = _curves.get(key);
+    if (cached && Date.now() - cached.timestamp < BONDING_CURVE_CONFIG.CACHE_TTL) return cached.data;
+
+    try {
+        const spot = await getSpotQuote(address);
+        const point = (fill) => ({
+            sizeMon: +fill.sizeMon.toFixed(6),
+            fillPrice: fill.fillPrice,
+            impactPct: fill.impactPct,
+            amountOut: fill.amountOut,
+        });
+
+        // A size that fails (e.g. a buy past a pre-graduation curve's capacity, or a throttled
+        // read) is left out rather than discarding the whole curve
+        const side = async (name) => {
+            const fills = await Promise.allSettled(sizes.map(amountMon => getExpectedFill(address, { side: name, amountMon, spot })));
+            const failed = fills.filter(f => f.status === 'rejected');
+            if (failed.length > 0) {
+                console.log(`\x1b[33m[CURVE]\x1b[0m ${failed.length}/${sizes.length} ${name} sizes unquoted for ${address.slice(0, 10)}...: ${failed[0].reason?.message}`);
+            }
+            return fills.filter(f => f.status === 'fulfilled').map(f => point(f.value));
+        };
+        const [buy, sell] = await Promise.all([side('buy'), side('sell')]);
+
+        const curve = { tokenAddress: address, currency: 'MON', spot, buy, sell, timestamp: Date.now() };
+        curve.depth = {
+            buy2Pct: sizeForImpact(curve, 'buy', 2),
+            sell2Pct: sizeForImpact(curve, 'sell', 2),
+            buy5Pct: sizeForImpact(curve, 'buy', 5),
+            sell5Pct: sizeForImpact(curve, 'sell', 5),
+        };
+
+        _curves.set(key, { data: curve, timestamp: Date.now() });
+        return curve;
+    } catch (error) {
+        console.log(`\x1b[31m[CURVE]\x1b[0m Depth curve failed for ${address.slice(0, 10)}...: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Price impact for a size in MON, linearly interpolated along the curve
+ * Sizes beyond the last point are extrapolated from the last segment
+ */
+export function impactAt(curve, side, sizeMon) {
+    const points = [{ sizeMon: 0, impactPct: 0 }, ...(curve?.[side] || [])];
+    if (points.length < 2) return null;
+
+    for (let i = 1; i < points.length; i++) {
+        if (sizeMon <= points[i].sizeMon) {
+            const a = points[i - 1], b = points[i];
+            const t = (sizeMon - a.sizeMon) / ((b.sizeMon - a.sizeMon) || 1);
+            return +(a.impactPct + t * (b.impactPct - a.impactPct)).toFixed(4);
+        }
+    }
+    const a = points[points.length - 2], b = points[points.length - 1];
+    const slope = (b.impactPct - a.impactPct) / ((b.sizeMon - a.sizeMon) || 1);
+    return +Math.min(100, b.impactPct + slope * (sizeMon - b.sizeMon)).toFixed(4);
+}
+
+/**
+ * Largest trade (MON) that stays within `impactPct` of spot; null if the curve never gets there
+ */
+export function sizeForImpact(curve, side, impactPct) {
+    const points = [{ sizeMon: 0, impactPct: 0 }, ...(curve?.[side] || [])];
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].impactPct >= impactPct) {
+            const a = points[i - 1], b = points[i];
+            const t = (impactPct - a.impactPct) / ((b.impactPct - a.impactPct) || 1);
+            return +(a.sizeMon + t * (b.sizeMon - a.sizeMon)).toFixed(4);
+        }
+    }
+    return null;
+}
+
+export default {
+    getSpotQuote,
+    getExpectedFill,
+    getDepthCurve,
+    impactAt,
+    sizeForImpact,
+};
@@ -0,0 +1,179 @@
+// On-chain Candle Backfill for all DUCKMON Agents
+// Rebuilds historical price/volume candles from a pair's Swap (or Transfer) logs
+// Only WMON-quoted pools are read, so prices and volumes come out in MON like every other series
+import { formatUnits, parseAbiItem } from 'viem';
+import { contracts, PAIR_ABI, ERC20_ABI, BACKFILL_CONFIG } from './config.js';
+import { getPublicClient } from './wallet.js';
+import { importTrades } from './candleStore.js';
+
+const SWAP_EVENT = parseAbiItem('event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)');
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+
+/**
+ * Estimate block timestamps by linear interpolation over a recent sample,
+ * avoiding one getBlock call per log
+ */
+async function createBlockClock(publicClient) {
+    const latest = await publicClient.getBlock();
+    const sampleNumber = latest.number > BACKFILL_CONFIG.BLOCK_TIME_SAMPLE
+        ? latest.number - BACKFILL_CONFIG.BLOCK_TIME_SAMPLE
+        : 0n;
+    const sample = await publicClient.getBlock({ blockNumber: sampleNumber });
+
+    const blocks = Number(latest.number - sample.number) || 1;
+    const blockTimeMs = Math.max(1, (Number(latest.timestamp - sample.timestamp) * 1000) / blocks);
+    const latestMs = Number(latest.timestamp) * 1000;
+
+    return {
+        latestBlock: latest.number,
+        blockTimeMs,
+        timestampOf: (blockNumber) => latestMs - Number(latest.number - blockNumber) * blockTimeMs,
+    };
+}
+
+/**
+ * getLogs over [fromBlock, toBlock] in chunks, halving the range when the RPC rejects it
+ */
+async function getLogsChunked(publicClient, filter, fromBlock, toBlock) {
+    const logs = [];
+    let chunk = BACKFILL_CONFIG.LOG_CHUNK_BLOCKS;
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+        const end = start + chunk - 1n > toBlock ? toBlock : start + chunk - 1n;
+        try {
+            logs.push(...await publicClient.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+            start = end + 1n;
+        } catch (error) {
+            if (chunk <= BACKFILL_CONFIG.MIN_CHUNK_BLOCKS) throw error;
+            chunk /= 2n;
+        }
+    }
+    return logs;
+}
+
+async function getPairTokens(publicClient, pairAddress) {
+    try {
+        const [token0, token1] = await Promise.all([
+            publicClient.readContract({ address: pairAddress, abi: PAIR_ABI, functionName: 'token0' }),
+            publicClient.readContract({ address: pairAddress, abi: PAIR_ABI, functionName: 'token1' }),
+        ]);
+        return { token0: token0.toLowerCase(), token1: token1.toLowerCase() };
+    } catch {
+        return null; // Not a V2-style pair (e.g. bonding curve or V3 pool)
+    }
+}
+
+const _decimals = new Map(); // token address (lowercase) -> decimals
+
+async function getTokenDecimals(publicClient, tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (!_decimals.has(key)) {
+        const decimals = await publicClient.readContract({ address: tokenAddress, abi: ERC20_ABI, functionName: 'decimals' });
+        _decimals.set(key, Number(decimals));
+    }
+    return _decimals.get(key);
+}
+
+// Uniswap V2 Swap: token amount on one side, quote (WMON) amount on the other
+function tradesFromSwaps(logs, isToken0, decimals, clock) {
+    const trades = [];
+    for (const swapLog of logs) {
+        const { amount0In, amount1In, amount0Out, amount1Out } = swapLog.args;
+        const tokenAmount = Number(formatUnits(isToken0 ? amount0In + amount0Out : amount1In + amount1Out, decimals.token));
+        const quoteAmount = Number(formatUnits(isToken0 ? amount1In + amount1Out : amount0In + amount0Out, decimals.quote));
+        if (tokenAmount <= 0 || quoteAmount <= 0) continue;
+
+        trades.push({
+            timestamp: clock.timestampOf(swapLog.blockNumber),
+            price: quoteAmount / tokenAmount,
+            volume: quoteAmount,
+        });
+    }
+    return trades;
+}
+
+// Fallback: pair token and WMON transfers touching the pool within the same transaction
+function tradesFromTransfers(tokenLogs, wmonLogs, decimals, clock) {
+    const byTx = new Map(); // txHash -> { tokenAmount, quoteAmount, blockNumber }
+    const add = (transferLog, field, tokenDecimals) => {
+        const entry = byTx.get(transferLog.transactionHash) || { tokenAmount: 0, quoteAmount: 0, blockNumber: transferLog.blockNumber };
+        entry[field] += Number(formatUnits(transferLog.args.value, tokenDecimals));
+        byTx.set(transferLog.transactionHash, entry);
+    };
+    tokenLogs.forEach(l => add(l, 'tokenAmount', decimals.token));
+    wmonLogs.forEach(l => add(l, 'quoteAmount', decimals.quote));
+
+    const trades = [];
+    for (const entry of byTx.values()) {
+        if (entry.tokenAmount <= 0 || entry.quoteAmount <= 0) continue;
+        trades.push({
+            timestamp: clock.timestampOf(entry.blockNumber),
+            price: entry.quoteAmount / entry.tokenAmount,
+            volume: entry.quoteAmount,
+        });
+    }
+    return trades;
+}
+
+/**
+ * Backfill candles for a token from its pair's on-chain history
+ * @param {string} tokenAddress - Token contract address
+ * @param {Object} [options]
+ * @param {string} options.pairAddress - Pool address (the `pairAddress` returned by fetchPrice())
+ * @param {number} [options.hours=BACKFILL_CONFIG.DEFAULT_HOURS] - How far back to read
+ * @param {Object} [options.log=null] - Logger object
+ * @returns {Promise<Object>} { trades, bars, method, fromBlock, toBlock } or { trades: 0, error }
+ */
+export async function backfillCandles(tokenAddress, { pairAddress, hours = BACKFILL_CONFIG.DEFAULT_HOURS, log = null } = {}) {
+    const address = (tokenAddress || contracts.DUCK_TOKEN).toLowerCase();
+    if (!pairAddress) return { trades: 0, error: 'No pair address' };
+
+    try {
+        const publicClient = getPublicClient();
+        const clock = await createBlockClock(publicClient);
+        const blocksBack = BigInt(Math.ceil((hours * 3_600_000) / clock.blockTimeMs));
+        const toBlock = clock.latestBlock;
+        const fromBlock = toBlock > blocksBack ? toBlock - blocksBack : 0n;
+
+        if (log) log.info(`Backfilling ${hours}h of candles from blocks ${fromBlock}-${toBlock}...`);
+
+        let trades;
+        let method;
+        const wmon = contracts.WMON.toLowerCase();
+        const pairTokens = await getPairTokens(publicClient, pairAddress);
+        const [tokenDecimals, wmonDecimals] = await Promise.all([
+            getTokenDecimals(publicClient, address),
+            getTokenDecimals(publicClient, wmon),
+        ]);
+        const decimals = { token: tokenDecimals, quote: wmonDecimals };
+
+        if (pairTokens && (pairTokens.token0 === address || pairTokens.token1 === address)) {
+            const quoteToken = pairTokens.token0 === address ? pairTokens.token1 : pairTokens.token0;
+            if (quoteToken !== wmon) {
+                if (log) log.warning(`Candle backfill skipped: pair ${pairAddress.slice(0, 10)}... is quoted in ${quoteToken.slice(0, 10)}..., not WMON`);
+                return { trades: 0, error: 'Pair is not quoted in WMON' };
+            }
+            method = 'swap';
+            const logs = await getLogsChunked(publicClient, { address: pairAddress, event: SWAP_EVENT }, fromBlock, toBlock);
+            trades = tradesFromSwaps(logs, pairTokens.token0 === address, decimals, clock);
+        } else {
+            method = 'transfer';
+            const [tokenIn, tokenOut, wmonIn, wmonOut] = await Promise.all([
+                getLogsChunked(publicClient, { address, event: TRANSFER_EVENT, args: { to: pairAddress } }, fromBlock, toBlock),
+                getLogsChunked(publicClient, { address, event: TRANSFER_EVENT, args: { from: pairAddress } }, fromBlock, toBlock),
+                getLogsChunked(publicClient, { address: contracts.WMON, event: TRANSFER_EVENT, args: { to: pairAddress } }, fromBlock, toBlock),
+                getLogsChunked(publicClient, { address: contracts.WMON, event: TRANSFER_EVENT, args: { from: pairAddress } }, fromBlock, toBlock),
+            ]);
+            trades = tradesFromTransfers([...tokenIn, ...tokenOut], [...wmonIn, ...wmonOut], decimals, clock);
+        }
+
+        const bars = importTrades(address, trades);
+        if (log) log.success(`Backfilled ${trades.length} trades into ${bars} 1m candles (${method} logs)`);
+
+        return { trades: trades.length, bars, method, fromBlock, toBlock };
+    } catch (error) {
+        if (log) log.warning(`Candle backfill failed: ${error.message}`);
+        return { trades: 0, error: error.message };
+    }
+}
@@ -0,0 +1,318 @@
+// Persistent OHLCV Candle Store for all DUCKMON Agents
+// Aggregates fetchPrice() ticks into 1m/5m/15m/1h/4h bars, persisted as append-only JSONL files
+// Several agent processes share the files: appends and rewrites take a lock file, and
+// rewrites merge whatever the other processes appended since this one loaded the series.
+import fs from 'fs';
+import path from 'path';
+import { CANDLE_CONFIG } from './config.js';
+
+export const CANDLE_INTERVALS = {
+    '1m': 60_000,
+    '5m': 300_000,
+    '15m': 900_000,
+    '1h': 3_600_000,
+    '4h': 14_400_000,
+};
+
+// Pseudo-token key for the MON/USD reference rate (USD per MON, not MON per token)
+export const MON_USD_SERIES = 'mon-usd';
+
+// `${token}:${interval}` -> { candles: [], fileLines: number }
+const _series = new Map();
+
+function seriesKey(tokenAddress, interval) {
+    return `${tokenAddress.toLowerCase()}:${interval}`;
+}
+
+function seriesFile(tokenAddress, interval) {
+    return path.join(CANDLE_CONFIG.DATA_DIR, tokenAddress.toLowerCase(), `${interval}.jsonl`);
+}
+
+function newCandle(time, tick) {
+    return {
+        time,
+        open: tick.price,
+        high: tick.price,
+        low: tick.price,
+        close: tick.price,
+        volume: tick.tradeVolume || 0,
+        volume24h: tick.volume24h || 0,
+        ticks: 1,
+    };
+}
+
+// Merge two bars covering the same period (e.g. written by two agent processes)
+function mergeCandle(a, b) {
+    return {
+        time: a.time,
+        open: a.open,
+        high: Math.max(a.high, b.high),
+        low: Math.min(a.low, b.low),
+        close: b.close,
+        volume: Math.max(a.volume, b.volume),
+        volume24h: b.volume24h || a.volume24h,
+        ticks: Math.max(a.ticks, b.ticks),
+    };
+}
+
+const _sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Run fn while holding `${file}.lock`
+ * A lock older than LOCK_TIMEOUT_MS belongs to a process that died holding it and is taken over.
+ */
+function withFileLock(file, fn) {
+    const lock = `${file}.lock`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    for (;;) {
+        try {
+            fs.closeSync(fs.openSync(lock, 'wx'));
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            try {
+                if (Date.now() - fs.statSync(lock).mtimeMs > CANDLE_CONFIG.LOCK_TIMEOUT_MS) fs.rmSync(lock, { force: true });
+            } catch { /* Released meanwhile */ }
+            Atomics.wait(_sleepCell, 0, 0, 5);
+        }
+    }
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lock, { force: true });
+    }
+}
+
+/**
+ * Read a series file, merging duplicate bars
+ * @returns {Object} { byTime: Map<time, candle>, fileLines }
+ */
+function readSeriesFile(file) {
+    const byTime = new Map();
+    let fileLines = 0;
+    if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            fileLines++;
+            try {
+                const candle = JSON.parse(line);
+                const existing = byTime.get(candle.time);
+                byTime.set(candle.time, existing ? mergeCandle(existing, candle) : candle);
+            } catch {
+                // Skip torn writes
+            }
+        }
+    }
+    return { byTime, fileLines };
+}
+
+function loadSeries(tokenAddress, interval) {
+    const key = seriesKey(tokenAddress, interval);
+    if (_series.has(key)) return _series.get(key);
+
+    const { byTime, fileLines } = readSeriesFile(seriesFile(tokenAddress, interval));
+    const candles = [...byTime.values()]
+        .sort((a, b) => a.time - b.time)
+        .slice(-CANDLE_CONFIG.MAX_CANDLES);
+
+    const series = { candles, fileLines };
+    _series.set(key, series);
+
+    // Compact files that have grown well past the retained window
+    if (fileLines > CANDLE_CONFIG.MAX_CANDLES * 2) rewriteSeries(tokenAddress, interval, series);
+    return series;
+}
+
+function appendCandle(tokenAddress, interval, series, candle) {
+    try {
+        const file = seriesFile(tokenAddress, interval);
+        withFileLock(file, () => fs.appendFileSync(file, JSON.stringify(candle) + '\n'));
+        series.fileLines++;
+    } catch (error) {
+        console.log(`\x1b[31m[CANDLES]\x1b[0m Persist failed: ${error.message}`);
+    }
+}
+
+/**
+ * The file's bars merged with in-memory ones (which win on close)
+ */
+function mergeWithFile(file, candles) {
+    const { byTime, fileLines } = readSeriesFile(file);
+    for (const candle of candles) {
+        const existing = byTime.get(candle.time);
+        byTime.set(candle.time, existing ? mergeCandle(existing, candle) : candle);
+    }
+    return {
+        candles: [...byTime.values()].sort((a, b) => a.time - b.time).slice(-CANDLE_CONFIG.MAX_CANDLES),
+        fileLines,
+    };
+}
+
+/**
+ * Replace the file with the file's bars merged with this process's series
+ * Bars other processes appended since this one loaded are kept (and picked up in memory).
+ */
+function rewriteSeries(tokenAddress, interval, series) {
+    try {
+        const file = seriesFile(tokenAddress, interval);
+        withFileLock(file, () => {
+            const { candles } = mergeWithFile(file, series.candles);
+
+            const tmp = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, candles.map(c => JSON.stringify(c)).join('\n') + '\n');
+            fs.renameSync(tmp, file);
+            series.candles = candles;
+            series.fileLines = candles.length;
+        });
+    } catch (error) {
+        console.log(`\x1b[31m[CANDLES]\x1b[0m Compaction failed: ${error.message}`);
+    }
+}
+
+/**
+ * Aggregate a price tick into every candle interval
+ * Closed bars are appended to disk; ticks older than the open bar are ignored
+ * @param {string} tokenAddress
+ * @param {Object} tick - { price, timestamp, volume24h?, tradeVolume? }
+ */
+export function recordTick(tokenAddress, tick) {
+    if (!tokenAddress || !(tick?.price > 0)) return;
+    const timestamp = tick.timestamp || Date.now();
+
+    for (const [interval, ms] of Object.entries(CANDLE_INTERVALS)) {
+        const series = loadSeries(tokenAddress, interval);
+        const bucket = Math.floor(timestamp / ms) * ms;
+        const last = series.candles[series.candles.length - 1];
+
+        if (last && last.time === bucket) {
+            last.high = Math.max(last.high, tick.price);
+            last.low = Math.min(last.low, tick.price);
+            last.close = tick.price;
+            last.volume += tick.tradeVolume || 0;
+            if (tick.volume24h) last.volume24h = tick.volume24h;
+            last.ticks++;
+        } else if (!last || bucket > last.time) {
+            if (last) appendCandle(tokenAddress, interval, series, last);
+            series.candles.push(newCandle(bucket, tick));
+            if (series.candles.length > CANDLE_CONFIG.MAX_CANDLES) {
+                series.candles.splice(0, series.candles.length - CANDLE_CONFIG.MAX_CANDLES);
+            }
+        }
+    }
+}
+
+/**
+ * Get the most recent candles (oldest-first), including the still-open bar
+ * @param {string} tokenAddress
+ * @param {string} [interval='1m'] - One of CANDLE_INTERVALS
+ * @param {number} [count=100]
+ * @returns {Object[]} { time, open, high, low, close, volume, volume24h, ticks }
+ */
+export function getCandles(tokenAddress, interval = '1m', count = 100) {
+    if (!CANDLE_INTERVALS[interval]) throw new Error(`Unknown candle interval: ${interval}`);
+    const { candles } = loadSeries(tokenAddress, interval);
+    return candles.slice(-count).map(c => ({ ...c }));
+}
+
+/**
+ * Pick up bars other processes appended since this one loaded the series
+ * For series this process doesn't quote itself (e.g. watchlist tokens ws-server keeps filling).
+ */
+export function reloadCandles(tokenAddress, interval = '1m') {
+    if (!CANDLE_INTERVALS[interval]) throw new Error(`Unknown candle interval: ${interval}`);
+    const series = loadSeries(tokenAddress, interval);
+    try {
+        Object.assign(series, mergeWithFile(seriesFile(tokenAddress, interval), series.candles));
+    } catch (error) {
+        console.log(`\x1b[31m[CANDLES]\x1b[0m Reload failed: ${error.message}`);
+    }
+}
+
+/**
+ * Candles for several intervals at once, e.g. for generateMultiTimeframeAnalysis()
+ * @returns {Object} { [interval]: candles[] }
+ */
+export function getMultiTimeframeCandles(tokenAddress, intervals, count = 100) {
+    return Object.fromEntries(intervals.map(interval => [interval, getCandles(tokenAddress, interval, count)]));
+}
+
+/**
+ * Merge historical trades (e.g. reconstructed from Swap logs) into every interval
+ * Existing bars keep their open/close; highs, lows and volume are widened with the trade data
+ * @param {string} tokenAddress
+ * @param {Object[]} trades - { timestamp, price, volume } with volume in quote (MON) units
+ * @returns {number} Number of 1m bars touched
+ */
+export function importTrades(tokenAddress, trades) {
+    const sorted = (trades || [])
+        .filter(t => t.price > 0 && t.timestamp > 0)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    if (sorted.length === 0) return 0;
+
+    let touched = 0;
+    for (const [interval, ms] of Object.entries(CANDLE_INTERVALS)) {
+        const imported = new Map();
+        for (const trade of sorted) {
+            const bucket = Math.floor(trade.timestamp / ms) * ms;
+            const bar = imported.get(bucket);
+            if (!bar) {
+                imported.set(bucket, { ...newCandle(bucket, trade), volume: trade.volume || 0 });
+            } else {
+                bar.high = Math.max(bar.high, trade.price);
+                bar.low = Math.min(bar.low, trade.price);
+                bar.close = trade.price;
+                bar.volume += trade.volume || 0;
+                bar.ticks++;
+            }
+        }
+        if (interval === '1m') touched = imported.size;
+
+        const series = loadSeries(tokenAddress, interval);
+        const byTime = new Map(series.candles.map(c => [c.time, c]));
+        for (const [time, bar] of imported) {
+            const existing = byTime.get(time);
+            byTime.set(time, existing ? {
+                ...existing,
+                high: Math.max(existing.high, bar.high),
+                low: Math.min(existing.low, bar.low),
+                volume: Math.max(existing.volume, bar.volume),
+                ticks: Math.max(existing.ticks, bar.ticks),
+            } : bar);
+        }
+
+        series.candles = [...byTime.values()]
+            .sort((a, b) => a.time - b.time)
+            .slice(-CANDLE_CONFIG.MAX_CANDLES);
+        rewriteSeries(tokenAddress, interval, series);
+    }
+    return touched;
+}
+
+/**
+ * Write every open bar to disk (merged with the closed copy on next load)
+ */
+export function flushCandles() {
+    for (const [key, series] of _series) {
+        const last = series.candles[series.candles.length - 1];
+        if (!last) continue;
+        const [tokenAddress, interval] = key.split(':');
+        appendCandle(tokenAddress, interval, series, last);
+    }
+}
+
+/**
+ * Exit on SIGINT/SIGTERM through process.exit(), so the exit hook writes open bars
+ * Each entrypoint calls this once.
+ * @param {Function} [onSignal] - (signal) => void, e.g. to close servers and save state first
+ */
+export function exitOnSignals(onSignal = null) {
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            onSignal?.(signal);
+            process.exit(0);
+        });
+    }
+}
+
+// Open bars are kept on a normal exit or process.exit() (see exitOnSignals())
+process.on('exit', flushCandles);
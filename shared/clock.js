@@ -0,0 +1,74 @@
+// Shared Clock for all DUCKMON Agents
+// Wall clock in live mode; in replay mode a virtual clock driven by recorded ticks,
+// where sleeps and intervals complete immediately and advance virtual time instead.
+
+let _virtualNow = null; // ms, null = wall clock
+let _halted = false;
+
+export function now() {
+    return _virtualNow ?? Date.now();
+}
+
+export function isVirtual() {
+    return _virtualNow !== null;
+}
+
+/**
+ * Switch to virtual time (or move it forward). Virtual time never runs backwards.
+ */
+export function setVirtualTime(ms) {
+    _virtualNow = _virtualNow === null ? ms : Math.max(_virtualNow, ms);
+}
+
+export function advanceTime(ms) {
+    if (_virtualNow !== null) _virtualNow += ms;
+}
+
+/**
+ * Stop all `every()` loops on the virtual clock (end of replay), letting the process exit
+ */
+export function haltClock() {
+    _halted = true;
+}
+
+export function isHalted() {
+    return _halted;
+}
+
+export function sleep(ms) {
+    if (_virtualNow === null) return new Promise(r => setTimeout(r, ms));
+    advanceTime(ms);
+    return new Promise(r => setImmediate(r));
+}
+
+/**
+ * setInterval() replacement that follows the virtual clock
+ * @returns {Function} Stop
+ */
+export function every(ms, fn) {
+    if (_virtualNow === null) {
+        const interval = setInterval(fn, ms);
+        return () => clearInterval(interval);
+    }
+
+    let stopped = false;
+    (async () => {
+        while (!stopped && !_halted) {
+            await sleep(ms);
+            if (stopped || _halted) break;
+            await fn();
+        }
+    })();
+    return () => { stopped = true; };
+}
+
+export default {
+    now,
+    isVirtual,
+    setVirtualTime,
+    advanceTime,
+    haltClock,
+    isHalted,
+    sleep,
+    every,
+};
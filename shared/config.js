@@ -80,5 +80,165 @@ export const KNOWN_CONTRACTS = new Set([
 // DexScreener API config
 export const DEXSCREENER_API = `https://api.dexscreener.com/latest/dex/tokens/${contracts.DUCK_TOKEN}`;
 
+// Price Oracle config (multi-source aggregation in priceService)
+export const PRICE_ORACLE_CONFIG = {
+    PROVIDER_TIMEOUT: 10000,          // Per-source quote timeout
+    MAX_DEVIATION: 0.05,              // 5% from median = outlier
+    FIXTURE_FILE: process.env.PRICE_FIXTURE_FILE || null, // JSON { tokenAddress: priceInMon }
+    MON_USD_TTL: 60000,               // MON/USD reference rate refresh
+    MON_USD_RATE: Number(process.env.MON_USD_RATE) || null, // Fixed USD per MON (offline/dev override)
+};
+
+// Tick quality: freshness, spike detection and quarantine (priceQuality)
+export const PRICE_QUALITY_CONFIG = {
+    MAX_AGE_MS: 60000,                // Older quotes are stale (and quarantined)
+    WINDOW: 30,                       // Recent accepted ticks per token used as the baseline
+    MIN_WINDOW: 5,                    // No spike checks until the baseline has this many ticks
+    SPIKE_THRESHOLD: 0.15,            // > 15% from the rolling median...
+    SPIKE_MAD_MULTIPLE: 8,            // ...and > 8 median absolute deviations = spike
+    CONFIRM_TICKS: 3,                 // Consecutive ticks at the new level confirm a real move
+    CONFIRM_TOLERANCE: 0.05,          // Confirming ticks must agree within 5%
+};
+
+// Candle store config (persistent OHLCV bars built from fetchPrice ticks)
+export const CANDLE_CONFIG = {
+    DATA_DIR: process.env.CANDLE_DATA_DIR || path.resolve(__dirname, '../data/candles'),
+    MAX_CANDLES: 1000,                // Bars kept in memory per token/interval
+    HISTORY_INTERVAL: '1m',           // Interval used to seed agent history on startup
+    LOCK_TIMEOUT_MS: 2000,            // A series lock file older than this is taken over
+};
+
+// Multi-timeframe analysis (candle intervals from candleStore, lowest first)
+export const MTF_CONFIG = {
+    TIMEFRAMES: ['5m', '1h', '4h'],
+    BARS: 200,                        // Candles loaded per timeframe
+    MIN_BARS: 30,                     // Timeframes with fewer bars are skipped
+};
+
+// Cross-token correlation / relative strength (correlation)
+export const WATCHLIST_CONFIG = {
+    TOKENS: (process.env.WATCHLIST_TOKENS || contracts.DUCK_TOKEN).split(',').map(a => a.trim()).filter(Boolean),
+    INTERVAL: '1h',                   // Candle interval returns are computed on
+    BARS: 168,                        // Candles loaded per token (7 days of 1h bars)
+    WINDOW: 48,                       // Rolling correlation / beta window in bars
+    MIN_OVERLAP: 24,                  // Fewer paired returns than this gives no reading
+    RS_LOOKBACKS: [6, 24, 72],        // Relative-strength lookbacks in bars
+    REFRESH_INTERVAL: 300000,         // ws-server re-quotes watchlist tokens so their bars keep filling
+};
+
+// On-chain candle backfill (Swap/Transfer logs -> historical candles)
+export const BACKFILL_CONFIG = {
+    DEFAULT_HOURS: 6,
+    LOG_CHUNK_BLOCKS: BigInt(process.env.BACKFILL_CHUNK_BLOCKS || 1000), // eth_getLogs range per request
+    MIN_CHUNK_BLOCKS: 50n,            // Stop halving the range below this
+    BLOCK_TIME_SAMPLE: 10000n,        // Blocks used to estimate average block time
+};
+
+// Real-time price streaming (block subscriptions in priceService)
+export const STREAM_CONFIG = {
+    WS_RPC_URL: process.env.WS_RPC_URL || null, // WebSocket transport when set, HTTP polling otherwise
+    POLL_INTERVAL: 1000,              // HTTP block polling interval
+    MIN_UPDATE_INTERVAL: 1000,        // Re-quote subscribed tokens at most once per second
+    BAR_INTERVAL: '1m',               // Streaming indicators advance once per closed bar of this interval
+    STATE_DIR: process.env.STREAM_STATE_DIR || path.resolve(__dirname, '../data/stream'), // Serialized indicator state per token
+};
+
+// Shared request scheduler (token bucket per host, file-backed so all agent processes share it)
+export const SCHEDULER_CONFIG = {
+    STATE_DIR: process.env.SCHEDULER_STATE_DIR || path.resolve(__dirname, '../data/scheduler'),
+    HOST_LIMITS: {
+        'api.dexscreener.com': { ratePerSec: 5, burst: 10 },   // DexScreener: 300 req/min
+        'rpc.monad.xyz': { ratePerSec: 20, burst: 40 },
+        default: { ratePerSec: 10, burst: 20 },
+    },
+    DEFAULT_TTL: 5000,                // Shared response cache TTL (GET only)
+    CACHE_RETENTION_MS: 600000,       // Prune cached responses older than 10 min
+    DEFAULT_RETRY_AFTER: 30000,       // Backoff when a 429 has no Retry-After header
+    MAX_RETRIES: 2,
+    LOCK_STALE_MS: 2000,
+    DISK_RETRY_MS: 60000,             // After a state-dir error, use in-process limits this long
+};
+
+// Offline price replay / recording (priceService)
+export const REPLAY_CONFIG = {
+    MODE: process.env.PRICE_MODE || 'live',                // 'live' | 'replay'
+    REPLAY_FILE: process.env.PRICE_REPLAY_FILE || null,    // JSONL of recorded fetchPrice() results
+    RECORD_FILE: process.env.PRICE_RECORD_FILE || null,    // Append live fetchPrice() results here
+};
+
+// Bonding curve depth (Lens getAmountOut at several trade sizes)
+export const BONDING_CURVE_CONFIG = {
+    SPOT_SIZE_MON: 0.01,              // Probe size treated as zero-impact spot
+    DEPTH_SIZES_MON: [0.1, 1, 5, 10, 25, 50, 100, 250, 500], // Curve points, both sides
+    CACHE_TTL: 30000,
+};
+
+// Indicator / strategy profiles per token and agent (strategyProfiles)
+export const STRATEGY_CONFIG = {
+    PROFILE_FILE: process.env.STRATEGY_PROFILE_FILE || path.resolve(__dirname, 'strategies.json'),
+};
+
+// LLM backend for aiModule (aiProviders)
+export const AI_PROVIDER_CONFIG = {
+    PROVIDER: process.env.AI_PROVIDER || 'gemini',    // 'gemini' | 'openai' | 'ollama' | 'stub'
+    GEMINI_API_KEY: process.env.VITE_API_KEY || process.env.GEMINI_API_KEY || null,
+    GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+    OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', // Any /chat/completions server (llama.cpp, vLLM, ...)
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY || null,
+    OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    OLLAMA_URL: process.env.OLLAMA_URL || 'http://localhost:11434',
+    OLLAMA_MODEL: process.env.OLLAMA_MODEL || 'llama3.1',
+    STUB_FILE: process.env.AI_STUB_FILE || null,      // JSON { task: response } overriding the stub's canned answers
+};
+
+// AI response cache (aiCache), keyed on provider, model, parameters and the full prompt
+export const AI_CACHE_CONFIG = {
+    TTL: 300000,                      // 5 min
+    MAX_ENTRIES: 200,                 // In-memory entries (least recently used evicted)
+    DIR: process.env.AI_CACHE_DIR || null, // Persist responses here, shared across agent processes; memory-only when unset
+};
+
+// AI usage tracking and quotas (aiBudget). Counts are per UTC hour/day; a quota hit puts the
+// agent in technical-only mode until the window rolls over. 0 disables a limit.
+const envLimit = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+export const AI_BUDGET_CONFIG = {
+    STATE_DIR: process.env.AI_STATE_DIR || path.resolve(__dirname, '../data/ai'),
+    TOTAL: {                          // All agents together
+        HOURLY_REQUESTS: envLimit('AI_HOURLY_REQUEST_LIMIT', 120),
+        DAILY_REQUESTS: envLimit('AI_DAILY_REQUEST_LIMIT', 1000),
+        DAILY_COST_USD: envLimit('AI_DAILY_COST_LIMIT', 2),
+    },
+    PER_AGENT: {                      // Each agent, unless overridden in AGENTS
+        HOURLY_REQUESTS: envLimit('AI_AGENT_HOURLY_REQUEST_LIMIT', 30),
+        DAILY_REQUESTS: envLimit('AI_AGENT_DAILY_REQUEST_LIMIT', 250),
+        DAILY_COST_USD: envLimit('AI_AGENT_DAILY_COST_LIMIT', 0.5),
+    },
+    AGENTS: {},                       // e.g. { 'Whale Observer v2.0': { HOURLY_REQUESTS: 10 } }
+    PRICING: {                        // USD per 1M tokens { input, output }; unlisted models cost 0
+        'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        'gpt-4o': { input: 2.50, output: 10.00 },
+    },
+    RETENTION_DAYS: 7,
+};
+
+// AI verdict scoring and reliability weighting (aiCalibration)
+export const AI_CALIBRATION_CONFIG = {
+    HORIZONS: {                       // How long after a verdict its outcome is scored
+        'market-analysis': 3_600_000, // 1h
+        'price-prediction': 900_000,  // 15min, unless the prompt's timeframe says otherwise
+    },
+    FLAT_BAND: 0.005,                 // Moves within ±0.5% count as flat
+    FLAT_TOLERANCE: 0.01,             // A HOLD/SIDEWAYS call is right within ±1%
+    SCORE_WINDOW: 120_000,            // A verdict is scored on a price within ±2min of falling due, else dropped
+    MAX_VERDICTS: 500,                // Kept per agent
+    BUCKETS: [50, 60, 70, 80, 90],    // Calibration curve confidence bucket lower bounds
+    MIN_BUCKET_SAMPLES: 5,            // Below this a bucket doesn't recalibrate confidence
+    PRIOR_WEIGHT: 0.25,               // AI weight before any verdict is scored
+    PRIOR_SAMPLES: 20,                // Scored verdicts needed to move halfway from the prior
+    MAX_WEIGHT: 0.5,                  // Weight of a perfectly skilled AI (the old fixed blend)
+};
+
 // Re-export ABIs
-export { LENS_ABI, DUCK_SIGNALS_ABI, ERC20_ABI } from './abis.js';
+export { LENS_ABI, DUCK_SIGNALS_ABI, ERC20_ABI, ROUTER_ABI, PAIR_ABI } from './abis.js';
@@ -0,0 +1,324 @@
+// Shared Cross-Token Correlation for all DUCKMON Agents
+// Rolling return correlations, beta against MON and relative-strength rankings across a
+// watchlist, all read from the candle store. Token bars are MON per token, so co-movement
+// between tokens is measured in MON and beta against MON on USD returns (token + MON/USD).
+import { TOKENS, WATCHLIST_CONFIG } from './config.js';
+import { getCandles, reloadCandles, CANDLE_INTERVALS, MON_USD_SERIES } from './candleStore.js';
+import { fetchPrice } from './priceService.js';
+
+const DEFAULTS = {
+    interval: WATCHLIST_CONFIG.INTERVAL,
+    bars: WATCHLIST_CONFIG.BARS,
+    window: WATCHLIST_CONFIG.WINDOW,
+    minOverlap: WATCHLIST_CONFIG.MIN_OVERLAP,
+    lookbacks: WATCHLIST_CONFIG.RS_LOOKBACKS,
+    withMarket: 0.5,    // |correlation| at or above this counts as moving with (or against) the market
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// RETURN SERIES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Log returns keyed by bar time; only between adjacent bars, so gaps don't pose as one move
+ */
+function barReturns(candles, ms) {
+    const returns = new Map();
+    for (let i = 1; i < candles.length; i++) {
+        const prev = candles[i - 1], bar = candles[i];
+        if (bar.time - prev.time === ms && prev.close > 0 && bar.close > 0) {
+            returns.set(bar.time, Math.log(bar.close / prev.close));
+        }
+    }
+    return returns;
+}
+
+/**
+ * Returns of two series at the bar times both have, oldest first
+ */
+function pairReturns(a, b) {
+    const x = [], y = [];
+    for (const time of [...a.keys()].sort((p, q) => p - q)) {
+        if (b.has(time)) {
+            x.push(a.get(time));
+            y.push(b.get(time));
+        }
+    }
+    return { x, y };
+}
+
+/**
+ * Token returns in USD terms: MON log return plus the MON/USD log return of the same bar
+ */
+function usdReturns(tokenReturns, monReturns) {
+    const out = new Map();
+    for (const [time, r] of tokenReturns) {
+        if (monReturns.has(time)) out.set(time, r + monReturns.get(time));
+    }
+    return out;
+}
+
+/**
+ * Equal-weight market index: mean return of the other tokens at each bar
+ */
+function marketReturns(returnsByToken) {
+    const sums = new Map();
+    for (const returns of returnsByToken) {
+        for (const [time, r] of returns) {
+            const entry = sums.get(time) || { sum: 0, count: 0 };
+            entry.sum += r;
+            entry.count++;
+            sums.set(time, entry);
+        }
+    }
+    return new Map([...sums].map(([time, { sum, count }]) => [time, sum / count]));
+}
+
+/**
+ * Returns of a stored series, memoized in opts.returns when given
+ * opts.reload first merges bars other processes wrote (e.g. ws-server's watchlist refresh).
+ */
+function loadReturns(tokenAddress, opts) {
+    const key = tokenAddress.toLowerCase();
+    if (opts.returns?.has(key)) return opts.returns.get(key);
+
+    if (opts.reload) reloadCandles(tokenAddress, opts.interval);
+    const returns = barReturns(getCandles(tokenAddress, opts.interval, opts.bars), CANDLE_INTERVALS[opts.interval]);
+    opts.returns?.set(key, returns);
+    return returns;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// STATISTICS
+// ═══════════════════════════════════════════════════════════════════
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function pearson(x, y) {
+    const mx = mean(x), my = mean(y);
+    let cov = 0, vx = 0, vy = 0;
+    for (let i = 0; i < x.length; i++) {
+        cov += (x[i] - mx) * (y[i] - my);
+        vx += (x[i] - mx) ** 2;
+        vy += (y[i] - my) ** 2;
+    }
+    return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+/**
+ * Pearson correlation over each trailing window
+ * @param {number[]} x
+ * @param {number[]} y - Same length as x
+ * @param {number} window
+ * @returns {(number|null)[]} One value per complete window, oldest first
+ */
+export function rollingCorrelation(x, y, window) {
+    const out = [];
+    for (let end = window; end <= Math.min(x.length, y.length); end++) {
+        out.push(pearson(x.slice(end - window, end), y.slice(end - window, end)));
+    }
+    return out;
+}
+
+/**
+ * Regression of asset returns on benchmark returns
+ * @param {number[]} asset
+ * @param {number[]} benchmark - Same length as asset
+ * @returns {Object|null} { beta, alpha, correlation, rSquared, samples }, null without benchmark variance
+ */
+export function calculateBeta(asset, benchmark) {
+    const n = Math.min(asset.length, benchmark.length);
+    if (n < 2) return null;
+    const x = benchmark.slice(-n), y = asset.slice(-n);
+    const mx = mean(x), my = mean(y);
+    let cov = 0, vx = 0;
+    for (let i = 0; i < n; i++) {
+        cov += (x[i] - mx) * (y[i] - my);
+        vx += (x[i] - mx) ** 2;
+    }
+    if (vx === 0) return null;
+
+    const beta = cov / vx;
+    const correlation = pearson(x, y);
+    return {
+        beta: +beta.toFixed(3),
+        alpha: my - beta * mx,      // Per-bar log return not explained by the benchmark
+        correlation: correlation === null ? null : +correlation.toFixed(3),
+        rSquared: correlation === null ? null : +(correlation ** 2).toFixed(3),
+        samples: n,
+    };
+}
+
+/**
+ * Latest-window correlation plus its change over the previous window
+ */
+function windowedRelation(asset, benchmark, opts) {
+    const { x, y } = pairReturns(asset, benchmark);
+    if (x.length < opts.minOverlap) return null;
+
+    const window = Math.min(opts.window, x.length);
+    const stats = calculateBeta(x.slice(-window), y.slice(-window));
+    if (!stats || stats.correlation === null) return null;
+
+    const rolling = rollingCorrelation(x, y, window);
+    const previous = rolling.length > window ? rolling[rolling.length - 1 - window] : null;
+    return {
+        ...stats,
+        window,
+        change: previous !== null ? +(stats.correlation - previous).toFixed(3) : null,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOKEN VS MARKET
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * How a token moves relative to MON and to the rest of the watchlist
+ * @param {string} tokenAddress
+ * @param {Object} [options] - { watchlist, interval, bars, window, minOverlap, withMarket,
+ *   reload (re-read stored bars from disk), returns (Map cache shared across calls) }
+ * @returns {Object} {
+ *   interval, mon: { beta, correlation, rSquared, ... } | null,
+ *   market: { correlation, beta, change, tokens, ... } | null,
+ *   relation: 'WITH_MARKET'|'AGAINST_MARKET'|'IDIOSYNCRATIC'|'UNKNOWN', benchmark, idiosyncraticShare
+ * }
+ */
+export function analyzeCorrelation(tokenAddress, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const key = tokenAddress.toLowerCase();
+    const peers = (opts.watchlist || WATCHLIST_CONFIG.TOKENS).filter(t => t.toLowerCase() !== key);
+
+    const own = loadReturns(tokenAddress, opts);
+    const monReturns = loadReturns(MON_USD_SERIES, opts);
+
+    // vs MON: USD returns regressed on MON/USD returns
+    const mon = windowedRelation(usdReturns(own, monReturns), monReturns, opts);
+
+    // vs market: MON returns against the equal-weight index of the other watchlist tokens
+    const peerReturns = peers.map(t => loadReturns(t, opts)).filter(r => r.size > 0);
+    const market = peerReturns.length > 0 ? windowedRelation(own, marketReturns(peerReturns), opts) : null;
+    if (market) market.tokens = peerReturns.length;
+
+    const reference = market || mon;
+    const correlation = reference?.correlation ?? null;
+    let relation = 'UNKNOWN';
+    if (correlation !== null) {
+        relation = correlation >= opts.withMarket ? 'WITH_MARKET'
+            : correlation <= -opts.withMarket ? 'AGAINST_MARKET'
+                : 'IDIOSYNCRATIC';
+    }
+
+    return {
+        interval: opts.interval,
+        mon,
+        market,
+        relation,
+        benchmark: market ? 'WATCHLIST' : mon ? 'MON' : null,
+        // Share of return variance the benchmark doesn't explain
+        idiosyncraticShare: reference?.rSquared != null ? +(1 - reference.rSquared).toFixed(3) : null,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RELATIVE STRENGTH
+// ═══════════════════════════════════════════════════════════════════
+
+function lookbackLabel(bars, interval) {
+    const minutes = (bars * CANDLE_INTERVALS[interval]) / 60_000;
+    return minutes >= 60 ? `${+(minutes / 60).toFixed(1)}h` : `${minutes}m`;
+}
+
+function symbolFor(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    return Object.values(TOKENS).find(t => t.address.toLowerCase() === key)?.symbol || null;
+}
+
+/**
+ * Rank watchlist tokens by return relative to the watchlist average over several lookbacks
+ * @param {string[]} [tokens] - Token addresses (defaults to WATCHLIST_CONFIG.TOKENS)
+ * @param {Object} [options] - { interval, bars, lookbacks, window, minOverlap }
+ * @returns {Object} { interval, lookbacks, marketReturns, ranked: [{ rank, token, symbol, price, returns,
+ *   rsScore, correlation }] } with returns in % (MON terms) and rsScore in percentage points
+ */
+export function rankWatchlist(tokens = WATCHLIST_CONFIG.TOKENS, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const unique = [...new Map(tokens.map(t => [t.toLowerCase(), t])).values()];
+    const labels = opts.lookbacks.map(n => lookbackLabel(n, opts.interval));
+    const returns = new Map();  // Each token's returns load once for all rows' correlations
+
+    const rows = unique.map(token => {
+        const closes = getCandles(token, opts.interval, opts.bars).map(c => c.close).filter(p => p > 0);
+        const last = closes[closes.length - 1];
+        const returns = Object.fromEntries(opts.lookbacks.map((n, i) => {
+            const base = closes[closes.length - 1 - n];
+            return [labels[i], base > 0 ? +(((last - base) / base) * 100).toFixed(2) : null];
+        }));
+        return { token, symbol: symbolFor(token), price: last ?? null, bars: closes.length, returns };
+    });
+
+    // Equal-weight average return per lookback across tokens that have it
+    const marketAvg = Object.fromEntries(labels.map(label => {
+        const values = rows.map(r => r.returns[label]).filter(v => v !== null);
+        return [label, values.length > 0 ? +mean(values).toFixed(2) : null];
+    }));
+
+    for (const row of rows) {
+        const excess = labels
+            .filter(label => row.returns[label] !== null && marketAvg[label] !== null)
+            .map(label => row.returns[label] - marketAvg[label]);
+        row.rsScore = excess.length > 0 ? +mean(excess).toFixed(2) : null;
+        row.correlation = unique.length > 1
+            ? analyzeCorrelation(row.token, { ...opts, watchlist: unique, returns }).market?.correlation ?? null
+            : null;
+    }
+
+    // Tokens without enough history rank last
+    rows.sort((a, b) => (b.rsScore ?? -Infinity) - (a.rsScore ?? -Infinity));
+    rows.forEach((row, i) => { row.rank = i + 1; });
+
+    return {
+        interval: opts.interval,
+        lookbacks: labels,
+        marketReturns: marketAvg,
+        ranked: rows.map(({ rank, ...row }) => ({ rank, ...row })),
+    };
+}
+
+/**
+ * Quote every watchlist token once so fetchPrice() records a fresh tick for each
+ * @returns {Promise<number>} Number of clean (non-quarantined) ticks
+ */
+export async function refreshWatchlist(tokens = WATCHLIST_CONFIG.TOKENS) {
+    let recorded = 0;
+    for (const token of tokens) {
+        try {
+            const priceData = await fetchPrice(token);
+            if (priceData && !priceData.quarantined) recorded++;
+        } catch (error) {
+            console.log(`\x1b[33m[WATCHLIST]\x1b[0m ${token.slice(0, 10)}... quote failed: ${error.message}`);
+        }
+    }
+    return recorded;
+}
+
+/**
+ * Short label, e.g. "idiosyncratic (r=0.12 vs watchlist)"
+ */
+export function describeCorrelation(c) {
+    if (!c || c.relation === 'UNKNOWN') return 'unknown (not enough overlapping history)';
+    const reference = c.benchmark === 'WATCHLIST' ? c.market : c.mon;
+    const relation = c.relation.toLowerCase().replace('_', ' ');
+    return `${relation} (r=${reference.correlation.toFixed(2)} vs ${c.benchmark === 'WATCHLIST' ? 'watchlist' : 'MON'})`;
+}
+
+export default {
+    rollingCorrelation,
+    calculateBeta,
+    analyzeCorrelation,
+    rankWatchlist,
+    refreshWatchlist,
+    describeCorrelation,
+};
@@ -0,0 +1,140 @@
+// Shared Divergence Detection for all DUCKMON Agents
+// Swing highs/lows on price vs RSI, MACD histogram and OBV, reported as regular or hidden
+// bullish/bearish divergences with their pivot indices (positions in the input series).
+import { toSeries, DEFAULT_INDICATOR_PARAMS } from './technical-analysis.js';
+import { StreamingRSI, StreamingMACD, StreamingOBV } from './streamingIndicators.js';
+
+const DEFAULTS = {
+    pivotLeft: 3,      // Bars that must be lower (higher) before a swing high (low)
+    pivotRight: 3,     // ... and after it, so a pivot is confirmed `pivotRight` bars late
+    minSpacing: 5,     // Min bars between the two compared pivots
+    maxSpacing: 60,    // Max bars between them
+    maxAge: 12,        // Latest pivot must be this recent to still matter
+};
+
+/**
+ * Indices of confirmed swing highs and lows in a series
+ * @returns {Object} { highs: number[], lows: number[] }
+ */
+export function findPivots(values, left = DEFAULTS.pivotLeft, right = DEFAULTS.pivotRight) {
+    const highs = [], lows = [];
+    for (let i = left; i < values.length - right; i++) {
+        let isHigh = true, isLow = true;
+        for (let j = i - left; j <= i + right && (isHigh || isLow); j++) {
+            if (j === i) continue;
+            if (values[j] >= values[i]) isHigh = false;
+            if (values[j] <= values[i]) isLow = false;
+        }
+        if (isHigh) highs.push(i);
+        if (isLow) lows.push(i);
+    }
+    return { highs, lows };
+}
+
+/**
+ * RSI, MACD histogram and OBV per bar, aligned with the input
+ */
+function oscillatorSeries(series, rsiParams, macdParams) {
+    const rsi = new StreamingRSI(rsiParams.period);
+    const macd = new StreamingMACD(macdParams.fast, macdParams.slow, macdParams.signal);
+    const obv = new StreamingOBV();
+    const out = { RSI: [], MACD: [], OBV: [] };
+
+    series.close.forEach((close, i) => {
+        out.RSI.push(rsi.update(close));
+        out.MACD.push(macd.update(close).histogram);
+        out.OBV.push(obv.update(close, series.volume[i] || 0));
+    });
+    return out;
+}
+
+/**
+ * Compare the last two price pivots of one kind against the oscillator at the same bars
+ */
+function comparePivots(indicator, side, pivots, price, osc, warmup, opts) {
+    const eligible = pivots.filter(i => i >= warmup);
+    if (eligible.length < 2) return null;
+
+    const b = eligible[eligible.length - 1];
+    const a = eligible[eligible.length - 2];
+    const spacing = b - a;
+    const barsAgo = price.length - 1 - b;
+    if (spacing < opts.minSpacing || spacing > opts.maxSpacing || barsAgo > opts.maxAge) return null;
+
+    const priceUp = price[b] > price[a];
+    const oscUp = osc[b] > osc[a];
+    if (priceUp === oscUp || price[b] === price[a] || osc[b] === osc[a]) return null;
+
+    // Lows: lower low + higher osc = regular bullish, higher low + lower osc = hidden bullish
+    // Highs: higher high + lower osc = regular bearish, lower high + higher osc = hidden bearish
+    const type = side === 'low' ? 'bullish' : 'bearish';
+    const kind = side === 'low' ? (priceUp ? 'hidden' : 'regular') : (priceUp ? 'regular' : 'hidden');
+
+    return {
+        indicator,
+        type,
+        kind,
+        pivots: [a, b],
+        prices: [price[a], price[b]],
+        values: [osc[a], osc[b]],
+        barsAgo,
+    };
+}
+
+/**
+ * Detect divergences between price and RSI / MACD histogram / OBV
+ * @param {number[]|Object[]} prices - Closes or OHLCV candles, oldest first
+ * @param {number[]} [volumes] - Per-bar volume (defaults to candle volume); OBV is skipped without it
+ * @param {Object} [options] - Overrides for pivot/spacing settings (see DEFAULTS), and
+ *   `params`: indicator periods as for generateFullAnalysis() (e.g. a strategy profile's `indicators`)
+ * @returns {Object} { divergences: [...], bullish, bearish, bias: 'BULLISH'|'BEARISH'|'NEUTRAL' }
+ */
+export function detectDivergences(prices, volumes = [], options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const empty = { divergences: [], bullish: 0, bearish: 0, bias: 'NEUTRAL' };
+    if (!prices || prices.length < 30) return empty;
+
+    const series = toSeries(prices, volumes);
+    // Swing highs on highs and swing lows on lows when candles carry a range
+    const { highs } = findPivots(series.high, opts.pivotLeft, opts.pivotRight);
+    const { lows } = findPivots(series.low, opts.pivotLeft, opts.pivotRight);
+    const rsiParams = { ...DEFAULT_INDICATOR_PARAMS.rsi, ...opts.params?.rsi };
+    const macdParams = { ...DEFAULT_INDICATOR_PARAMS.macd, ...opts.params?.macd };
+    const oscillators = oscillatorSeries(series, rsiParams, macdParams);
+    const hasVolume = series.volume.some(v => v > 0);
+
+    // Skip pivots while each oscillator is still warming up
+    const warmup = { RSI: rsiParams.period + 1, MACD: macdParams.slow + macdParams.signal - 1, OBV: 1 };
+    const divergences = [];
+
+    for (const [indicator, osc] of Object.entries(oscillators)) {
+        if (indicator === 'OBV' && !hasVolume) continue;
+        const low = comparePivots(indicator, 'low', lows, series.low, osc, warmup[indicator], opts);
+        const high = comparePivots(indicator, 'high', highs, series.high, osc, warmup[indicator], opts);
+        if (low) divergences.push(low);
+        if (high) divergences.push(high);
+    }
+
+    const bullish = divergences.filter(d => d.type === 'bullish').length;
+    const bearish = divergences.filter(d => d.type === 'bearish').length;
+
+    return {
+        divergences,
+        bullish,
+        bearish,
+        bias: bullish > bearish ? 'BULLISH' : bearish > bullish ? 'BEARISH' : 'NEUTRAL',
+    };
+}
+
+/**
+ * Short human-readable label, e.g. "regular bullish RSI"
+ */
+export function describeDivergence(d) {
+    return `${d.kind} ${d.type} ${d.indicator}`;
+}
+
+export default {
+    findPivots,
+    detectDivergences,
+    describeDivergence,
+};
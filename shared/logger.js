@@ -1,4 +1,5 @@
 // Structured Logging Module for DUCKMON Agents
+import { now } from './clock.js';
 
 const COLORS = {
     reset: '\x1b[0m',
@@ -18,8 +19,9 @@ const SIGNAL_COLORS = {
     HOLD: COLORS.yellow,
 };
 
+// Virtual time during replays, so replayed logs are reproducible
 function timestamp() {
-    return new Date().toISOString().slice(11, 19);
+    return new Date(now()).toISOString().slice(11, 19);
 }
 
 export function createLogger(agentName) {
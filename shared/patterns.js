@@ -0,0 +1,414 @@
+// Shared Pattern Recognition for all DUCKMON Agents
+// Candlestick patterns on the last bars (engulfing, hammer / shooting star, doji) and chart
+// patterns on swing pivots (double top/bottom, head-and-shoulders, triangles, flags).
+// Every pattern has a direction, a 0-100 confidence and the level that confirms it.
+import { toSeries } from './technical-analysis.js';
+import { findPivots } from './divergence.js';
+
+const DEFAULTS = {
+    lookback: 60,            // Bars scanned for chart patterns
+    pivotSpan: 3,            // Bars each side of a swing high/low
+    levelTolerance: 0.02,    // Double top/bottom peaks and H&S shoulders must match within 2%
+    minRetrace: 0.03,        // Trough between double-top peaks (and vice versa) must be 3% deep
+    flatSlope: 0.001,        // |slope| below 0.1% of price per bar counts as flat
+    flagPoleMove: 0.08,      // Flag pole: >= 8% move ...
+    flagPoleBars: 10,        // ... within 10 bars
+    flagMaxRetrace: 0.5,     // Consolidation may retrace at most half the pole
+    trendBars: 5,            // Bars used for the "prior trend" context of candlestick patterns
+    maxBreakAge: 10,         // Double top/bottom and H&S whose neckline broke longer ago have played out
+};
+
+/**
+ * Least-squares line through (x, y) points
+ * @returns {Object} { slope, intercept, at(x) }
+ */
+function fitLine(xs, ys) {
+    const n = xs.length;
+    const mx = xs.reduce((a, b) => a + b, 0) / n;
+    const my = ys.reduce((a, b) => a + b, 0) / n;
+    let num = 0, den = 0;
+    for (let i = 0; i < n; i++) {
+        num += (xs[i] - mx) * (ys[i] - my);
+        den += (xs[i] - mx) ** 2;
+    }
+    const slope = den > 0 ? num / den : 0;
+    const intercept = my - slope * mx;
+    return { slope, intercept, at: (x) => intercept + slope * x };
+}
+
+const clamp = (value) => Math.round(Math.max(0, Math.min(100, value)));
+
+/**
+ * First bar after `from` that closes beyond the neckline (`level(i)` at bar i), or -1
+ */
+function firstBreak(close, from, level, below) {
+    for (let i = from + 1; i < close.length; i++) {
+        if (below ? close[i] < level(i) : close[i] > level(i)) return i;
+    }
+    return -1;
+}
+
+function pattern(fields) {
+    return { confirmed: false, invalidationLevel: null, ...fields, confidence: clamp(fields.confidence) };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CANDLESTICK PATTERNS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Single- and two-bar patterns on the latest candle
+ * Needs real OHLC candles; bare closes have no bodies or wicks to read
+ */
+export function detectCandlestickPatterns(prices, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const series = toSeries(prices);
+    const n = series.close.length;
+    if (!series.hasRange || n < opts.trendBars + 2) return [];
+
+    const { open, high, low, close } = series;
+    const i = n - 1;
+    const body = Math.abs(close[i] - open[i]);
+    const range = high[i] - low[i];
+    if (range <= 0) return [];
+
+    const upperWick = high[i] - Math.max(open[i], close[i]);
+    const lowerWick = Math.min(open[i], close[i]) - low[i];
+    const priorMove = (close[i - 1] - close[i - 1 - opts.trendBars]) / close[i - 1 - opts.trendBars];
+    const found = [];
+
+    // Engulfing: this body fully covers the previous opposite-colored body
+    const prevBody = Math.abs(close[i - 1] - open[i - 1]);
+    const bullishBar = close[i] > open[i];
+    const prevBullish = close[i - 1] > open[i - 1];
+    if (prevBody > 0 && bullishBar !== prevBullish
+        && Math.max(open[i], close[i]) >= Math.max(open[i - 1], close[i - 1])
+        && Math.min(open[i], close[i]) <= Math.min(open[i - 1], close[i - 1])) {
+        const withTrend = bullishBar ? priorMove < 0 : priorMove > 0; // Reversal context
+        found.push(pattern({
+            name: bullishBar ? 'BULLISH_ENGULFING' : 'BEARISH_ENGULFING',
+            type: 'candlestick',
+            direction: bullishBar ? 'BULLISH' : 'BEARISH',
+            confidence: 50 + Math.min(20, (body / prevBody - 1) * 20) + (withTrend ? 15 : 0),
+            breakoutLevel: bullishBar ? high[i] : low[i],
+            invalidationLevel: bullishBar ? low[i] : high[i],
+            index: i,
+        }));
+    }
+
+    // Hammer (after a decline) / shooting star (after a rally): small body, one long wick
+    if (body <= range * 0.35) {
+        if (lowerWick >= range * 0.6 && upperWick <= range * 0.15 && priorMove < 0) {
+            found.push(pattern({
+                name: 'HAMMER',
+                type: 'candlestick',
+                direction: 'BULLISH',
+                confidence: 45 + (lowerWick / range) * 30 + Math.min(10, -priorMove * 100),
+                breakoutLevel: high[i],
+                invalidationLevel: low[i],
+                index: i,
+            }));
+        } else if (upperWick >= range * 0.6 && lowerWick <= range * 0.15 && priorMove > 0) {
+            found.push(pattern({
+                name: 'SHOOTING_STAR',
+                type: 'candlestick',
+                direction: 'BEARISH',
+                confidence: 45 + (upperWick / range) * 30 + Math.min(10, priorMove * 100),
+                breakoutLevel: low[i],
+                invalidationLevel: high[i],
+                index: i,
+            }));
+        }
+    }
+
+    // Doji: open ≈ close, indecision; a break of either end sets the direction
+    if (body <= range * 0.1 && found.length === 0) {
+        found.push(pattern({
+            name: 'DOJI',
+            type: 'candlestick',
+            direction: 'NEUTRAL',
+            confidence: 40 + (1 - body / (range * 0.1)) * 20 + (Math.abs(priorMove) > 0.05 ? 10 : 0),
+            breakoutLevel: high[i],
+            invalidationLevel: low[i],
+            index: i,
+        }));
+    }
+
+    return found;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CHART PATTERNS
+// ═══════════════════════════════════════════════════════════════════
+
+function detectDoubles(series, highs, lows, offset, opts) {
+    const { high, low, close } = series;
+    const lastIdx = close.length - 1;
+    const last = close[lastIdx];
+    const found = [];
+
+    if (highs.length >= 2) {
+        const [a, b] = highs.slice(-2);
+        const diff = Math.abs(high[a] - high[b]) / Math.max(high[a], high[b]);
+        const neckline = Math.min(...low.slice(a, b + 1));
+        const depth = (Math.min(high[a], high[b]) - neckline) / Math.min(high[a], high[b]);
+        const breakAt = firstBreak(close, b, () => neckline, true);
+        const stale = breakAt >= 0 && lastIdx - breakAt > opts.maxBreakAge;
+        if (diff <= opts.levelTolerance && depth >= opts.minRetrace && b - a >= 5 && !stale) {
+            const confirmed = breakAt >= 0 && last < neckline;
+            found.push(pattern({
+                name: 'DOUBLE_TOP',
+                type: 'chart',
+                direction: 'BEARISH',
+                confidence: 50 + (1 - diff / opts.levelTolerance) * 15 + Math.min(10, depth * 100) + (confirmed ? 15 : 0),
+                breakoutLevel: neckline,
+                invalidationLevel: Math.max(high[a], high[b]),
+                confirmed,
+                breakoutBarsAgo: breakAt >= 0 ? lastIdx - breakAt : null,
+                pivots: [a + offset, b + offset],
+            }));
+        }
+    }
+
+    if (lows.length >= 2) {
+        const [a, b] = lows.slice(-2);
+        const diff = Math.abs(low[a] - low[b]) / Math.min(low[a], low[b]);
+        const neckline = Math.max(...high.slice(a, b + 1));
+        const depth = (neckline - Math.max(low[a], low[b])) / Math.max(low[a], low[b]);
+        const breakAt = firstBreak(close, b, () => neckline, false);
+        const stale = breakAt >= 0 && lastIdx - breakAt > opts.maxBreakAge;
+        if (diff <= opts.levelTolerance && depth >= opts.minRetrace && b - a >= 5 && !stale) {
+            const confirmed = breakAt >= 0 && last > neckline;
+            found.push(pattern({
+                name: 'DOUBLE_BOTTOM',
+                type: 'chart',
+                direction: 'BULLISH',
+                confidence: 50 + (1 - diff / opts.levelTolerance) * 15 + Math.min(10, depth * 100) + (confirmed ? 15 : 0),
+                breakoutLevel: neckline,
+                invalidationLevel: Math.min(low[a], low[b]),
+                confirmed,
+                breakoutBarsAgo: breakAt >= 0 ? lastIdx - breakAt : null,
+                pivots: [a + offset, b + offset],
+            }));
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Head-and-shoulders on the last three swing highs (inverse: swing lows)
+ * The neckline runs through the two troughs between them, extended to the last bar.
+ * Like double tops/bottoms, a neckline break more than maxBreakAge bars old drops the pattern.
+ */
+function detectHeadAndShoulders(series, highs, lows, offset, opts) {
+    const { high, low, close } = series;
+    const lastIdx = close.length - 1;
+    const found = [];
+
+    const check = (peaks, troughs, inverse) => {
+        if (peaks.length < 3) return;
+        const [l, h, r] = peaks.slice(-3);
+        const values = inverse ? low : high;
+        const head = values[h];
+        const shoulders = [values[l], values[r]];
+        const headDominant = inverse
+            ? head < Math.min(...shoulders) * (1 - opts.levelTolerance)
+            : head > Math.max(...shoulders) * (1 + opts.levelTolerance);
+        const shoulderDiff = Math.abs(shoulders[0] - shoulders[1]) / Math.max(...shoulders);
+        if (!headDominant || shoulderDiff > opts.levelTolerance * 1.5) return;
+
+        // Trough (peak, for inverse) on each side of the head
+        const between = (from, to) => {
+            const inside = troughs.filter(t => t > from && t < to);
+            if (inside.length > 0) return inside[0];
+            const slice = (inverse ? high : low).slice(from, to + 1);
+            const extreme = inverse ? Math.max(...slice) : Math.min(...slice);
+            return from + slice.indexOf(extreme);
+        };
+        const t1 = between(l, h);
+        const t2 = between(h, r);
+        const neckValues = inverse ? high : low;
+        const neck = fitLine([t1, t2], [neckValues[t1], neckValues[t2]]);
+        const neckline = neck.at(lastIdx);
+        const breakAt = firstBreak(close, r, neck.at, !inverse);
+        if (breakAt >= 0 && lastIdx - breakAt > opts.maxBreakAge) return;
+        const confirmed = breakAt >= 0 && (inverse ? close[lastIdx] > neckline : close[lastIdx] < neckline);
+
+        found.push(pattern({
+            name: inverse ? 'INVERSE_HEAD_AND_SHOULDERS' : 'HEAD_AND_SHOULDERS',
+            type: 'chart',
+            direction: inverse ? 'BULLISH' : 'BEARISH',
+            confidence: 55 + (1 - shoulderDiff / (opts.levelTolerance * 1.5)) * 15 + (confirmed ? 20 : 0),
+            breakoutLevel: neckline,
+            invalidationLevel: head,
+            confirmed,
+            breakoutBarsAgo: breakAt >= 0 ? lastIdx - breakAt : null,
+            pivots: [l + offset, h + offset, r + offset],
+        }));
+    };
+
+    check(highs, lows, false);
+    check(lows, highs, true);
+    return found;
+}
+
+/**
+ * Triangles from trendlines fitted through the swing highs and lows
+ */
+function detectTriangle(series, highs, lows, offset, opts) {
+    if (highs.length < 2 || lows.length < 2) return [];
+    const { high, low, close } = series;
+    const lastIdx = close.length - 1;
+    const last = close[lastIdx];
+
+    const upper = fitLine(highs, highs.map(i => high[i]));
+    const lower = fitLine(lows, lows.map(i => low[i]));
+    const upperSlope = upper.slope / last;
+    const lowerSlope = lower.slope / last;
+    const upperFlat = Math.abs(upperSlope) < opts.flatSlope;
+    const lowerFlat = Math.abs(lowerSlope) < opts.flatSlope;
+
+    const upperNow = upper.at(lastIdx);
+    const lowerNow = lower.at(lastIdx);
+    const widthStart = upper.at(Math.min(highs[0], lows[0])) - lower.at(Math.min(highs[0], lows[0]));
+    const widthNow = upperNow - lowerNow;
+    if (widthNow <= 0 || widthNow >= widthStart) return []; // Lines must converge
+
+    let name, direction;
+    if (upperFlat && lowerSlope > 0) { name = 'ASCENDING_TRIANGLE'; direction = 'BULLISH'; }
+    else if (lowerFlat && upperSlope < 0) { name = 'DESCENDING_TRIANGLE'; direction = 'BEARISH'; }
+    else if (upperSlope < 0 && lowerSlope > 0) {
+        name = 'SYMMETRICAL_TRIANGLE';
+        // Continuation of the move into the triangle
+        const first = Math.min(highs[0], lows[0]);
+        direction = close[first] < close[Math.max(0, first - opts.flagPoleBars)] ? 'BEARISH' : 'BULLISH';
+    } else {
+        return [];
+    }
+
+    // A break out of either side overrides the expected direction
+    const touches = highs.length + lows.length;
+    const broken = last > upperNow || last < lowerNow;
+    if (broken) direction = last > upperNow ? 'BULLISH' : 'BEARISH';
+
+    return [pattern({
+        name,
+        type: 'chart',
+        direction,
+        confidence: 45 + Math.min(20, (touches - 4) * 5) + (1 - widthNow / widthStart) * 15 + (broken ? 15 : 0),
+        breakoutLevel: direction === 'BULLISH' ? upperNow : lowerNow,
+        invalidationLevel: direction === 'BULLISH' ? lowerNow : upperNow,
+        confirmed: broken,
+        upperLine: upperNow,
+        lowerLine: lowerNow,
+        pivots: [...highs, ...lows].sort((a, b) => a - b).map(i => i + offset),
+    })];
+}
+
+/**
+ * Bull/bear flag: a sharp pole followed by a tight counter-trend or flat consolidation
+ */
+function detectFlag(series, offset, opts) {
+    const { high, low, close } = series;
+    const n = close.length;
+    const found = [];
+
+    for (let flagBars = 5; flagBars <= 15 && flagBars + opts.flagPoleBars < n; flagBars++) {
+        const poleEnd = n - 1 - flagBars;
+        const poleStart = poleEnd - opts.flagPoleBars;
+        const poleMove = (close[poleEnd] - close[poleStart]) / close[poleStart];
+        if (Math.abs(poleMove) < opts.flagPoleMove) continue;
+
+        const bull = poleMove > 0;
+        const flagHigh = Math.max(...high.slice(poleEnd + 1));
+        const flagLow = Math.min(...low.slice(poleEnd + 1));
+        const poleSize = Math.abs(close[poleEnd] - close[poleStart]);
+        const retrace = bull ? (close[poleEnd] - flagLow) / poleSize : (flagHigh - close[poleEnd]) / poleSize;
+        if (retrace > opts.flagMaxRetrace || retrace < 0) continue;
+
+        const drift = fitLine(Array.from({ length: flagBars }, (_, k) => k), close.slice(poleEnd + 1)).slope / close[poleEnd];
+        // Flag drifts against the pole or sideways
+        if (bull ? drift > opts.flatSlope : drift < -opts.flatSlope) continue;
+
+        const last = close[n - 1];
+        const confirmed = bull ? last >= flagHigh : last <= flagLow;
+        found.push(pattern({
+            name: bull ? 'BULL_FLAG' : 'BEAR_FLAG',
+            type: 'chart',
+            direction: bull ? 'BULLISH' : 'BEARISH',
+            confidence: 50 + Math.min(15, (Math.abs(poleMove) - opts.flagPoleMove) * 100) + (1 - retrace / opts.flagMaxRetrace) * 15 + (confirmed ? 10 : 0),
+            breakoutLevel: bull ? flagHigh : flagLow,
+            invalidationLevel: bull ? flagLow : flagHigh,
+            confirmed,
+            poleMovePct: +(poleMove * 100).toFixed(2),
+            pivots: [poleStart + offset, poleEnd + offset],
+        }));
+        break; // Shortest qualifying flag
+    }
+
+    return found;
+}
+
+/**
+ * Swing-structure patterns over the last `lookback` bars
+ * Works on closes (pivots on closes) or candles (pivots on highs/lows)
+ */
+export function detectChartPatterns(prices, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    if (!prices || prices.length < 20) return [];
+
+    const full = toSeries(prices);
+    const offset = Math.max(0, full.close.length - opts.lookback);
+    const series = {
+        high: full.high.slice(offset),
+        low: full.low.slice(offset),
+        close: full.close.slice(offset),
+    };
+
+    const { highs } = findPivots(series.high, opts.pivotSpan, opts.pivotSpan);
+    const { lows } = findPivots(series.low, opts.pivotSpan, opts.pivotSpan);
+
+    return [
+        ...detectDoubles(series, highs, lows, offset, opts),
+        ...detectHeadAndShoulders(series, highs, lows, offset, opts),
+        ...detectTriangle(series, highs.slice(-4), lows.slice(-4), offset, opts),
+        ...detectFlag(series, offset, opts),
+    ];
+}
+
+/**
+ * All patterns, highest confidence first
+ * @param {number[]|Object[]} prices - Closes or OHLCV candles, oldest first
+ * @param {Object} [options] - Overrides for DEFAULTS
+ * @returns {Object} { patterns: [...], bias: 'BULLISH'|'BEARISH'|'NEUTRAL' }
+ */
+export function detectPatterns(prices, options = {}) {
+    const patterns = [
+        ...detectCandlestickPatterns(prices, options),
+        ...detectChartPatterns(prices, options),
+    ].sort((a, b) => b.confidence - a.confidence);
+
+    const score = patterns.reduce((sum, p) =>
+        sum + (p.direction === 'BULLISH' ? 1 : p.direction === 'BEARISH' ? -1 : 0) * p.confidence, 0);
+
+    return {
+        patterns,
+        bias: score > 25 ? 'BULLISH' : score < -25 ? 'BEARISH' : 'NEUTRAL',
+    };
+}
+
+/**
+ * Short label, e.g. "Double Bottom (72%)"
+ */
+export function describePattern(p) {
+    const name = p.name.toLowerCase().split('_').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+    return `${name} (${p.confidence}%)`;
+}
+
+export default {
+    detectCandlestickPatterns,
+    detectChartPatterns,
+    detectPatterns,
+    describePattern,
+};
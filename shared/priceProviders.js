@@ -0,0 +1,186 @@
+// Price Provider Registry for all DUCKMON Agents
+// Each provider quotes a token in MON; priceService queries them concurrently and aggregates
+import fs from 'fs';
+import { formatEther, parseEther } from 'viem';
+import { contracts, LENS_ABI, ROUTER_ABI, PRICE_ORACLE_CONFIG } from './config.js';
+import { getPublicClient } from './wallet.js';
+import { scheduledFetch } from './requestScheduler.js';
+
+/**
+ * Provider shape:
+ * {
+ *   name: string,
+ *   streamable?: boolean,        // Cheap enough to re-quote on every block (on-chain or local)
+ *   supports(address): boolean,
+ *   fetchQuote(address): Promise<{ price: number, meta?: Object } | null>
+ * }
+ * `price` is always MON per token. `meta` carries optional market data (volume, liquidity, ...).
+ */
+const _providers = new Map(); // name -> provider
+
+export function registerPriceProvider(provider) {
+    if (!provider?.name || typeof provider.fetchQuote !== 'function') {
+        throw new Error('Price provider requires a name and fetchQuote()');
+    }
+    _providers.set(provider.name, { supports: () => true, ...provider });
+}
+
+export function unregisterPriceProvider(name) {
+    return _providers.delete(name);
+}
+
+export function getPriceProviders(address, { streamableOnly = false } = {}) {
+    let list = [..._providers.values()];
+    if (streamableOnly) list = list.filter(p => p.streamable);
+    return address ? list.filter(p => p.supports(address)) : list;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DEXSCREENER (off-chain API, any token, carries market metadata)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Raw DexScreener pairs for a token (shared cache with the price provider)
+ * @returns {Promise<Object[]>} DexScreener pair objects, possibly empty
+ */
+export async function fetchDexScreenerPairs(address) {
+    const data = await scheduledFetch(`https://api.dexscreener.com/latest/dex/tokens/${address}`, {
+        timeout: PRICE_ORACLE_CONFIG.PROVIDER_TIMEOUT,
+    });
+    return data.pairs || [];
+}
+
+export const dexScreenerProvider = {
+    name: 'DexScreener',
+    supports: () => true,
+    async fetchQuote(address) {
+        const pairs = await fetchDexScreenerPairs(address);
+        if (pairs.length === 0) return null;
+
+        // Find the best pair (highest liquidity), preferring pools where the token is priced in MON;
+        // priceNative of a USDC-quoted pool is not a MON price, so such pools only contribute metadata
+        const wmon = contracts.WMON.toLowerCase();
+        const byLiquidity = [...pairs].sort((a, b) =>
+            (parseFloat(b.liquidity?.usd || 0)) - (parseFloat(a.liquidity?.usd || 0))
+        );
+        const monPair = byLiquidity.find(p => p.baseToken?.address?.toLowerCase() === address.toLowerCase()
+            && p.quoteToken?.address?.toLowerCase() === wmon);
+        const pair = monPair || byLiquidity[0];
+
+        const price = monPair ? parseFloat(pair.priceNative || 0) : null;
+
+        return {
+            price: price > 0 ? price : null,
+            meta: {
+                priceUsd: monPair ? parseFloat(pair.priceUsd || 0) : 0,
+                priceNative: price > 0 ? price : 0,
+                volume: parseFloat(pair.volume?.h24 || 0),
+                priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
+                priceChange1h: parseFloat(pair.priceChange?.h1 || 0),
+                priceChange5m: parseFloat(pair.priceChange?.m5 || 0),
+                liquidity: parseFloat(pair.liquidity?.usd || 0),
+                marketCap: parseFloat(pair.marketCap || pair.fdv || 0),
+                buys24h: pair.txns?.h24?.buys || 0,
+                sells24h: pair.txns?.h24?.sells || 0,
+                buys1h: pair.txns?.h1?.buys || 0,
+                sells1h: pair.txns?.h1?.sells || 0,
+                pairAddress: pair.pairAddress || null,
+                tokenSymbol: pair.baseToken?.symbol || 'UNKNOWN',
+                tokenName: pair.baseToken?.name || 'Unknown Token',
+            },
+        };
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// NAD.FUN LENS (on-chain, bonding curve or graduated DEX via Lens routing)
+// ═══════════════════════════════════════════════════════════════════
+
+export const lensProvider = {
+    name: 'nad.fun Lens',
+    streamable: true,
+    supports: (address) => address.toLowerCase() !== contracts.WMON.toLowerCase(),
+    async fetchQuote(address) {
+        const publicClient = getPublicClient();
+        const result = await publicClient.readContract({
+            address: contracts.LENS,
+            abi: LENS_ABI,
+            functionName: 'getAmountOut',
+            args: [address, parseEther('1'), false],
+        });
+
+        // Selling 1 token returns N MON -> price = N MON per token. Same side as the router
+        // quote, so the bid/ask spread of a thin curve doesn't read as the sources disagreeing.
+        const price = Number(formatEther(result[1]));
+        if (!(price > 0)) return null;
+        if (price < 0.0000001 || price > 1000) return null; // Sanity bounds
+
+        return { price };
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// DEX ROUTER (on-chain, graduated tokens with a WMON pool)
+// ═══════════════════════════════════════════════════════════════════
+
+export const dexRouterProvider = {
+    name: 'DEX Router',
+    streamable: true,
+    supports: (address) => address.toLowerCase() !== contracts.WMON.toLowerCase(),
+    async fetchQuote(address) {
+        const publicClient = getPublicClient();
+        const amounts = await publicClient.readContract({
+            address: contracts.DEX_ROUTER,
+            abi: ROUTER_ABI,
+            functionName: 'getAmountsOut',
+            args: [parseEther('1'), [address, contracts.WMON]],
+        });
+
+        // Selling 1 token returns N MON -> price = N MON per token
+        const price = Number(formatEther(amounts[amounts.length - 1]));
+        return price > 0 ? { price } : null;
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// LOCAL FIXTURES (file or in-memory prices for dev and offline runs)
+// ═══════════════════════════════════════════════════════════════════
+
+const _fixtures = new Map(); // tokenAddress (lowercase) -> price in MON
+
+function loadFixtureFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+        const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const [address, price] of Object.entries(entries)) {
+            _fixtures.set(address.toLowerCase(), Number(price));
+        }
+    } catch (error) {
+        console.log(`\x1b[31m[PRICE]\x1b[0m Fixture file unreadable: ${error.message}`);
+    }
+}
+
+export function setFixturePrice(tokenAddress, price) {
+    _fixtures.set(tokenAddress.toLowerCase(), price);
+}
+
+export function clearFixturePrices() {
+    _fixtures.clear();
+}
+
+export const fixtureProvider = {
+    name: 'Fixture',
+    streamable: true,
+    supports: (address) => _fixtures.has(address.toLowerCase()),
+    async fetchQuote(address) {
+        const price = _fixtures.get(address.toLowerCase());
+        return price > 0 ? { price } : null;
+    },
+};
+
+// Default registry
+loadFixtureFile(PRICE_ORACLE_CONFIG.FIXTURE_FILE);
+registerPriceProvider(dexScreenerProvider);
+registerPriceProvider(lensProvider);
+registerPriceProvider(dexRouterProvider);
+registerPriceProvider(fixtureProvider);
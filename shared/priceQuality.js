@@ -0,0 +1,120 @@
+// Price Tick Quality for all DUCKMON Agents
+// Freshness, source confidence and spike detection against each token's recent ticks.
+// Quarantined ticks are still returned by fetchPrice() (flagged) but must not feed
+// indicator histories, candles or on-chain signals.
+import { PRICE_QUALITY_CONFIG } from './config.js';
+import { now } from './clock.js';
+
+const _windows = new Map(); // tokenAddress (lowercase) -> { prices: number[], pending: number[] }
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function getWindow(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (!_windows.has(key)) _windows.set(key, { prices: [], pending: [] });
+    return _windows.get(key);
+}
+
+/**
+ * How much to trust a quote given how it was produced (0-1)
+ */
+function sourceConfidence(data) {
+    if (data.source === 'cached') return 0.2; // Last-known fallback, no live source answered
+    const agg = data.aggregation;
+    if (!agg) return 0.5;
+
+    let confidence = agg.acceptedCount >= 3 ? 0.95 : agg.acceptedCount === 2 ? 0.85 : 0.65;
+    if (!agg.consensus) confidence *= 0.5;
+    if (agg.spread > 2) confidence *= 0.8;
+    return confidence;
+}
+
+function freshness(quotedAt) {
+    const ageMs = quotedAt ? Math.max(0, now() - quotedAt) : null;
+    const fresh = ageMs !== null && ageMs <= PRICE_QUALITY_CONFIG.MAX_AGE_MS;
+    return { ageMs, fresh };
+}
+
+/**
+ * Assess a new tick and, if accepted, add it to the token's baseline window
+ * @param {string} tokenAddress
+ * @param {Object} data - fetchPrice()-shaped result ({ price, source, aggregation })
+ * @param {number} [quotedAt=data.timestamp] - When the price was actually quoted
+ * @returns {Object} { ageMs, fresh, confidence, deviationPct, spike, confirmedMove, quarantined, reasons }
+ */
+export function assessTick(tokenAddress, data, quotedAt = data.timestamp) {
+    const { ageMs, fresh } = freshness(quotedAt);
+    const reasons = [];
+    if (data.source === 'cached') reasons.push('fallback');
+    if (!fresh) reasons.push('stale');
+
+    const window = getWindow(tokenAddress);
+    let deviationPct = null;
+    let spike = false;
+    let confirmedMove = false;
+
+    if (window.prices.length >= PRICE_QUALITY_CONFIG.MIN_WINDOW) {
+        const baseline = median(window.prices);
+        const mad = median(window.prices.map(p => Math.abs(p - baseline)));
+        const deviation = (data.price - baseline) / baseline;
+        deviationPct = +(deviation * 100).toFixed(3);
+        spike = Math.abs(deviation) > PRICE_QUALITY_CONFIG.SPIKE_THRESHOLD
+            && Math.abs(data.price - baseline) > PRICE_QUALITY_CONFIG.SPIKE_MAD_MULTIPLE * Math.max(mad, baseline * 0.001);
+    }
+
+    // Stale or fallback ticks never touch the baseline
+    if (reasons.length === 0) {
+        if (spike) {
+            window.pending.push(data.price);
+            const level = median(window.pending);
+            const agreeing = window.pending.every(p => Math.abs(p - level) / level <= PRICE_QUALITY_CONFIG.CONFIRM_TOLERANCE);
+            if (!agreeing) window.pending = [data.price];
+
+            if (window.pending.length >= PRICE_QUALITY_CONFIG.CONFIRM_TICKS) {
+                // Sustained move: the new level becomes the baseline
+                window.prices = [...window.pending];
+                window.pending = [];
+                spike = false;
+                confirmedMove = true;
+            } else {
+                reasons.push('spike');
+            }
+        } else {
+            window.pending = [];
+            window.prices.push(data.price);
+            if (window.prices.length > PRICE_QUALITY_CONFIG.WINDOW) window.prices.shift();
+        }
+    }
+
+    const confidence = sourceConfidence(data) * (fresh ? 1 : 0.5) * (spike ? 0.3 : 1);
+    return {
+        ageMs,
+        fresh,
+        confidence: +confidence.toFixed(3),
+        deviationPct,
+        spike,
+        confirmedMove,
+        quarantined: reasons.length > 0,
+        reasons,
+    };
+}
+
+/**
+ * Re-age a previously assessed tick (cache hits) without re-running spike detection
+ */
+export function refreshQuality(quality, quotedAt) {
+    if (!quality) return null;
+    const { ageMs, fresh } = freshness(quotedAt);
+    const reasons = quality.reasons.filter(r => r !== 'stale');
+    if (!fresh) reasons.push('stale');
+    return { ...quality, ageMs, fresh, quarantined: reasons.length > 0, reasons };
+}
+
+export function resetQuality(tokenAddress) {
+    if (tokenAddress) _windows.delete(tokenAddress.toLowerCase());
+    else _windows.clear();
+}
@@ -0,0 +1,121 @@
+// Price Replay & Recording for all DUCKMON Agents
+// PRICE_RECORD_FILE captures every fetchPrice() response as JSONL, one file per process;
+// PRICE_MODE=replay with PRICE_REPLAY_FILE serves back, for each call, the latest recorded
+// tick at or before the virtual clock, so a replay depends on time and not on call order.
+import fs from 'fs';
+import path from 'path';
+import { REPLAY_CONFIG } from './config.js';
+import { now, setVirtualTime, haltClock } from './clock.js';
+
+const _ticks = new Map(); // tokenAddress (lowercase) -> recorded results, sorted by timestamp
+const _cursors = new Map(); // tokenAddress (lowercase) -> index of the last tick served
+let _loaded = false;
+
+export function isReplayMode() {
+    return REPLAY_CONFIG.MODE === 'replay';
+}
+
+/**
+ * Load a recording and start the virtual clock at its first tick
+ * @returns {number} Ticks loaded
+ */
+export function loadReplay(filePath = REPLAY_CONFIG.REPLAY_FILE) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        throw new Error(`PRICE_MODE=replay needs PRICE_REPLAY_FILE (got ${filePath || 'nothing'})`);
+    }
+
+    _ticks.clear();
+    _cursors.clear();
+    let count = 0;
+    let first = Infinity;
+
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let tick;
+        try { tick = JSON.parse(line); } catch { continue; } // Partial trailing line from a killed recorder
+        if (!tick.tokenAddress || !(tick.price > 0) || !tick.timestamp) continue;
+
+        const key = tick.tokenAddress.toLowerCase();
+        if (!_ticks.has(key)) _ticks.set(key, []);
+        _ticks.get(key).push(tick);
+        first = Math.min(first, tick.timestamp);
+        count++;
+    }
+
+    // Stable sort: cache hits that repeat a timestamp keep their recorded order
+    for (const list of _ticks.values()) list.sort((a, b) => a.timestamp - b.timestamp);
+    if (count > 0) setVirtualTime(first);
+    _loaded = true;
+
+    console.log(`\x1b[35m[REPLAY]\x1b[0m Loaded ${count} ticks for ${_ticks.size} token(s) from ${path.basename(filePath)}`);
+    return count;
+}
+
+/**
+ * Recorded fetchPrice() result for a token as of the virtual clock: the latest tick at or
+ * before now(). Between ticks the same tick is served again, like a live cache hit.
+ * Returns null and halts the clock once now() has moved past the token's last tick.
+ */
+export function nextReplayTick(tokenAddress) {
+    if (!_loaded) loadReplay();
+
+    const key = tokenAddress.toLowerCase();
+    const list = _ticks.get(key) || [];
+    const t = now();
+    let index = _cursors.get(key) ?? -1;
+    const last = list.length - 1;
+
+    if (list.length === 0 || (index >= last && t > list[last].timestamp)) {
+        if (list.length > 0 && index === last) {
+            console.log(`\x1b[35m[REPLAY]\x1b[0m Replay finished for ${tokenAddress.slice(0, 10)}... (${list.length} ticks)`);
+            _cursors.set(key, list.length);
+        }
+        haltClock();
+        return null;
+    }
+
+    while (index < last && list[index + 1].timestamp <= t) index++;
+    index = Math.max(index, 0); // Clock starts at the recording's first tick, maybe another token's
+    _cursors.set(key, index);
+    return { ...list[index], replay: true };
+}
+
+export function getReplayStatus() {
+    return {
+        mode: REPLAY_CONFIG.MODE,
+        tokens: [..._ticks.entries()].map(([key, list]) => ({
+            tokenAddress: key,
+            ticks: list.length,
+            position: Math.min((_cursors.get(key) ?? -1) + 1, list.length),
+        })),
+    };
+}
+
+/**
+ * This process's recording: PRICE_RECORD_FILE with the script name inserted,
+ * e.g. prices.jsonl -> prices.trading-oracle.jsonl, prices.ws-server.jsonl
+ */
+export function recordingFile(filePath = REPLAY_CONFIG.RECORD_FILE) {
+    if (!filePath) return null;
+    const script = path.parse(process.argv[1] || `pid-${process.pid}`);
+    const tag = script.name === 'index' ? path.basename(script.dir) : script.name;
+    const { dir, name, ext } = path.parse(path.resolve(filePath));
+    return path.join(dir, `${name}.${tag}${ext || '.jsonl'}`);
+}
+
+/**
+ * Append a live fetchPrice() result to this process's recording (no-op when unset or replaying)
+ */
+export function recordPrice(result) {
+    const file = recordingFile();
+    if (!file || isReplayMode() || !result) return;
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(result)}\n`);
+    } catch (error) {
+        console.log(`\x1b[31m[REPLAY]\x1b[0m Recording failed: ${error.message}`);
+    }
+}
+
+// Start the virtual clock before agents schedule their loops
+if (isReplayMode()) loadReplay();
@@ -1,14 +1,21 @@
 // Shared Price Fetching Service for all DUCKMON Agents
-// Singleton with caching, rate limiting, and real history building
-import { formatEther, parseEther } from 'viem';
-import { contracts, LENS_ABI, DEXSCREENER_API } from './config.js';
-import { getPublicClient } from './wallet.js';
+// Singleton with caching, multi-source median aggregation, and real history building
+import { contracts, LENS_ABI, PRICE_ORACLE_CONFIG, CANDLE_CONFIG, STREAM_CONFIG } from './config.js';
+import { getPublicClient, getStreamClient } from './wallet.js';
+import { getPriceProviders, fetchDexScreenerPairs } from './priceProviders.js';
+import { recordTick, getCandles, CANDLE_INTERVALS, MON_USD_SERIES } from './candleStore.js';
+import { backfillCandles } from './candleBackfill.js';
+import { mon, usd } from './units.js';
+import { now, sleep } from './clock.js';
+import { assessTick, refreshQuality } from './priceQuality.js';
+import { isReplayMode, nextReplayTick, recordPrice } from './priceReplay.js';
 
 const CACHE_TTL = 5000; // 5 seconds cache
 
 // Per-token caches
 const _caches = new Map(); // tokenAddress -> { data, timestamp }
 let _lastKnownPrice = 0.000019;
+let _lastKnownAt = 0; // When _lastKnownPrice was last quoted live (0 = hardcoded seed)
 
 function getCache(tokenAddress) {
     const key = (tokenAddress || contracts.DUCK_TOKEN).toLowerCase();
@@ -20,147 +27,548 @@ function setCache(tokenAddress, data) {
     _caches.set(key, { data, timestamp: Date.now() });
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// MULTI-SOURCE AGGREGATION
+// ═══════════════════════════════════════════════════════════════════
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timeout after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Query every provider that supports the token, concurrently
+ * @returns {Promise<Object[]>} One entry per provider: { source, price, meta, latencyMs, error }
+ */
+async function collectQuotes(address, providers) {
+    return Promise.all(providers.map(async (provider) => {
+        const started = Date.now();
+        try {
+            const quote = await withTimeout(provider.fetchQuote(address), PRICE_ORACLE_CONFIG.PROVIDER_TIMEOUT);
+            return {
+                source: provider.name,
+                price: quote?.price > 0 ? quote.price : null,
+                meta: quote?.meta || null,
+                latencyMs: Date.now() - started,
+                error: quote?.price > 0 ? null : 'no quote',
+            };
+        } catch (error) {
+            return { source: provider.name, price: null, meta: null, latencyMs: Date.now() - started, error: error.message };
+        }
+    }));
+}
+
+/**
+ * Median with outlier rejection: quotes further than MAX_DEVIATION from the
+ * median of all quotes are rejected, then the median of the rest is used.
+ * If every quote is an outlier (e.g. two sources disagreeing) all are kept
+ * and the result is flagged as lacking consensus.
+ */
+export function aggregateQuotes(quotes) {
+    const valid = quotes.filter(q => q.price > 0);
+    if (valid.length === 0) return null;
+
+    const rawMedian = median(valid.map(q => q.price));
+    const sources = quotes.map(q => {
+        const deviation = q.price > 0 ? (q.price - rawMedian) / rawMedian : null;
+        return {
+            source: q.source,
+            price: q.price,
+            deviation: deviation !== null ? +(deviation * 100).toFixed(3) : null, // % from median
+            accepted: deviation !== null && Math.abs(deviation) <= PRICE_ORACLE_CONFIG.MAX_DEVIATION,
+            latencyMs: q.latencyMs,
+            error: q.error,
+        };
+    });
+
+    let accepted = sources.filter(s => s.accepted);
+    const consensus = accepted.length > 0;
+    if (!consensus) {
+        accepted = sources.filter(s => s.price > 0);
+        accepted.forEach(s => { s.accepted = true; });
+    }
+
+    const prices = accepted.map(s => s.price);
+    const price = median(prices);
+
+    return {
+        price,
+        sources,
+        aggregation: {
+            method: 'median',
+            sourceCount: valid.length,
+            acceptedCount: accepted.length,
+            rejected: sources.filter(s => s.price > 0 && !s.accepted).map(s => s.source),
+            spread: +(((Math.max(...prices) - Math.min(...prices)) / price) * 100).toFixed(3), // %
+            consensus,
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MON/USD REFERENCE RATE
+// ═══════════════════════════════════════════════════════════════════
+
+let _monUsd = { rate: PRICE_ORACLE_CONFIG.MON_USD_RATE, source: PRICE_ORACLE_CONFIG.MON_USD_RATE ? 'config' : null, timestamp: 0 };
+
+function noteMonUsdRate(rate, source) {
+    if (PRICE_ORACLE_CONFIG.MON_USD_RATE || !(rate > 0)) return;
+    _monUsd = { rate, source, timestamp: Date.now() };
+    // Kept as its own candle series so token returns can be measured against MON
+    recordTick(MON_USD_SERIES, { price: rate, timestamp: _monUsd.timestamp });
+}
+
+/**
+ * USD per MON, from MON_USD_RATE, a recent DexScreener WMON-quoted pool, or WMON's own pairs
+ * Falls back to the last known rate (however old) when every source fails
+ * @returns {Promise<number|null>}
+ */
+export async function getMonUsdRate() {
+    if (PRICE_ORACLE_CONFIG.MON_USD_RATE) return PRICE_ORACLE_CONFIG.MON_USD_RATE;
+    if (_monUsd.rate && Date.now() - _monUsd.timestamp < PRICE_ORACLE_CONFIG.MON_USD_TTL) return _monUsd.rate;
+
+    try {
+        const key = contracts.WMON.toLowerCase();
+        const pairs = (await fetchDexScreenerPairs(contracts.WMON))
+            .map(p => normalizePair(p, key))
+            .filter(p => p.priceUsd > 0);
+        const liquidity = pairs.reduce((sum, p) => sum + p.liquidity, 0);
+        if (pairs.length > 0) {
+            const rate = liquidity > 0
+                ? pairs.reduce((sum, p) => sum + p.priceUsd * p.liquidity, 0) / liquidity
+                : pairs[0].priceUsd;
+            noteMonUsdRate(rate, 'DexScreener WMON');
+        }
+    } catch (error) {
+        console.log(`\x1b[33m[PRICE]\x1b[0m MON/USD lookup failed: ${error.message}`);
+    }
+    return _monUsd.rate || null;
+}
+
+export function getMonUsdReference() {
+    return { ..._monUsd, age: _monUsd.timestamp ? Date.now() - _monUsd.timestamp : null };
+}
+
 /**
  * Fetch price for any token on Monad
+ * Queries all registered providers concurrently and returns the median-aggregated quote.
+ * `price`/`priceNative` are MON per token; `priceUsd` is converted with the MON/USD
+ * reference rate, and `prices` carries both as unit-aware { value, currency } objects.
+ * With PRICE_MODE=replay the recorded result as of the virtual clock is returned instead
+ * (no network); with PRICE_RECORD_FILE set every live result is appended to this
+ * process's recording.
+ * Every result carries `quality` (age, source confidence, spike check) and `quarantined`;
+ * quarantined ticks (stale, fallback or spiking) must not feed histories or signal posts.
  * @param {string} [tokenAddress] - Token contract address (defaults to DUCK_TOKEN)
- * @returns {Promise<Object|null>} Price data object
+ * @returns {Promise<Object|null>} Price data object (price in MON) with per-source deviation report
  */
 export async function fetchPrice(tokenAddress) {
     const address = tokenAddress || contracts.DUCK_TOKEN;
+    if (isReplayMode()) return nextReplayTick(address);
+
+    const result = await fetchLivePrice(address);
+    recordPrice(result);
+    return result;
+}
+
+/**
+ * Why a tick must not feed indicator histories or signal posts, or null when it is usable
+ */
+export function quarantineReason(priceData) {
+    if (!priceData?.quarantined) return null;
+    return priceData.quality?.reasons?.join(', ') || 'quarantined';
+}
+
+async function fetchLivePrice(address) {
     const isDuck = address.toLowerCase() === contracts.DUCK_TOKEN.toLowerCase();
 
     // Return cached data if fresh
     const cache = getCache(address);
     if (cache.data && Date.now() - cache.timestamp < CACHE_TTL) {
-        return { ...cache.data, source: 'cache' };
+        const quality = refreshQuality(cache.data.quality, cache.data.timestamp);
+        return { ...cache.data, source: 'cache', quality, quarantined: !!quality?.quarantined };
     }
 
-    // Method 1: DexScreener API (works for any token)
-    try {
-        const apiUrl = `https://api.dexscreener.com/latest/dex/tokens/${address}`;
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 10000);
-
-        const response = await fetch(apiUrl, { signal: controller.signal });
-        clearTimeout(timeout);
-
-        const data = await response.json();
-
-        if (data.pairs && data.pairs.length > 0) {
-            // Find the best pair (highest liquidity)
-            const pair = data.pairs.sort((a, b) =>
-                (parseFloat(b.liquidity?.usd || 0)) - (parseFloat(a.liquidity?.usd || 0))
-            )[0];
-
-            const priceNum = parseFloat(pair.priceNative || pair.priceUsd || 0);
-            if (priceNum > 0) {
-                const result = {
-                    price: priceNum,
-                    priceUsd: parseFloat(pair.priceUsd || 0),
-                    priceNative: parseFloat(pair.priceNative || 0),
-                    timestamp: Date.now(),
-                    source: 'DexScreener',
-                    volume: parseFloat(pair.volume?.h24 || 0),
-                    priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
-                    priceChange1h: parseFloat(pair.priceChange?.h1 || 0),
-                    priceChange5m: parseFloat(pair.priceChange?.m5 || 0),
-                    liquidity: parseFloat(pair.liquidity?.usd || 0),
-                    marketCap: parseFloat(pair.marketCap || pair.fdv || 0),
-                    buys24h: pair.txns?.h24?.buys || 0,
-                    sells24h: pair.txns?.h24?.sells || 0,
-                    buys1h: pair.txns?.h1?.buys || 0,
-                    sells1h: pair.txns?.h1?.sells || 0,
-                    pairAddress: pair.pairAddress || null,
-                    tokenSymbol: pair.baseToken?.symbol || 'UNKNOWN',
-                    tokenName: pair.baseToken?.name || 'Unknown Token',
-                    tokenAddress: address,
-                };
-                if (isDuck) _lastKnownPrice = priceNum;
-                setCache(address, result);
-                return result;
+    const quotes = await collectQuotes(address, getPriceProviders(address));
+    const aggregate = aggregateQuotes(quotes);
+
+    if (aggregate) {
+        // Market metadata comes from the richest accepted source (DexScreener when available)
+        const acceptedNames = new Set(aggregate.sources.filter(s => s.accepted).map(s => s.source));
+        const metaQuote = quotes.find(q => q.meta && acceptedNames.has(q.source)) || quotes.find(q => q.meta);
+        const meta = metaQuote?.meta || {};
+
+        // Keep USD in line with the aggregated MON price
+        if (meta.priceUsd > 0 && meta.priceNative > 0) noteMonUsdRate(meta.priceUsd / meta.priceNative, 'DexScreener');
+        const monUsd = await getMonUsdRate();
+        const priceUsd = monUsd ? aggregate.price * monUsd : 0;
+
+        const result = {
+            volume: 0,
+            priceChange24h: 0,
+            liquidity: 0,
+            ...meta,
+            price: aggregate.price,
+            priceUsd,
+            priceNative: aggregate.price,
+            currency: 'MON',
+            monUsd,
+            prices: { MON: mon(aggregate.price), USD: monUsd ? usd(priceUsd) : null },
+            timestamp: Date.now(),
+            source: [...acceptedNames].join('+'),
+            sources: aggregate.sources,
+            aggregation: aggregate.aggregation,
+            tokenAddress: address,
+        };
+
+        // Spiking ticks are returned flagged but kept out of the fallback price and candles
+        result.quality = assessTick(address, result);
+        result.quarantined = result.quality.quarantined;
+
+        setCache(address, result);
+        if (!result.quarantined) {
+            if (isDuck) {
+                _lastKnownPrice = aggregate.price;
+                _lastKnownAt = result.timestamp;
             }
+            recordTick(address, { price: result.price, volume24h: result.volume, timestamp: result.timestamp });
         }
+        return result;
+    }
+
+    // Fallback: last known price (only for DUCK), always stale and quarantined
+    if (isDuck && _lastKnownPrice > 0) {
+        const monUsd = _monUsd.rate || null;
+        const fallback = {
+            price: _lastKnownPrice,
+            priceUsd: monUsd ? _lastKnownPrice * monUsd : 0,
+            currency: 'MON',
+            monUsd,
+            prices: { MON: mon(_lastKnownPrice), USD: monUsd ? usd(_lastKnownPrice * monUsd) : null },
+            timestamp: Date.now(),
+            source: 'cached',
+            volume: 0,
+            tokenAddress: address,
+        };
+        fallback.quality = assessTick(address, fallback, _lastKnownAt);
+        fallback.quarantined = true;
+        return fallback;
+    }
+
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MULTI-PAIR LIQUIDITY VIEW
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a DexScreener pair from the token's point of view
+ * DexScreener lists pairs where the token is either side; prices are always for the base token
+ */
+function normalizePair(pair, key) {
+    const isBase = pair.baseToken?.address?.toLowerCase() === key;
+    const counter = isBase ? pair.quoteToken : pair.baseToken;
+    const priceNative = parseFloat(pair.priceNative || 0);
+    const basePriceUsd = parseFloat(pair.priceUsd || 0);
+
+    // Token priced in the counter token, and in USD
+    const priceQuote = isBase ? priceNative : (priceNative > 0 ? 1 / priceNative : 0);
+    const priceUsd = isBase ? basePriceUsd : (priceNative > 0 ? basePriceUsd / priceNative : 0);
+
+    return {
+        pairAddress: pair.pairAddress || null,
+        dexId: pair.dexId || 'unknown',
+        chainId: pair.chainId || null,
+        quoteToken: {
+            address: counter?.address || null,
+            symbol: counter?.symbol || 'UNKNOWN',
+        },
+        priceQuote,
+        priceUsd,
+        liquidity: parseFloat(pair.liquidity?.usd || 0),
+        volume24h: parseFloat(pair.volume?.h24 || 0),
+        buys24h: pair.txns?.h24?.buys || 0,
+        sells24h: pair.txns?.h24?.sells || 0,
+    };
+}
+
+/**
+ * Every DexScreener pair for a token, with a liquidity-weighted aggregate price
+ * Pairs are compared in USD (the common unit); `price` is in MON, converted through the
+ * MON/USD rate implied by the token's own WMON pairs when the counter token is not WMON
+ * @param {string} [tokenAddress] - Token contract address (defaults to DUCK_TOKEN)
+ * @returns {Promise<Object|null>} { pairs, price, priceUsd, totalLiquidity, totalVolume24h, fragmentation } or null
+ */
+export async function fetchPairs(tokenAddress) {
+    const address = tokenAddress || contracts.DUCK_TOKEN;
+    const key = address.toLowerCase();
+    const wmon = contracts.WMON.toLowerCase();
+
+    let rawPairs;
+    try {
+        rawPairs = await fetchDexScreenerPairs(address);
     } catch (error) {
-        // Fall through to Lens (only for DUCK)
+        console.log(`\x1b[31m[PRICE]\x1b[0m Pair lookup failed: ${error.message}`);
+        return null;
     }
 
-    // Method 2: Lens contract (on-chain, only for DUCK/nad.fun tokens)
-    if (isDuck) {
-        try {
-            const publicClient = getPublicClient();
-            const amountIn = parseEther('1');
-            const result = await publicClient.readContract({
-                address: contracts.LENS,
-                abi: LENS_ABI,
-                functionName: 'getAmountOut',
-                args: [contracts.DUCK_TOKEN, amountIn, true],
-            });
+    const pairs = rawPairs.map(p => normalizePair(p, key)).filter(p => p.priceUsd > 0);
+    if (pairs.length === 0) return null;
 
-            const duckPerMon = Number(formatEther(result[1]));
-            const priceInMon = duckPerMon > 0 ? 1 / duckPerMon : _lastKnownPrice;
+    const monPairs = pairs.filter(p => p.quoteToken.address?.toLowerCase() === wmon && p.priceQuote > 0);
+    const monLiquidity = monPairs.reduce((sum, p) => sum + p.liquidity, 0);
+    const monUsd = monPairs.length > 0
+        ? (monLiquidity > 0
+            ? monPairs.reduce((sum, p) => sum + (p.priceUsd / p.priceQuote) * p.liquidity, 0) / monLiquidity
+            : monPairs[0].priceUsd / monPairs[0].priceQuote)
+        : null;
 
-            if (priceInMon < 0.0000001 || priceInMon > 1000) {
-                return { price: _lastKnownPrice, timestamp: Date.now(), source: 'cached', volume: 0, tokenAddress: address };
-            }
+    const totalLiquidity = pairs.reduce((sum, p) => sum + p.liquidity, 0);
+    const totalVolume24h = pairs.reduce((sum, p) => sum + p.volume24h, 0);
+
+    // Pairs without reported liquidity get equal weight only if nothing has liquidity
+    const weightOf = (p) => (totalLiquidity > 0 ? p.liquidity : 1);
+    const totalWeight = pairs.reduce((sum, p) => sum + weightOf(p), 0);
+    const priceUsd = pairs.reduce((sum, p) => sum + p.priceUsd * weightOf(p), 0) / totalWeight;
+
+    for (const p of pairs) {
+        p.price = monUsd ? p.priceUsd / monUsd : null; // MON per token
+        p.deviation = +(((p.priceUsd - priceUsd) / priceUsd) * 100).toFixed(3); // % from weighted price
+        p.liquidityShare = totalLiquidity > 0 ? +(p.liquidity / totalLiquidity).toFixed(4) : 0;
+    }
+    pairs.sort((a, b) => b.liquidity - a.liquidity);
+
+    if (monUsd) noteMonUsdRate(monUsd, 'DexScreener pairs');
+
+    const shares = pairs.map(p => p.liquidityShare);
+    return {
+        tokenAddress: address,
+        pairs,
+        price: monUsd ? priceUsd / monUsd : null,
+        priceUsd,
+        monUsd,
+        totalLiquidity,
+        totalVolume24h,
+        fragmentation: {
+            pairCount: pairs.length,
+            dexCount: new Set(pairs.map(p => p.dexId)).size,
+            topPairShare: shares[0] || 0,
+            hhi: +shares.reduce((sum, s) => sum + s * s, 0).toFixed(4), // 1 = single pool, -> 0 = fragmented
+            maxDeviation: Math.max(...pairs.map(p => Math.abs(p.deviation))),
+        },
+        timestamp: Date.now(),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REAL-TIME STREAMING (block subscriptions)
+// ═══════════════════════════════════════════════════════════════════
 
-            _lastKnownPrice = priceInMon;
-            const data = {
-                price: priceInMon,
-                timestamp: Date.now(),
-                source: 'nad.fun Lens',
-                volume: 0,
-                priceChange24h: 0,
-                liquidity: 0,
-                tokenAddress: address,
+const _subscriptions = new Map(); // tokenAddress (lowercase) -> { address, handlers, lastPrice }
+let _unwatchBlocks = null;
+let _streamBusy = false;
+let _lastStreamUpdate = 0;
+
+async function onStreamBlock(block) {
+    const now = Date.now();
+    if (_streamBusy || now - _lastStreamUpdate < STREAM_CONFIG.MIN_UPDATE_INTERVAL) return;
+    _streamBusy = true;
+    _lastStreamUpdate = now;
+
+    try {
+        await Promise.all([..._subscriptions.values()].map(async (sub) => {
+            const quotes = await collectQuotes(sub.address, getPriceProviders(sub.address, { streamableOnly: true }));
+            const aggregate = aggregateQuotes(quotes);
+            if (!aggregate || aggregate.price === sub.lastPrice) return;
+
+            const update = {
+                tokenAddress: sub.address,
+                price: aggregate.price,
+                priceUsd: _monUsd.rate ? aggregate.price * _monUsd.rate : 0,
+                currency: 'MON',
+                previousPrice: sub.lastPrice,
+                change: sub.lastPrice ? ((aggregate.price - sub.lastPrice) / sub.lastPrice) * 100 : 0,
+                blockNumber: block.number !== undefined && block.number !== null ? Number(block.number) : null,
+                timestamp: now,
+                source: 'stream',
+                sources: aggregate.sources,
+                aggregation: aggregate.aggregation,
             };
-            setCache(address, data);
-            return data;
-        } catch (error) {
-            // Fall through to cached
-        }
+            update.quality = assessTick(sub.address, update);
+            update.quarantined = update.quality.quarantined;
+
+            if (!update.quarantined) {
+                sub.lastPrice = aggregate.price;
+                if (sub.address.toLowerCase() === contracts.DUCK_TOKEN.toLowerCase()) {
+                    _lastKnownPrice = aggregate.price;
+                    _lastKnownAt = now;
+                }
+                recordTick(sub.address, { price: aggregate.price, timestamp: now });
+            }
+
+            for (const handler of sub.handlers) {
+                try { handler(update); }
+                catch (error) { console.log(`\x1b[31m[PRICE]\x1b[0m Stream handler error: ${error.message}`); }
+            }
+        }));
+    } finally {
+        _streamBusy = false;
     }
+}
 
-    // Method 3: Last known price (only for DUCK)
-    if (isDuck && _lastKnownPrice > 0) {
-        return { price: _lastKnownPrice, timestamp: Date.now(), source: 'cached', volume: 0, tokenAddress: address };
+function startStream() {
+    if (_unwatchBlocks) return;
+    _unwatchBlocks = getStreamClient().watchBlocks({
+        onBlock: (block) => { onStreamBlock(block).catch(() => {}); },
+        onError: (error) => console.log(`\x1b[31m[PRICE]\x1b[0m Block stream error: ${error.message}`),
+        emitMissed: false,
+    });
+}
+
+function stopStream() {
+    if (!_unwatchBlocks) return;
+    _unwatchBlocks();
+    _unwatchBlocks = null;
+}
+
+/**
+ * Stream price updates for a token, re-quoted from on-chain sources as new blocks arrive
+ * Handlers only fire when the aggregated price changes
+ * @param {string} [tokenAddress] - Token contract address (defaults to DUCK_TOKEN)
+ * @param {Function} handler - Called with { tokenAddress, price, previousPrice, change, blockNumber, timestamp, sources, quality, quarantined }
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(tokenAddress, handler) {
+    const address = tokenAddress || contracts.DUCK_TOKEN;
+    const key = address.toLowerCase();
+    if (isReplayMode()) return () => {}; // Replays are driven by fetchPrice(), not blocks
+
+    if (!_subscriptions.has(key)) {
+        const cached = getCache(address).data;
+        _subscriptions.set(key, { address, handlers: new Set(), lastPrice: cached?.price || null });
     }
+    _subscriptions.get(key).handlers.add(handler);
+    startStream();
 
-    return null;
+    return () => {
+        const sub = _subscriptions.get(key);
+        if (!sub) return;
+        sub.handlers.delete(handler);
+        if (sub.handlers.size === 0) _subscriptions.delete(key);
+        if (_subscriptions.size === 0) stopStream();
+    };
+}
+
+export function getStreamStatus() {
+    return {
+        active: !!_unwatchBlocks,
+        transport: STREAM_CONFIG.WS_RPC_URL ? 'websocket' : 'http-polling',
+        subscriptions: [..._subscriptions.values()].map(s => ({
+            tokenAddress: s.address,
+            handlers: s.handlers.size,
+            lastPrice: s.lastPrice,
+        })),
+        lastUpdate: _lastStreamUpdate || null,
+    };
+}
+
+/**
+ * Traded MON in the stored candles that opened after `since`
+ * The per-point volume for analysis series: fetchPrice()'s `volume` is a 24h USD snapshot
+ * and must not be mixed into them.
+ * @param {string} [tokenAddress] - Token contract address (defaults to DUCK_TOKEN)
+ * @param {number|null} since - Timestamp of the previous point (null: no previous point, 0 volume)
+ * @returns {number}
+ */
+export function tradedVolumeSince(tokenAddress, since) {
+    if (!since) return 0;
+    const address = tokenAddress || contracts.DUCK_TOKEN;
+    const ms = CANDLE_INTERVALS[CANDLE_CONFIG.HISTORY_INTERVAL];
+    const bars = Math.min(CANDLE_CONFIG.MAX_CANDLES, Math.ceil((now() - since) / ms) + 1);
+    if (!(bars > 0)) return 0;
+    return getCandles(address, CANDLE_CONFIG.HISTORY_INTERVAL, bars)
+        .filter(c => c.time > since)
+        .reduce((sum, c) => sum + (c.volume || 0), 0);
 }
 
 /**
  * Build real price history at proper intervals
+ * Seeds from persisted candles first, backfills from on-chain Swap logs when the
+ * store is short, then polls only for the missing points
  * @param {string} [tokenAddress] - Token contract address (defaults to DUCK_TOKEN)
  * @param {number} [count=50] - Number of data points
  * @param {number} [intervalMs=3000] - Interval between data points
  * @param {Object} [log=null] - Logger object
+ * @returns {Promise<Object[]>} Points { price, volume (traded MON since the previous point), timestamp, ... }
  */
 export async function buildHistory(tokenAddress, count = 50, intervalMs = 3000, log = null) {
-    const history = [];
+    const address = tokenAddress || contracts.DUCK_TOKEN;
+    // Only bars inside the window are contiguous with live ticks; older ones predate downtime
+    const window = count * CANDLE_INTERVALS[CANDLE_CONFIG.HISTORY_INTERVAL];
+    const loadStored = () => getCandles(address, CANDLE_CONFIG.HISTORY_INTERVAL, count)
+        .filter(c => c.time >= now() - window)
+        .map(c => ({
+            price: c.close,
+            volume: c.volume || 0, // Traded MON in the bar (reconstructed by the backfill)
+            timestamp: c.time,
+            source: 'candles',
+            tokenAddress: address,
+        }));
+    // Live ticks carry traded MON since the previous point instead of the 24h USD volume
+    const livePoint = (tick) => ({ ...tick, volume: tradedVolumeSince(address, history[history.length - 1]?.timestamp ?? null) });
+
+    // Replays build history from the recording alone
+    let history = isReplayMode() ? [] : loadStored();
+    if (log && history.length > 0) {
+        log.success(`Restored ${history.length} ${CANDLE_CONFIG.HISTORY_INTERVAL} candles from disk`);
+    }
+    if (history.length >= count) return history;
 
     // First fetch to get initial price
-    const initial = await fetchPrice(tokenAddress);
+    const initial = await fetchPrice(address);
     if (!initial) {
         if (log) log.error('Cannot build history - no price data available');
         return history;
     }
-    history.push(initial);
-
-    // Build history with actual time separation
-    for (let i = 1; i < count; i++) {
-        await new Promise(r => setTimeout(r, intervalMs));
-        const data = await fetchPrice(tokenAddress);
-        if (data) {
-            history.push(data);
+
+    // Reconstruct the missing window from on-chain trades before falling back to polling
+    if (initial.pairAddress && !isReplayMode()) {
+        const hours = Math.ceil(window / 3_600_000);
+        const backfill = await backfillCandles(address, { pairAddress: initial.pairAddress, hours, log });
+        if (backfill.trades > 0) {
+            history = loadStored();
+            if (history.length >= count) return history;
+        }
+    }
+    const stored = history.length;
+    if (!initial.quarantined) history.push(livePoint(initial));
+
+    // Build history with actual time separation (stale/spiking ticks are skipped)
+    const remaining = count - history.length;
+    for (let i = 1; i <= remaining; i++) {
+        await sleep(intervalMs);
+        const data = await fetchPrice(address);
+        if (data && !data.quarantined) {
+            history.push(livePoint(data));
         }
         if (log && i % 10 === 0) {
-            process.stdout.write(`\r  Price history: ${i + 1}/${count} points`);
+            process.stdout.write(`\r  Price history: ${history.length}/${count} points`);
         }
     }
 
     if (log) {
-        process.stdout.write(`\r  Price history: ${count}/${count} points\n`);
-        log.success(`Collected ${history.length} data points over ${((count * intervalMs) / 1000).toFixed(0)}s`);
+        process.stdout.write(`\r  Price history: ${history.length}/${count} points\n`);
+        log.success(`Collected ${history.length - stored} live data points over ${((remaining * intervalMs) / 1000).toFixed(0)}s`);
     }
 
     return history;
@@ -0,0 +1,296 @@
+// Shared Statistical Regime Detection for all DUCKMON Agents
+// A Gaussian hidden Markov model over two features of the log returns, fitted with
+// Baum-Welch on each call: the rolling mean return (drift) and the log rolling standard
+// deviation (volatility). Fitted states are labeled by drift and volatility, the current
+// regime comes from the filtered (forward) probabilities, and the last regime shift from
+// the Viterbi path.
+import { toCloses } from './technical-analysis.js';
+
+const DEFAULTS = {
+    states: 3,
+    window: 10,             // Bars per rolling drift/volatility feature
+    iterations: 50,
+    tolerance: 1e-6,
+    minReturns: 40,         // Fewer returns than this can't support a 3-state fit
+    stayProbability: 0.9,   // Initial transition-matrix diagonal
+    trendRatio: 0.3,        // |drift / volatility| above this labels a state as trending
+    volatileRatio: 1.8,     // Volatility above this multiple of the calmest state's is "volatile"
+};
+
+export const REGIMES = ['TRENDING_UP', 'TRENDING_DOWN', 'RANGING_CALM', 'VOLATILE_CHOPPY'];
+
+const LOG_2PI = Math.log(2 * Math.PI);
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function variance(values) {
+    const m = mean(values);
+    return values.reduce((s, x) => s + (x - m) ** 2, 0) / values.length;
+}
+
+/**
+ * Rolling [mean return, log std] over `window` returns; observation t ends at return t + window - 1
+ */
+function toFeatures(returns, window) {
+    const floor = Math.sqrt(variance(returns)) * 1e-3;
+    const obs = [];
+    for (let t = window - 1; t < returns.length; t++) {
+        const slice = returns.slice(t - window + 1, t + 1);
+        obs.push([mean(slice), Math.log(Math.sqrt(variance(slice)) + floor)]);
+    }
+    return obs;
+}
+
+/** Log density of a diagonal Gaussian */
+function logEmission(x, means, variances) {
+    let log = 0;
+    for (let d = 0; d < x.length; d++) {
+        log -= 0.5 * (LOG_2PI + Math.log(variances[d]) + ((x[d] - means[d]) ** 2) / variances[d]);
+    }
+    return log;
+}
+
+function emission(x, means, variances) {
+    return Math.max(Math.exp(logEmission(x, means, variances)), Number.MIN_VALUE);
+}
+
+/**
+ * Deterministic k-means (farthest-point seeds) on standardized features as the starting point
+ */
+function initialModel(obs, k, stay, varFloor) {
+    const dims = obs[0].length;
+    const scales = Array.from({ length: dims }, (_, d) => Math.sqrt(variance(obs.map(x => x[d]))) || 1);
+    const z = obs.map(x => x.map((v, d) => v / scales[d]));
+    const dist = (a, b) => a.reduce((s, v, d) => s + (v - b[d]) ** 2, 0);
+
+    // Seed with the calmest observation, then repeatedly the one farthest from every seed
+    const calmest = z.reduce((best, x, t) => (x[dims - 1] < z[best][dims - 1] ? t : best), 0);
+    const centroids = [z[calmest]];
+    while (centroids.length < k) {
+        let far = 0, farDist = -1;
+        z.forEach((x, t) => {
+            const d = Math.min(...centroids.map(c => dist(x, c)));
+            if (d > farDist) { farDist = d; far = t; }
+        });
+        centroids.push(z[far]);
+    }
+
+    let assign = [];
+    for (let iter = 0; iter < 20; iter++) {
+        assign = z.map(x => centroids.reduce((best, c, j) => (dist(x, c) < dist(x, centroids[best]) ? j : best), 0));
+        for (let j = 0; j < k; j++) {
+            const members = z.filter((_, t) => assign[t] === j);
+            if (members.length > 0) centroids[j] = Array.from({ length: dims }, (_, d) => mean(members.map(x => x[d])));
+        }
+    }
+
+    const means = [], variances = [];
+    for (let j = 0; j < k; j++) {
+        const members = obs.filter((_, t) => assign[t] === j);
+        const group = members.length > 0 ? members : obs;
+        means.push(Array.from({ length: dims }, (_, d) => mean(group.map(x => x[d]))));
+        variances.push(Array.from({ length: dims }, (_, d) => Math.max(variance(group.map(x => x[d])), varFloor[d])));
+    }
+
+    const A = Array.from({ length: k }, (_, i) =>
+        Array.from({ length: k }, (_, j) => (i === j ? stay : (1 - stay) / (k - 1))));
+    return { pi: new Array(k).fill(1 / k), A, means, variances };
+}
+
+/**
+ * Scaled forward-backward pass
+ * @returns {Object} { alpha, beta, scale, emit, logLikelihood }
+ */
+function forwardBackward(obs, model) {
+    const { pi, A, means, variances } = model;
+    const T = obs.length, k = pi.length;
+    const emit = obs.map(x => means.map((m, j) => emission(x, m, variances[j])));
+    const alpha = [], beta = new Array(T), scale = [];
+
+    for (let t = 0; t < T; t++) {
+        const row = new Array(k);
+        for (let j = 0; j < k; j++) {
+            const prior = t === 0 ? pi[j] : alpha[t - 1].reduce((s, a, i) => s + a * A[i][j], 0);
+            row[j] = prior * emit[t][j];
+        }
+        const c = row.reduce((a, b) => a + b, 0) || Number.MIN_VALUE;
+        scale.push(c);
+        alpha.push(row.map(v => v / c));
+    }
+
+    beta[T - 1] = new Array(k).fill(1);
+    for (let t = T - 2; t >= 0; t--) {
+        beta[t] = new Array(k);
+        for (let i = 0; i < k; i++) {
+            let sum = 0;
+            for (let j = 0; j < k; j++) sum += A[i][j] * emit[t + 1][j] * beta[t + 1][j];
+            beta[t][i] = sum / scale[t + 1];
+        }
+    }
+
+    return { alpha, beta, scale, emit, logLikelihood: scale.reduce((s, c) => s + Math.log(c), 0) };
+}
+
+/**
+ * Baum-Welch re-estimation until the log-likelihood stops improving
+ */
+function fitModel(obs, opts) {
+    const k = opts.states;
+    const dims = obs[0].length;
+    const varFloor = Array.from({ length: dims }, (_, d) => variance(obs.map(x => x[d])) * 0.01 || 1e-12);
+    let model = initialModel(obs, k, opts.stayProbability, varFloor);
+    let previous = -Infinity;
+    let fb;
+
+    for (let iter = 0; iter < opts.iterations; iter++) {
+        fb = forwardBackward(obs, model);
+        if (fb.logLikelihood - previous < opts.tolerance) break;
+        previous = fb.logLikelihood;
+
+        const T = obs.length;
+        const gamma = fb.alpha.map((a, t) => {
+            const row = a.map((v, i) => v * fb.beta[t][i]);
+            const sum = row.reduce((x, y) => x + y, 0) || 1;
+            return row.map(v => v / sum);
+        });
+
+        // Expected transitions
+        const xiSum = Array.from({ length: k }, () => new Array(k).fill(0));
+        for (let t = 0; t < T - 1; t++) {
+            for (let i = 0; i < k; i++) {
+                for (let j = 0; j < k; j++) {
+                    xiSum[i][j] += fb.alpha[t][i] * model.A[i][j] * fb.emit[t + 1][j] * fb.beta[t + 1][j] / fb.scale[t + 1];
+                }
+            }
+        }
+
+        const A = xiSum.map(row => {
+            const sum = row.reduce((a, b) => a + b, 0);
+            return sum > 0 ? row.map(v => v / sum) : row.map(() => 1 / k);
+        });
+        const means = [], variances = [];
+        for (let j = 0; j < k; j++) {
+            const weight = gamma.reduce((s, g) => s + g[j], 0) || 1e-12;
+            const m = Array.from({ length: dims }, (_, d) => gamma.reduce((s, g, t) => s + g[j] * obs[t][d], 0) / weight);
+            means.push(m);
+            variances.push(Array.from({ length: dims }, (_, d) =>
+                Math.max(gamma.reduce((s, g, t) => s + g[j] * (obs[t][d] - m[d]) ** 2, 0) / weight, varFloor[d])));
+        }
+
+        model = { pi: gamma[0], A, means, variances };
+    }
+
+    return { model, fb: forwardBackward(obs, model) };
+}
+
+/**
+ * Most likely state sequence (log-space Viterbi)
+ */
+function viterbi(obs, model) {
+    const { pi, A, means, variances } = model;
+    const k = pi.length;
+    const logEmit = (x, j) => logEmission(x, means[j], variances[j]);
+    const logA = A.map(row => row.map(v => Math.log(v || Number.MIN_VALUE)));
+
+    let delta = pi.map((p, j) => Math.log(p || Number.MIN_VALUE) + logEmit(obs[0], j));
+    const back = [];
+    for (let t = 1; t < obs.length; t++) {
+        const next = [], ptr = [];
+        for (let j = 0; j < k; j++) {
+            let best = -Infinity, arg = 0;
+            for (let i = 0; i < k; i++) {
+                const v = delta[i] + logA[i][j];
+                if (v > best) { best = v; arg = i; }
+            }
+            next.push(best + logEmit(obs[t], j));
+            ptr.push(arg);
+        }
+        back.push(ptr);
+        delta = next;
+    }
+
+    const path = [delta.indexOf(Math.max(...delta))];
+    for (let t = back.length - 1; t >= 0; t--) path.unshift(back[t][path[0]]);
+    return path;
+}
+
+function labelStates(model, opts) {
+    const drifts = model.means.map(m => m[0]);
+    const vols = model.means.map(m => Math.exp(m[1]));
+    const calmest = Math.min(...vols);
+    return drifts.map((drift, j) => {
+        const ratio = drift / vols[j];
+        const volatile = vols[j] > calmest * opts.volatileRatio;
+        // Volatile states need twice the drift to count as a trend
+        const threshold = volatile ? opts.trendRatio * 2 : opts.trendRatio;
+        if (ratio > threshold) return 'TRENDING_UP';
+        if (ratio < -threshold) return 'TRENDING_DOWN';
+        return volatile ? 'VOLATILE_CHOPPY' : 'RANGING_CALM';
+    });
+}
+
+/**
+ * Classify the market regime from a price series
+ * @param {number[]|Object[]} prices - Closes or candles (candle `time` is used for the shift timestamp), oldest first
+ * @param {Object} [options] - Overrides for DEFAULTS
+ * @returns {Object|null} { regime, confidence, probabilities, states, lastShift, barsInRegime, logLikelihood }
+ *   or null when there is too little data
+ */
+export function detectRegime(prices, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const closes = toCloses(prices) || [];
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+        if (closes[i] > 0 && closes[i - 1] > 0) returns.push(Math.log(closes[i] / closes[i - 1]));
+    }
+    if (returns.length < opts.minReturns || variance(returns) === 0) return null;
+
+    const obs = toFeatures(returns, opts.window);
+    const { model, fb } = fitModel(obs, opts);
+    const labels = labelStates(model, opts);
+    const current = fb.alpha[fb.alpha.length - 1];
+
+    const probabilities = Object.fromEntries(REGIMES.map(r => [r, 0]));
+    current.forEach((p, j) => { probabilities[labels[j]] += p; });
+    const regime = REGIMES.reduce((best, r) => (probabilities[r] > probabilities[best] ? r : best), REGIMES[0]);
+
+    // Last change of label along the Viterbi path. The features trail by about half a window,
+    // so the shift is dated back to the middle of the window that first showed it.
+    const path = viterbi(obs, model).map(j => labels[j]);
+    let shiftAt = null;
+    for (let t = path.length - 1; t > 0; t--) {
+        if (path[t] !== path[t - 1]) { shiftAt = t; break; }
+    }
+    const lag = Math.floor(opts.window / 2);
+    // Observation t ends at return t + window - 1, which belongs to bar t + window
+    const barIndex = shiftAt !== null ? shiftAt + opts.window - lag : null;
+    const bar = barIndex !== null && typeof prices[barIndex] === 'object' ? prices[barIndex] : null;
+
+    return {
+        regime,
+        confidence: +probabilities[regime].toFixed(3),
+        probabilities: Object.fromEntries(Object.entries(probabilities).map(([r, p]) => [r, +p.toFixed(3)])),
+        states: labels.map((label, j) => ({
+            label,
+            meanReturn: model.means[j][0],
+            volatility: Math.exp(model.means[j][1]),
+            stay: +model.A[j][j].toFixed(3),
+            probability: +current[j].toFixed(3),
+        })),
+        lastShift: shiftAt !== null ? {
+            index: barIndex,
+            timestamp: bar?.time ?? bar?.timestamp ?? null,
+            from: path[shiftAt - 1],
+            to: path[shiftAt],
+        } : null,
+        barsInRegime: shiftAt !== null ? closes.length - barIndex : closes.length,
+        logLikelihood: +fb.logLikelihood.toFixed(3),
+    };
+}
+
+export default {
+    REGIMES,
+    detectRegime,
+};
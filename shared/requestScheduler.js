@@ -0,0 +1,272 @@
+// Shared Request Scheduler for all DUCKMON Agents
+// Token bucket per upstream host, request coalescing, 429/Retry-After handling.
+// Bucket state and GET responses live under SCHEDULER_CONFIG.STATE_DIR so every
+// agent process spawned by the orchestrator draws from the same budget and cache.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { SCHEDULER_CONFIG } from './config.js';
+
+const _inflight = new Map();   // url -> Promise (in-process coalescing)
+const _memoryHosts = new Map(); // host -> bucket state when the state dir is unusable
+let _diskRetryAt = 0;           // While in the future, the state dir is skipped after an fs error
+let _cacheWrites = 0;
+
+const stats = {
+    requests: 0,
+    cacheHits: 0,
+    coalesced: 0,
+    throttledMs: 0,
+    rateLimited: 0,
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// sleep() that rejects with the signal's reason as soon as it aborts
+function abortableSleep(ms, signal) {
+    if (!signal) return sleep(ms);
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+const diskEnabled = () => Date.now() >= _diskRetryAt;
+
+function hostLimits(host) {
+    return SCHEDULER_CONFIG.HOST_LIMITS[host] || SCHEDULER_CONFIG.HOST_LIMITS.default;
+}
+
+function stateFile(...parts) {
+    return path.join(SCHEDULER_CONFIG.STATE_DIR, ...parts);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CROSS-PROCESS HOST STATE (mkdir lock + JSON file)
+// ═══════════════════════════════════════════════════════════════════
+
+async function withHostState(host, mutate) {
+    if (!diskEnabled()) {
+        const limits = hostLimits(host);
+        const state = _memoryHosts.get(host) || { tokens: limits.burst, updatedAt: Date.now(), backoffUntil: 0 };
+        const result = mutate(state);
+        _memoryHosts.set(host, state);
+        return result;
+    }
+
+    const file = stateFile('hosts', `${host.replace(/[^a-z0-9.-]/gi, '_')}.json`);
+    const lock = `${file}.lock`;
+
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        for (;;) {
+            try {
+                fs.mkdirSync(lock);
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                try {
+                    if (Date.now() - fs.statSync(lock).mtimeMs > SCHEDULER_CONFIG.LOCK_STALE_MS) fs.rmdirSync(lock);
+                } catch { /* released meanwhile */ }
+                await sleep(5 + Math.random() * 10);
+            }
+        }
+
+        try {
+            const limits = hostLimits(host);
+            let state = { tokens: limits.burst, updatedAt: Date.now(), backoffUntil: 0 };
+            if (fs.existsSync(file)) {
+                try { state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) }; }
+                catch { /* corrupt state resets the bucket */ }
+            }
+            const result = mutate(state);
+            fs.writeFileSync(file, JSON.stringify(state));
+            return result;
+        } finally {
+            fs.rmdirSync(lock);
+        }
+    } catch (error) {
+        console.log(`\x1b[33m[SCHED]\x1b[0m State dir unavailable (${error.message}), using in-process limits for ${SCHEDULER_CONFIG.DISK_RETRY_MS / 1000}s`);
+        _diskRetryAt = Date.now() + SCHEDULER_CONFIG.DISK_RETRY_MS;
+        return withHostState(host, mutate);
+    }
+}
+
+/**
+ * Wait until the host's token bucket (and any shared 429 backoff) allows one request
+ * Rejects with the signal's reason as soon as the caller aborts.
+ */
+async function acquireSlot(host, signal) {
+    const limits = hostLimits(host);
+    const started = Date.now();
+
+    try {
+        for (;;) {
+            signal?.throwIfAborted();
+            const waitMs = await withHostState(host, (state) => {
+                const now = Date.now();
+                const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+                state.tokens = Math.min(limits.burst, state.tokens + elapsed * limits.ratePerSec);
+                state.updatedAt = now;
+
+                if (state.backoffUntil > now) return state.backoffUntil - now;
+                if (state.tokens >= 1) {
+                    state.tokens -= 1;
+                    return 0;
+                }
+                return ((1 - state.tokens) / limits.ratePerSec) * 1000;
+            });
+
+            if (waitMs <= 0) return;
+            await abortableSleep(Math.min(waitMs, 1000) + Math.random() * 20, signal);
+        }
+    } finally {
+        stats.throttledMs += Date.now() - started;
+    }
+}
+
+function parseRetryAfter(response) {
+    const header = response.headers.get('retry-after');
+    if (!header) return SCHEDULER_CONFIG.DEFAULT_RETRY_AFTER;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? SCHEDULER_CONFIG.DEFAULT_RETRY_AFTER : Math.max(0, date - Date.now());
+}
+
+async function backOffHost(host, ms) {
+    stats.rateLimited++;
+    await withHostState(host, (state) => {
+        state.backoffUntil = Math.max(state.backoffUntil || 0, Date.now() + ms);
+        state.tokens = 0;
+    });
+}
+
+/**
+ * fetch() through the host's token bucket, retrying after 429s
+ * @param {Function} [onSlot] - Called each time a slot is granted, just before the request goes out
+ * @returns {Promise<Response>}
+ */
+async function throttledFetch(input, init = {}, onSlot = null) {
+    const url = new URL(typeof input === 'string' ? input : input.url || String(input));
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireSlot(url.host, init.signal);
+        if (onSlot) onSlot();
+        stats.requests++;
+        const response = await fetch(input, init);
+
+        if (response.status !== 429 || attempt >= SCHEDULER_CONFIG.MAX_RETRIES) return response;
+        await backOffHost(url.host, parseRetryAfter(response));
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SHARED RESPONSE CACHE (GET JSON)
+// ═══════════════════════════════════════════════════════════════════
+
+function cacheFile(url) {
+    return stateFile('responses', `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+}
+
+function readCache(url, ttl) {
+    if (!diskEnabled()) return null;
+    try {
+        const entry = JSON.parse(fs.readFileSync(cacheFile(url), 'utf8'));
+        return Date.now() - entry.timestamp < ttl ? entry.body : null;
+    } catch {
+        return null;
+    }
+}
+
+function writeCache(url, body) {
+    if (!diskEnabled()) return;
+    try {
+        const file = cacheFile(url);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ timestamp: Date.now(), url, body }));
+        fs.renameSync(tmp, file);
+        if (++_cacheWrites % 200 === 0) pruneCache(path.dirname(file));
+    } catch { /* cache is best-effort */ }
+}
+
+function pruneCache(dir) {
+    const cutoff = Date.now() - SCHEDULER_CONFIG.CACHE_RETENTION_MS;
+    for (const name of fs.readdirSync(dir)) {
+        const file = path.join(dir, name);
+        try {
+            if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+        } catch { /* removed by another process */ }
+    }
+}
+
+/**
+ * Scheduled JSON GET shared across agent processes
+ * Identical URLs are coalesced in-process and served from the file cache within `ttl`
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.ttl=SCHEDULER_CONFIG.DEFAULT_TTL] - Shared cache freshness (0 disables)
+ * @param {number} [options.timeout=10000] - Abort this many ms after the request leaves the scheduler
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+export async function scheduledFetch(url, { ttl = SCHEDULER_CONFIG.DEFAULT_TTL, timeout = 10000 } = {}) {
+    if (ttl > 0) {
+        const cached = readCache(url, ttl);
+        if (cached) {
+            stats.cacheHits++;
+            return cached;
+        }
+    }
+
+    if (_inflight.has(url)) {
+        stats.coalesced++;
+        return _inflight.get(url);
+    }
+
+    const request = (async () => {
+        // Time the request itself, not the wait for a slot (which can span a shared 429 backoff)
+        const controller = new AbortController();
+        let timer = null;
+        const startTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => controller.abort(), timeout);
+        };
+        try {
+            const response = await throttledFetch(url, { signal: controller.signal }, startTimer);
+            if (!response.ok) throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+            const body = await response.json();
+            if (ttl > 0) writeCache(url, body);
+            return body;
+        } finally {
+            clearTimeout(timer);
+        }
+    })();
+
+    _inflight.set(url, request);
+    try {
+        return await request;
+    } finally {
+        _inflight.delete(url);
+    }
+}
+
+/**
+ * Drop-in `fetchFn` for viem http transports: RPC calls share the host's token bucket
+ * viem's timeout signal also cancels the wait for a slot.
+ */
+export function scheduledRpcFetch(input, init) {
+    return throttledFetch(input, init);
+}
+
+export function getSchedulerStats() {
+    return { ...stats, inflight: _inflight.size, sharedState: diskEnabled() };
+}
@@ -0,0 +1,222 @@
+// Strategy Profiles for all DUCKMON Agents
+// Indicator periods, scoring weights and thresholds per token and per agent, from a JSON
+// file (STRATEGY_PROFILE_FILE, default shared/strategies.json). Resolution order, later wins:
+//   built-in defaults (indicators + agents) -> "defaults" -> token's "preset" -> token overrides
+// The file is re-read when it changes, so edits apply on the next analysis cycle.
+import fs from 'fs';
+import { STRATEGY_CONFIG } from './config.js';
+import { DEFAULT_INDICATOR_PARAMS } from './technical-analysis.js';
+
+// Built-in agent scoring, so a missing or partial profile file still gives complete profiles
+export const DEFAULT_AGENT_PROFILES = {
+    'trading-oracle': {
+        minConfidence: 60,
+        weights: {
+            rsi: 0.17,
+            macd: 0.13,
+            bollinger: 0.13,
+            trend: 0.13,
+            ichimoku: 0.09,
+            stochRSI: 0.09,
+            momentum: 0.08,
+            vwap: 0.05,
+            divergence: 0.13,
+        },
+        thresholds: {
+            rsiOversold: 30,
+            rsiOverbought: 70,
+            bbOversold: 10,
+            bbOverbought: 90,
+            stochOversold: 20,
+            stochOverbought: 80,
+            momentum: 3,
+            vwapDeviation: 0.02,
+            signalScore: 0.15,
+        },
+    },
+    'analysis-engine': {
+        ownShare: 0.6,
+        weights: {
+            rsiExtreme: 0.25,
+            rsi: 0.12,
+            macd: 0.15,
+            macdReversal: 0.08,
+            bollingerExtreme: 0.15,
+            bollinger: 0.08,
+            trend: 0.20,
+            ichimokuStrong: 0.10,
+            ichimoku: 0.05,
+            stochRSI: 0.10,
+            stochCross: 0.05,
+        },
+        thresholds: {
+            rsiExtremeLow: 25,
+            rsiLow: 35,
+            rsiHigh: 65,
+            rsiExtremeHigh: 75,
+            bbExtremeLow: 5,
+            bbLow: 15,
+            bbHigh: 85,
+            bbExtremeHigh: 95,
+            stochLow: 20,
+            stochHigh: 80,
+            stochCrossLow: 30,
+            stochCrossHigh: 70,
+            signalScore: 0.10,
+        },
+    },
+    'prediction-bot': {
+        minConfidence: 55,
+        weights: {
+            linearRegression: 0.25,
+            weightedMA: 0.25,
+            meanReversion: 0.25,
+            momentum: 0.25,
+        },
+        thresholds: {
+            direction: 0.15,            // |ensemble direction| above this calls UP/DOWN
+            baseConfidence: 55,
+            confidenceScale: 50,        // Added confidence per unit of ensemble confidence
+            maxConfidence: 92,
+            highVolatility: 10,         // Volatility % above which confidence is damped
+            volatilityDamping: 0.85,
+        },
+    },
+    'social-sentiment': {
+        minConfidence: 55,
+        weights: {
+            buySell: 0.25,
+            volume: 0.25,
+            momentum: 0.25,
+            activity: 0.25,
+        },
+        thresholds: {
+            veryBullish: 75,
+            bullish: 65,
+            bearish: 35,
+            veryBearish: 25,
+        },
+    },
+    'market-analyzer': {
+        minConfidence: 55,
+        // Health score points added or removed per condition
+        weights: {
+            trend: 15,
+            trendStrength: 0.1,
+            highVolatility: 25,
+            elevatedVolatility: 10,
+            calmVolatility: 10,
+            greed: 5,
+            fear: 10,
+            whale: 10,
+        },
+        thresholds: {
+            whaleMove: 0.03,
+            highVolatility: 8,
+            elevatedVolatility: 5,
+            calmVolatility: 2,
+            greed: 70,
+            fear: 30,
+            healthCritical: 25,
+            healthWarning: 50,
+            patternConfidence: 60,      // Patterns below this are shown but not alerted
+        },
+    },
+};
+
+let _profiles = null;
+let _loadedFrom = null; // { file, mtimeMs }
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function deepMerge(base, override) {
+    if (!isPlainObject(override)) return base;
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        out[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? deepMerge(base[key], value) : value;
+    }
+    return out;
+}
+
+/**
+ * Load (or reload) the profile file
+ * A missing or invalid file keeps the last good profiles, or empty ones on first load
+ */
+export function loadProfiles(file = STRATEGY_CONFIG.PROFILE_FILE) {
+    try {
+        const { mtimeMs } = fs.statSync(file);
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!isPlainObject(parsed)) throw new Error('profile file must contain a JSON object');
+
+        for (const [token, entry] of Object.entries(parsed.tokens || {})) {
+            if (entry?.preset && !parsed.presets?.[entry.preset]) {
+                console.log(`\x1b[33m[STRATEGY]\x1b[0m Token ${token.slice(0, 10)}... uses unknown preset "${entry.preset}" - ignored`);
+            }
+        }
+
+        _profiles = {
+            defaults: parsed.defaults || {},
+            presets: parsed.presets || {},
+            // Addresses are matched case-insensitively
+            tokens: Object.fromEntries(Object.entries(parsed.tokens || {}).map(([k, v]) => [k.toLowerCase(), v])),
+        };
+        _loadedFrom = { file, mtimeMs };
+    } catch (error) {
+        console.log(`\x1b[31m[STRATEGY]\x1b[0m Could not load ${file}: ${error.message}`);
+        if (!_profiles) _profiles = { defaults: {}, presets: {}, tokens: {} };
+        _loadedFrom = { file, mtimeMs: null };
+    }
+    return _profiles;
+}
+
+function profiles() {
+    const file = STRATEGY_CONFIG.PROFILE_FILE;
+    if (!_profiles || _loadedFrom?.file !== file) return loadProfiles(file);
+    try {
+        if (fs.statSync(file).mtimeMs !== _loadedFrom.mtimeMs) return loadProfiles(file);
+    } catch { /* File removed: keep what we have */ }
+    return _profiles;
+}
+
+/**
+ * Resolved profile layers for a token: defaults, preset, token overrides
+ */
+function layersFor(tokenAddress) {
+    const { defaults, presets, tokens } = profiles();
+    const token = tokenAddress ? tokens[tokenAddress.toLowerCase()] : null;
+    const preset = token?.preset ? presets[token.preset] : null;
+    return { layers: [defaults, preset, token].filter(Boolean), preset: preset ? token.preset : null, listed: !!token };
+}
+
+/**
+ * Indicator parameters for generateFullAnalysis() for a token
+ */
+export function getIndicatorParams(tokenAddress) {
+    return layersFor(tokenAddress).layers
+        .reduce((params, layer) => deepMerge(params, layer.indicators), DEFAULT_INDICATOR_PARAMS);
+}
+
+/**
+ * Full profile for an agent on a token
+ * @param {string} tokenAddress
+ * @param {string} agentId - Key under "agents" (a DEFAULT_AGENT_PROFILES key, e.g. 'trading-oracle')
+ * @returns {Object} { indicators, weights, thresholds, ...other agent settings, preset, listed }
+ */
+export function getStrategyProfile(tokenAddress, agentId) {
+    const { layers, preset, listed } = layersFor(tokenAddress);
+    const base = deepMerge({ weights: {}, thresholds: {} }, DEFAULT_AGENT_PROFILES[agentId]);
+    const agent = layers.reduce((settings, layer) => deepMerge(settings, layer.agents?.[agentId]), base);
+    return {
+        ...agent,
+        indicators: getIndicatorParams(tokenAddress),
+        preset,
+        listed,
+    };
+}
+
+export default {
+    DEFAULT_AGENT_PROFILES,
+    loadProfiles,
+    getIndicatorParams,
+    getStrategyProfile,
+};
@@ -0,0 +1,524 @@
+// Shared Streaming Indicators for all DUCKMON Agents
+// Stateful, O(1)-per-tick EMA, RSI, MACD, Bollinger, OBV and VWAP for block-by-block analysis.
+// Each indicator has update(input[, volume]), a `value` getter, toJSON() and static fromJSON(),
+// so state survives restarts. Inputs are close prices or OHLCV candles, as in technical-analysis.js.
+// Unlike the batch versions, RSI uses Wilder smoothing over the whole stream and the MACD
+// signal line runs over every MACD value since the slow EMA warmed up.
+// BarStream turns a per-block tick stream into fixed-interval bars for an engine.
+
+function point(input, volume) {
+    if (typeof input === 'number') return { high: input, low: input, close: input, volume: volume ?? 0 };
+    const close = input.close ?? input.price ?? 0;
+    return {
+        high: input.high > 0 ? input.high : close,
+        low: input.low > 0 ? input.low : close,
+        close,
+        volume: volume ?? input.volume ?? 0,
+    };
+}
+
+// Fixed-size FIFO without array shifting
+class RingBuffer {
+    constructor(size, items = []) {
+        this.size = size;
+        this.items = items.slice(-size);
+        this.start = 0;
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    /** Push a value, returning the evicted one (or undefined) */
+    push(value) {
+        if (this.items.length < this.size) {
+            this.items.push(value);
+            return undefined;
+        }
+        const evicted = this.items[this.start];
+        this.items[this.start] = value;
+        this.start = (this.start + 1) % this.size;
+        return evicted;
+    }
+
+    toArray() {
+        return [...this.items.slice(this.start), ...this.items.slice(0, this.start)];
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MOVING AVERAGES & MOMENTUM
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * EMA seeded with the SMA of the first `period` values (matches calculateEMA)
+ */
+export class StreamingEMA {
+    constructor(period, state = {}) {
+        this.period = period;
+        this.count = state.count || 0;
+        this.sum = state.sum || 0;
+        this.ema = state.ema ?? null;
+    }
+
+    update(input) {
+        const price = point(input).close;
+        this.count++;
+        if (this.count <= this.period) {
+            this.sum += price;
+            this.ema = this.sum / this.count; // SMA until seeded
+        } else {
+            const k = 2 / (this.period + 1);
+            this.ema = price * k + this.ema * (1 - k);
+        }
+        return this.ema;
+    }
+
+    get value() {
+        return this.ema ?? 0;
+    }
+
+    get ready() {
+        return this.count >= this.period;
+    }
+
+    toJSON() {
+        return { type: 'EMA', period: this.period, count: this.count, sum: this.sum, ema: this.ema };
+    }
+
+    static fromJSON(json) {
+        return new StreamingEMA(json.period, json);
+    }
+}
+
+/**
+ * RSI with Wilder smoothing
+ */
+export class StreamingRSI {
+    constructor(period = 14, state = {}) {
+        this.period = period;
+        this.prev = state.prev ?? null;
+        this.count = state.count || 0; // price changes seen
+        this.avgGain = state.avgGain || 0;
+        this.avgLoss = state.avgLoss || 0;
+    }
+
+    update(input) {
+        const price = point(input).close;
+        if (this.prev !== null) {
+            const change = price - this.prev;
+            const gain = Math.max(change, 0);
+            const loss = Math.max(-change, 0);
+            this.count++;
+
+            if (this.count <= this.period) {
+                // Seed with the simple average of the first `period` changes
+                this.avgGain += (gain - this.avgGain) / this.count;
+                this.avgLoss += (loss - this.avgLoss) / this.count;
+            } else {
+                this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+                this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+            }
+        }
+        this.prev = price;
+        return this.value;
+    }
+
+    get value() {
+        if (this.count < this.period) return 50;
+        if (this.avgLoss === 0) return 100;
+        return 100 - (100 / (1 + this.avgGain / this.avgLoss));
+    }
+
+    toJSON() {
+        return { type: 'RSI', period: this.period, prev: this.prev, count: this.count, avgGain: this.avgGain, avgLoss: this.avgLoss };
+    }
+
+    static fromJSON(json) {
+        return new StreamingRSI(json.period, json);
+    }
+}
+
+export class StreamingMACD {
+    constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9, state = {}) {
+        this.fast = state.fast ? StreamingEMA.fromJSON(state.fast) : new StreamingEMA(fastPeriod);
+        this.slow = state.slow ? StreamingEMA.fromJSON(state.slow) : new StreamingEMA(slowPeriod);
+        this.signal = state.signal ? StreamingEMA.fromJSON(state.signal) : new StreamingEMA(signalPeriod);
+    }
+
+    update(input) {
+        const fast = this.fast.update(input);
+        const slow = this.slow.update(input);
+        if (this.slow.ready) this.signal.update(fast - slow);
+        return this.value;
+    }
+
+    get value() {
+        if (!this.slow.ready) return { value: 0, signal: 0, histogram: 0 };
+        const macd = this.fast.value - this.slow.value;
+        const signal = this.signal.value;
+        return { value: macd, signal, histogram: macd - signal };
+    }
+
+    toJSON() {
+        return { type: 'MACD', fast: this.fast.toJSON(), slow: this.slow.toJSON(), signal: this.signal.toJSON() };
+    }
+
+    static fromJSON(json) {
+        return new StreamingMACD(json.fast.period, json.slow.period, json.signal.period, json);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// VOLATILITY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Bollinger Bands over a rolling window with running sums
+ * Sums are kept relative to the first price seen to avoid cancellation on tiny prices
+ */
+export class StreamingBollinger {
+    constructor(period = 20, multiplier = 2, state = {}) {
+        this.period = period;
+        this.multiplier = multiplier;
+        this.window = new RingBuffer(period, state.window || []);
+        this.ref = state.ref ?? null;
+        this.sum = state.sum || 0;
+        this.sumSq = state.sumSq || 0;
+        this.last = state.last ?? 0;
+    }
+
+    update(input) {
+        const price = point(input).close;
+        if (this.ref === null) this.ref = price;
+
+        const x = price - this.ref;
+        const evicted = this.window.push(x);
+        this.sum += x;
+        this.sumSq += x * x;
+        if (evicted !== undefined) {
+            this.sum -= evicted;
+            this.sumSq -= evicted * evicted;
+        }
+        this.last = price;
+        return this.value;
+    }
+
+    get value() {
+        const p = this.last;
+        if (this.window.length < this.period) {
+            return { upper: p, middle: p, lower: p, bandwidth: 0, percentB: 50 };
+        }
+
+        const meanX = this.sum / this.period;
+        const stdDev = Math.sqrt(Math.max(0, this.sumSq / this.period - meanX * meanX));
+        const middle = this.ref + meanX;
+        const upper = middle + this.multiplier * stdDev;
+        const lower = middle - this.multiplier * stdDev;
+
+        return {
+            upper,
+            middle,
+            lower,
+            bandwidth: middle > 0 ? ((upper - lower) / middle) * 100 : 0,
+            percentB: upper !== lower ? ((p - lower) / (upper - lower)) * 100 : 50,
+        };
+    }
+
+    toJSON() {
+        return {
+            type: 'Bollinger',
+            period: this.period,
+            multiplier: this.multiplier,
+            window: this.window.toArray(),
+            ref: this.ref,
+            sum: this.sum,
+            sumSq: this.sumSq,
+            last: this.last,
+        };
+    }
+
+    static fromJSON(json) {
+        return new StreamingBollinger(json.period, json.multiplier, json);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// VOLUME
+// ═══════════════════════════════════════════════════════════════════
+
+export class StreamingOBV {
+    constructor(state = {}) {
+        this.prev = state.prev ?? null;
+        this.obv = state.obv || 0;
+    }
+
+    update(input, volume) {
+        const { close, volume: vol } = point(input, volume);
+        if (this.prev !== null) {
+            if (close > this.prev) this.obv += vol;
+            else if (close < this.prev) this.obv -= vol;
+        }
+        this.prev = close;
+        return this.obv;
+    }
+
+    get value() {
+        return this.obv;
+    }
+
+    toJSON() {
+        return { type: 'OBV', prev: this.prev, obv: this.obv };
+    }
+
+    static fromJSON(json) {
+        return new StreamingOBV(json);
+    }
+}
+
+/**
+ * VWAP over typical price; cumulative, or rolling over the last `period` points when set
+ */
+export class StreamingVWAP {
+    constructor(period = null, state = {}) {
+        this.period = period;
+        this.window = period ? new RingBuffer(period, state.window || []) : null;
+        this.sumPV = state.sumPV || 0;
+        this.sumV = state.sumV || 0;
+        this.last = state.last ?? 0;
+    }
+
+    update(input, volume) {
+        const { high, low, close, volume: vol } = point(input, volume);
+        const v = vol || 1; // Unit weight without volume data, as calculateVWAP does
+        const pv = ((high + low + close) / 3) * v;
+
+        this.sumPV += pv;
+        this.sumV += v;
+        if (this.window) {
+            const evicted = this.window.push([pv, v]);
+            if (evicted) {
+                this.sumPV -= evicted[0];
+                this.sumV -= evicted[1];
+            }
+        }
+        this.last = close;
+        return this.value;
+    }
+
+    get value() {
+        return this.sumV > 0 ? this.sumPV / this.sumV : this.last;
+    }
+
+    toJSON() {
+        return {
+            type: 'VWAP',
+            period: this.period,
+            window: this.window ? this.window.toArray() : null,
+            sumPV: this.sumPV,
+            sumV: this.sumV,
+            last: this.last,
+        };
+    }
+
+    static fromJSON(json) {
+        return new StreamingVWAP(json.period, json);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ENGINE (all indicators for one token)
+// ═══════════════════════════════════════════════════════════════════
+
+const DEFAULT_ENGINE_CONFIG = {
+    emaPeriods: [9, 21, 50],
+    rsiPeriod: 14,
+    macd: [12, 26, 9],
+    bollinger: [20, 2],
+    vwapPeriod: null,
+};
+
+/**
+ * Bundles the streaming indicators for a single token
+ * update() is O(1) regardless of how much history has been fed in
+ */
+export class IndicatorEngine {
+    constructor(config = {}, state = null) {
+        this.config = { ...DEFAULT_ENGINE_CONFIG, ...config };
+        const { emaPeriods, rsiPeriod, macd, bollinger, vwapPeriod } = this.config;
+
+        this.ema = Object.fromEntries(emaPeriods.map(p => [p,
+            state?.ema?.[p] ? StreamingEMA.fromJSON(state.ema[p]) : new StreamingEMA(p)]));
+        this.rsi = state?.rsi ? StreamingRSI.fromJSON(state.rsi) : new StreamingRSI(rsiPeriod);
+        this.macd = state?.macd ? StreamingMACD.fromJSON(state.macd) : new StreamingMACD(...macd);
+        this.bollinger = state?.bollinger ? StreamingBollinger.fromJSON(state.bollinger) : new StreamingBollinger(...bollinger);
+        this.obv = state?.obv ? StreamingOBV.fromJSON(state.obv) : new StreamingOBV();
+        this.vwap = state?.vwap ? StreamingVWAP.fromJSON(state.vwap) : new StreamingVWAP(vwapPeriod);
+        this.count = state?.count || 0;
+        this.lastTimestamp = state?.lastTimestamp ?? null;
+    }
+
+    /**
+     * Feed one tick or candle
+     * @param {number|Object} input - Close price or { close|price, high, low, volume, time|timestamp }
+     * @param {number} [volume]
+     * @returns {Object} Current snapshot
+     */
+    update(input, volume) {
+        for (const ema of Object.values(this.ema)) ema.update(input);
+        this.rsi.update(input);
+        this.macd.update(input);
+        this.bollinger.update(input);
+        this.obv.update(input, volume);
+        this.vwap.update(input, volume);
+        this.count++;
+        if (typeof input === 'object') this.lastTimestamp = input.time ?? input.timestamp ?? this.lastTimestamp;
+        return this.snapshot();
+    }
+
+    /** Replay a history (oldest first) into the engine */
+    seed(history, volumes = []) {
+        history.forEach((input, i) => this.update(input, volumes[i]));
+        return this;
+    }
+
+    snapshot() {
+        return {
+            price: this.bollinger.last,
+            ema: Object.fromEntries(Object.entries(this.ema).map(([p, e]) => [p, e.value])),
+            rsi: this.rsi.value,
+            macd: this.macd.value,
+            bollinger: this.bollinger.value,
+            obv: this.obv.value,
+            vwap: this.vwap.value,
+            count: this.count,
+            timestamp: this.lastTimestamp,
+        };
+    }
+
+    toJSON() {
+        return {
+            type: 'IndicatorEngine',
+            config: this.config,
+            ema: Object.fromEntries(Object.entries(this.ema).map(([p, e]) => [p, e.toJSON()])),
+            rsi: this.rsi.toJSON(),
+            macd: this.macd.toJSON(),
+            bollinger: this.bollinger.toJSON(),
+            obv: this.obv.toJSON(),
+            vwap: this.vwap.toJSON(),
+            count: this.count,
+            lastTimestamp: this.lastTimestamp,
+        };
+    }
+
+    static fromJSON(json) {
+        return new IndicatorEngine(json.config, json);
+    }
+}
+
+/**
+ * Drives an IndicatorEngine with fixed-interval bars built from a tick stream
+ * Ticks only move the open bar; the engine advances when a bar closes, so periods count
+ * bars (RSI(14) = 14 one-minute bars) however often ticks arrive. Every tick returns a
+ * provisional snapshot that includes the open bar.
+ */
+export class BarStream {
+    constructor(intervalMs = 60_000, engine = new IndicatorEngine(), state = null) {
+        this.intervalMs = intervalMs;
+        this.engine = engine;
+        this.bar = state?.bar ? { ...state.bar } : null; // Open bar { time, open, high, low, close, volume }
+    }
+
+    /**
+     * Feed one tick
+     * @param {Object} tick - { price|close, timestamp }
+     * @param {number} [volume=0] - Traded volume in the tick
+     * @returns {Object} Engine snapshot with the open bar applied
+     */
+    update(tick, volume = 0) {
+        const price = tick.close ?? tick.price;
+        const time = Math.floor(tick.timestamp / this.intervalMs) * this.intervalMs;
+        if (!(price > 0) || (this.bar && time < this.bar.time)) return this.preview();
+
+        if (this.bar && time > this.bar.time) {
+            this.engine.update(this.bar);
+            this.bar = null;
+        }
+        if (!this.bar) {
+            this.bar = { time, open: price, high: price, low: price, close: price, volume: 0 };
+        } else {
+            this.bar.high = Math.max(this.bar.high, price);
+            this.bar.low = Math.min(this.bar.low, price);
+            this.bar.close = price;
+        }
+        this.bar.volume += volume;
+        return this.preview();
+    }
+
+    /**
+     * Feed stored candles (oldest first) of the same interval
+     * Bars the engine already saw are skipped, a closed candle replaces a restored open bar
+     * for the same period, and a candle still open at `now` becomes the open bar.
+     */
+    seed(candles, now = Date.now()) {
+        for (const candle of candles) {
+            if (candle.time + this.intervalMs > now) {
+                if (!this.bar || candle.time >= this.bar.time) {
+                    const { time, open, high, low, close, volume = 0 } = candle;
+                    this.bar = { time, open, high, low, close, volume };
+                }
+                break;
+            }
+            if (this.engine.lastTimestamp != null && candle.time <= this.engine.lastTimestamp) continue;
+            if (this.bar && candle.time >= this.bar.time) this.bar = null;
+            this.engine.update(candle);
+        }
+        return this;
+    }
+
+    /** Snapshot as if the open bar closed now, without advancing the engine */
+    preview() {
+        if (!this.bar) return this.engine.snapshot();
+        return IndicatorEngine.fromJSON(this.engine.toJSON()).update(this.bar);
+    }
+
+    toJSON() {
+        return { type: 'BarStream', intervalMs: this.intervalMs, engine: this.engine.toJSON(), bar: this.bar };
+    }
+
+    static fromJSON(json) {
+        return new BarStream(json.intervalMs, IndicatorEngine.fromJSON(json.engine), json);
+    }
+}
+
+const TYPES = {
+    EMA: StreamingEMA,
+    RSI: StreamingRSI,
+    MACD: StreamingMACD,
+    Bollinger: StreamingBollinger,
+    OBV: StreamingOBV,
+    VWAP: StreamingVWAP,
+    IndicatorEngine,
+    BarStream,
+};
+
+/**
+ * Restore any serialized streaming indicator from its toJSON() output
+ */
+export function restoreIndicator(json) {
+    const Type = TYPES[json?.type];
+    if (!Type) throw new Error(`Unknown streaming indicator type: ${json?.type}`);
+    return Type.fromJSON(json);
+}
+
+export default {
+    StreamingEMA,
+    StreamingRSI,
+    StreamingMACD,
+    StreamingBollinger,
+    StreamingOBV,
+    StreamingVWAP,
+    IndicatorEngine,
+    BarStream,
+    restoreIndicator,
+};
@@ -1,20 +1,62 @@
 /**
  * DUCKMON Professional Technical Analysis Library v3.0
- * Fixed MACD signal line + 7 new indicators
- * All functions accept plain number[] arrays (oldest-first)
+ * Fixed MACD signal line + 7 new indicators, ADX/DMI, Keltner, Donchian, SuperTrend, CCI, Williams %R, MFI
+ * All functions accept plain number[] close prices or OHLCV candle objects
+ * ({ open, high, low, close, volume }, e.g. from candleStore.getCandles()), oldest-first.
+ * With bare closes, high = low = close, so range-based indicators degrade gracefully.
  */
 
+// ═══════════════════════════════════════════════════════════════════
+// INPUT NORMALIZATION
+// ═══════════════════════════════════════════════════════════════════
+
+const isCandleInput = (input) => Array.isArray(input) && input.length > 0 && typeof input[0] === 'object';
+
+const closeOf = (d) => (typeof d === 'number' ? d : d.close ?? d.price ?? 0);
+
+/**
+ * Close prices from number[] or candle/tick objects
+ */
+export function toCloses(input) {
+    if (!input) return input;
+    return isCandleInput(input) ? input.map(closeOf) : input;
+}
+
+/**
+ * OHLCV columns from number[] or candle objects
+ * `volumes` overrides candle volume (kept for the existing (prices, volumes) signatures)
+ */
+export function toSeries(input, volumes = null) {
+    const data = input || [];
+    const close = data.map(closeOf);
+    const pick = (field) => data.map((d, i) => (typeof d === 'object' && d[field] > 0 ? d[field] : close[i]));
+    const volume = volumes && volumes.length > 0
+        ? volumes
+        : data.map(d => (typeof d === 'object' ? d.volume || 0 : 0));
+
+    return {
+        open: pick('open'),
+        high: pick('high'),
+        low: pick('low'),
+        close,
+        volume,
+        hasRange: isCandleInput(data) && data.some(d => d.high > 0 && d.low > 0 && d.high !== d.low),
+    };
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // CORE INDICATORS
 // ═══════════════════════════════════════════════════════════════════
 
 export function calculateSMA(prices, period) {
+    prices = toCloses(prices);
     if (!prices || prices.length < period) return prices?.[prices.length - 1] || 0;
     const slice = prices.slice(-period);
     return slice.reduce((a, b) => a + b, 0) / period;
 }
 
 export function calculateEMA(prices, period) {
+    prices = toCloses(prices);
     if (!prices || prices.length === 0) return 0;
     if (prices.length < period) return calculateSMA(prices, prices.length);
 
@@ -28,6 +70,7 @@ export function calculateEMA(prices, period) {
 }
 
 export function calculateRSI(prices, period = 14) {
+    prices = toCloses(prices);
     if (!prices || prices.length < period + 1) return 50;
 
     let gains = 0, losses = 0;
@@ -53,6 +96,7 @@ export function calculateRSI(prices, period = 14) {
  * Fix: Calculate MACD line for multiple periods, then apply 9-period EMA
  */
 export function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    prices = toCloses(prices);
     if (!prices || prices.length < slowPeriod + signalPeriod) {
         return { value: 0, signal: 0, histogram: 0 };
     }
@@ -85,6 +129,7 @@ export function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPe
 }
 
 export function calculateBollingerBands(prices, period = 20, multiplier = 2) {
+    prices = toCloses(prices);
     if (!prices || prices.length < period) {
         const p = prices?.[prices.length - 1] || 0;
         return { upper: p, middle: p, lower: p, bandwidth: 0, percentB: 50 };
@@ -105,6 +150,7 @@ export function calculateBollingerBands(prices, period = 20, multiplier = 2) {
 }
 
 export function calculateMomentum(prices, period = 10) {
+    prices = toCloses(prices);
     if (!prices || prices.length < period + 1) return 0;
     const current = prices[prices.length - 1];
     const past = prices[prices.length - 1 - period];
@@ -112,6 +158,7 @@ export function calculateMomentum(prices, period = 10) {
 }
 
 export function calculateVolatility(prices, period = 20) {
+    prices = toCloses(prices);
     if (!prices || prices.length < 2) return 0;
     const slice = prices.slice(-period);
     const mean = slice.reduce((a, b) => a + b, 0) / slice.length;
@@ -129,6 +176,7 @@ export function calculateVolatility(prices, period = 20) {
  * Returns %K and %D (signal line)
  */
 export function calculateStochasticRSI(prices, rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dSmooth = 3) {
+    prices = toCloses(prices);
     if (!prices || prices.length < rsiPeriod + stochPeriod + kSmooth) {
         return { k: 50, d: 50 };
     }
@@ -167,20 +215,22 @@ export function calculateStochasticRSI(prices, rsiPeriod = 14, stochPeriod = 14,
 
 /**
  * Average True Range (ATR) - Volatility indicator
- * Uses price-to-price changes as proxy when OHLC not available
+ * True range = max(high - low, |high - prevClose|, |low - prevClose|); with bare closes
+ * this reduces to the close-to-close change
  */
 export function calculateATR(prices, period = 14) {
     if (!prices || prices.length < period + 1) return 0;
+    const { high, low, close } = toSeries(prices);
 
     let atrSum = 0;
-    const start = prices.length - period;
-
-    for (let i = start; i < prices.length; i++) {
-        // True range proxy: max of absolute price changes between consecutive prices
-        const current = prices[i];
-        const prev = prices[i - 1];
-        // Simulate high/low with neighboring price movement magnitude
-        const tr = Math.abs(current - prev);
+    const start = close.length - period;
+
+    for (let i = start; i < close.length; i++) {
+        const tr = Math.max(
+            high[i] - low[i],
+            Math.abs(high[i] - close[i - 1]),
+            Math.abs(low[i] - close[i - 1]),
+        );
         atrSum += tr;
     }
 
@@ -188,20 +238,23 @@ export function calculateATR(prices, period = 14) {
 }
 
 /**
- * Volume Weighted Average Price (VWAP)
+ * Volume Weighted Average Price (VWAP) over typical price (high + low + close) / 3
+ * Candle volume is used when `volumes` is omitted
  */
 export function calculateVWAP(prices, volumes) {
-    if (!prices || !volumes || prices.length === 0) return 0;
-    const len = Math.min(prices.length, volumes.length);
+    if (!prices || prices.length === 0) return 0;
+    const { high, low, close, volume } = toSeries(prices, volumes);
+    if (!isCandleInput(prices) && !volumes) return 0;
+    const len = Math.min(close.length, volume.length);
 
     let sumPV = 0, sumV = 0;
     for (let i = 0; i < len; i++) {
-        const v = volumes[i] || 1;
-        sumPV += prices[i] * v;
+        const v = volume[i] || 1;
+        sumPV += ((high[i] + low[i] + close[i]) / 3) * v;
         sumV += v;
     }
 
-    return sumV > 0 ? sumPV / sumV : prices[prices.length - 1];
+    return sumV > 0 ? sumPV / sumV : close[close.length - 1];
 }
 
 /**
@@ -213,9 +266,9 @@ export function calculateFibonacciLevels(prices, lookback = 50) {
         return { levels: [], high: 0, low: 0 };
     }
 
-    const recent = prices.slice(-lookback);
-    const high = Math.max(...recent);
-    const low = Math.min(...recent);
+    const series = toSeries(prices.slice(-lookback));
+    const high = Math.max(...series.high);
+    const low = Math.min(...series.low);
     const diff = high - low;
 
     const ratios = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1.0];
@@ -230,24 +283,26 @@ export function calculateFibonacciLevels(prices, lookback = 50) {
 
 /**
  * Ichimoku Cloud components
+ * Midpoints use period highs/lows (closes when only prices are given)
  */
 export function calculateIchimokuCloud(prices) {
     if (!prices || prices.length < 52) {
         return { tenkan: 0, kijun: 0, senkouA: 0, senkouB: 0, signal: 'NEUTRAL' };
     }
 
-    const highLow = (slice) => {
-        const h = Math.max(...slice);
-        const l = Math.min(...slice);
+    const { high, low, close } = toSeries(prices);
+    const highLow = (period) => {
+        const h = Math.max(...high.slice(-period));
+        const l = Math.min(...low.slice(-period));
         return (h + l) / 2;
     };
 
-    const tenkan = highLow(prices.slice(-9));   // 9-period
-    const kijun = highLow(prices.slice(-26));    // 26-period
+    const tenkan = highLow(9);                  // 9-period
+    const kijun = highLow(26);                  // 26-period
     const senkouA = (tenkan + kijun) / 2;       // Senkou Span A
-    const senkouB = highLow(prices.slice(-52));  // 52-period
+    const senkouB = highLow(52);                // 52-period
 
-    const current = prices[prices.length - 1];
+    const current = close[close.length - 1];
     let signal = 'NEUTRAL';
 
     if (current > senkouA && current > senkouB && tenkan > kijun) {
@@ -267,7 +322,9 @@ export function calculateIchimokuCloud(prices) {
  * On Balance Volume (OBV)
  */
 export function calculateOBV(prices, volumes) {
-    if (!prices || !volumes || prices.length < 2) return 0;
+    if (!prices || prices.length < 2) return 0;
+    if (isCandleInput(prices)) ({ close: prices, volume: volumes } = toSeries(prices, volumes));
+    if (!volumes) return 0;
     const len = Math.min(prices.length, volumes.length);
 
     let obv = 0;
@@ -285,6 +342,7 @@ export function calculateOBV(prices, volumes) {
  * Returns bins with price range and volume
  */
 export function calculateVolumeProfile(prices, volumes, numBins = 10) {
+    if (isCandleInput(prices)) ({ close: prices, volume: volumes } = toSeries(prices, volumes));
     if (!prices || !volumes || prices.length < 5) return [];
     const len = Math.min(prices.length, volumes.length);
 
@@ -320,29 +378,366 @@ export function calculateVolumeProfile(prices, volumes, numBins = 10) {
     return bins;
 }
 
+/**
+ * Spread each bar's volume over the bins its low-high range covers (all of it into the
+ * close's bin when the bar has no range)
+ */
+function profileBins(series, from, to, low, high, numBins) {
+    const binSize = (high - low) / numBins;
+    const bins = Array.from({ length: numBins }, (_, i) => ({
+        priceFrom: low + i * binSize,
+        priceTo: low + (i + 1) * binSize,
+        priceMid: low + (i + 0.5) * binSize,
+        volume: 0,
+    }));
+    const binOf = (price) => Math.max(0, Math.min(numBins - 1, Math.floor((price - low) / binSize)));
+
+    // Bars without recorded volume are skipped, unless none has any: then each bar counts once (TPO-style)
+    const hasVolume = series.volume.slice(from, to).some(v => v > 0);
+
+    for (let i = from; i < to; i++) {
+        const vol = hasVolume ? series.volume[i] || 0 : 1;
+        if (vol <= 0) continue;
+        const first = binOf(series.low[i]);
+        const last = binOf(series.high[i]);
+        if (first === last) {
+            bins[binOf(series.close[i])].volume += vol;
+            continue;
+        }
+        for (let b = first; b <= last; b++) bins[b].volume += vol / (last - first + 1);
+    }
+    return bins;
+}
+
+/**
+ * Market Profile - point of control, value area, volume nodes and naked POCs
+ * @param {number[]|Object[]} prices - Closes or OHLCV candles; candle `time` enables session splitting
+ * @param {number[]} [volumes] - Defaults to candle volume; bars without volume are skipped (all count once if none has any)
+ * @param {Object} [options]
+ * @param {number} [options.numBins=24]
+ * @param {number} [options.valueArea=0.7] - Share of volume inside the value area
+ * @param {number} [options.sessionMs=86400000] - Session length for naked POCs (UTC days by default)
+ * @returns {Object|null} { poc, vah, val, position, hvn, lvn, nakedPocs, bins, totalVolume }
+ */
+export function calculateMarketProfile(prices, volumes = null, { numBins = 24, valueArea = 0.7, sessionMs = 86_400_000 } = {}) {
+    if (!prices || prices.length < 5) return null;
+    const series = toSeries(prices, volumes);
+    const n = series.close.length;
+    const low = Math.min(...series.low);
+    const high = Math.max(...series.high);
+    if (!(high > low)) return null;
+
+    const bins = profileBins(series, 0, n, low, high, numBins);
+    const totalVolume = bins.reduce((sum, b) => sum + b.volume, 0);
+    const pocIdx = bins.reduce((best, b, i) => (b.volume > bins[best].volume ? i : best), 0);
+
+    // Value area: grow from the POC toward the heavier neighbour until it holds `valueArea` of volume
+    let lo = pocIdx, hi = pocIdx;
+    let inside = bins[pocIdx].volume;
+    while (inside < totalVolume * valueArea && (lo > 0 || hi < numBins - 1)) {
+        const below = lo > 0 ? bins[lo - 1].volume : -1;
+        const above = hi < numBins - 1 ? bins[hi + 1].volume : -1;
+        if (above >= below) inside += bins[++hi].volume;
+        else inside += bins[--lo].volume;
+    }
+    bins.forEach((b, i) => { b.inValueArea = i >= lo && i <= hi; b.isPointOfControl = i === pocIdx; });
+
+    // Volume nodes: local peaks/troughs of the 3-bin smoothed profile
+    const mean = totalVolume / numBins;
+    const smooth = bins.map((_, i) => {
+        const window = bins.slice(Math.max(0, i - 1), i + 2);
+        return window.reduce((sum, b) => sum + b.volume, 0) / window.length;
+    });
+    const hvn = [], lvn = [];
+    for (let i = 1; i < numBins - 1; i++) {
+        if (smooth[i] >= smooth[i - 1] && smooth[i] >= smooth[i + 1] && smooth[i] > mean * 1.3) hvn.push(bins[i].priceMid);
+        if (smooth[i] <= smooth[i - 1] && smooth[i] <= smooth[i + 1] && smooth[i] < mean * 0.5) lvn.push(bins[i].priceMid);
+    }
+
+    // Naked POCs: prior-session POCs no later bar has traded through
+    const nakedPocs = [];
+    const times = isCandleInput(prices) ? prices.map(c => c.time ?? c.timestamp) : [];
+    if (times.length === n && times.every(Number.isFinite)) {
+        const sessions = [];
+        for (let i = 0; i < n; i++) {
+            const session = Math.floor(times[i] / sessionMs) * sessionMs;
+            if (sessions.length === 0 || sessions[sessions.length - 1].start !== session) sessions.push({ start: session, from: i, to: i + 1 });
+            else sessions[sessions.length - 1].to = i + 1;
+        }
+
+        for (const session of sessions.slice(0, -1)) {
+            const sLow = Math.min(...series.low.slice(session.from, session.to));
+            const sHigh = Math.max(...series.high.slice(session.from, session.to));
+            const sBins = sHigh > sLow ? profileBins(series, session.from, session.to, sLow, sHigh, numBins) : null;
+            const poc = sBins ? sBins.reduce((best, b) => (b.volume > best.volume ? b : best)).priceMid : sLow;
+
+            let touched = false;
+            for (let i = session.to; i < n && !touched; i++) touched = series.low[i] <= poc && series.high[i] >= poc;
+            if (!touched) nakedPocs.push({ price: poc, session: session.start });
+        }
+    }
+
+    const current = series.close[n - 1];
+    const vah = bins[hi].priceTo;
+    const val = bins[lo].priceFrom;
+
+    return {
+        poc: bins[pocIdx].priceMid,
+        vah,
+        val,
+        position: current > vah ? 'ABOVE_VALUE' : current < val ? 'BELOW_VALUE' : 'IN_VALUE',
+        hvn,
+        lvn,
+        nakedPocs: nakedPocs.map(p => ({ ...p, distancePct: +(((p.price - current) / current) * 100).toFixed(2) })),
+        bins,
+        totalVolume,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DIRECTIONAL, CHANNEL & MONEY-FLOW INDICATORS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Wilder smoothing: SMA of the first `period` values, then avg = (avg * (period - 1) + x) / period
+ * Returns one value per input from index period - 1 on
+ */
+function wilderSmooth(values, period) {
+    if (values.length < period) return [];
+    let avg = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    const out = [avg];
+    for (let i = period; i < values.length; i++) {
+        avg = (avg * (period - 1) + values[i]) / period;
+        out.push(avg);
+    }
+    return out;
+}
+
+function trueRanges(high, low, close) {
+    const tr = [];
+    for (let i = 1; i < close.length; i++) {
+        tr.push(Math.max(high[i] - low[i], Math.abs(high[i] - close[i - 1]), Math.abs(low[i] - close[i - 1])));
+    }
+    return tr;
+}
+
+/**
+ * Average Directional Index with +DI / -DI (Wilder)
+ * ADX < 20 = no trend, > 25 = trending, > 40 = strong trend
+ */
+export function calculateADX(prices, period = 14) {
+    if (!prices || prices.length < period * 2 + 1) return { adx: 0, plusDI: 0, minusDI: 0 };
+    const { high, low, close } = toSeries(prices);
+
+    const plusDM = [], minusDM = [];
+    for (let i = 1; i < close.length; i++) {
+        const up = high[i] - high[i - 1];
+        const down = low[i - 1] - low[i];
+        plusDM.push(up > down && up > 0 ? up : 0);
+        minusDM.push(down > up && down > 0 ? down : 0);
+    }
+
+    const tr = wilderSmooth(trueRanges(high, low, close), period);
+    const plus = wilderSmooth(plusDM, period);
+    const minus = wilderSmooth(minusDM, period);
+
+    const plusDI = tr.map((t, i) => (t > 0 ? (plus[i] / t) * 100 : 0));
+    const minusDI = tr.map((t, i) => (t > 0 ? (minus[i] / t) * 100 : 0));
+    const dx = plusDI.map((p, i) => (p + minusDI[i] > 0 ? (Math.abs(p - minusDI[i]) / (p + minusDI[i])) * 100 : 0));
+    const adx = wilderSmooth(dx, period);
+
+    return {
+        adx: adx[adx.length - 1] || 0,
+        plusDI: plusDI[plusDI.length - 1],
+        minusDI: minusDI[minusDI.length - 1],
+    };
+}
+
+/**
+ * Keltner Channels - EMA middle line with ATR bands
+ */
+export function calculateKeltnerChannels(prices, period = 20, multiplier = 2, atrPeriod = 10) {
+    const close = toCloses(prices);
+    if (!close || close.length < Math.max(period, atrPeriod + 1)) {
+        const p = close?.[close.length - 1] || 0;
+        return { upper: p, middle: p, lower: p, width: 0, position: 'INSIDE' };
+    }
+
+    const middle = calculateEMA(close, period);
+    const atr = calculateATR(prices, atrPeriod);
+    const upper = middle + multiplier * atr;
+    const lower = middle - multiplier * atr;
+    const current = close[close.length - 1];
+
+    return {
+        upper,
+        middle,
+        lower,
+        width: middle > 0 ? ((upper - lower) / middle) * 100 : 0,
+        position: current > upper ? 'ABOVE' : current < lower ? 'BELOW' : 'INSIDE',
+    };
+}
+
+/**
+ * Donchian Channels - highest high / lowest low over `period`
+ * `breakout` compares the last close with the channel of the bars before it
+ */
+export function calculateDonchianChannels(prices, period = 20) {
+    if (!prices || prices.length < period + 1) {
+        const p = toCloses(prices)?.[prices?.length - 1] || 0;
+        return { upper: p, middle: p, lower: p, width: 0, percent: 50, breakout: null };
+    }
+
+    const { high, low, close } = toSeries(prices);
+    const upper = Math.max(...high.slice(-period));
+    const lower = Math.min(...low.slice(-period));
+    const middle = (upper + lower) / 2;
+    const current = close[close.length - 1];
+
+    const priorHigh = Math.max(...high.slice(-period - 1, -1));
+    const priorLow = Math.min(...low.slice(-period - 1, -1));
+
+    return {
+        upper,
+        middle,
+        lower,
+        width: middle > 0 ? ((upper - lower) / middle) * 100 : 0,
+        percent: upper !== lower ? ((current - lower) / (upper - lower)) * 100 : 50,
+        breakout: current > priorHigh ? 'UP' : current < priorLow ? 'DOWN' : null,
+    };
+}
+
+/**
+ * SuperTrend - ATR trailing stop that flips with the trend
+ * `flipped` is true when the direction changed on the last bar
+ */
+export function calculateSuperTrend(prices, period = 10, multiplier = 3) {
+    if (!prices || prices.length < period + 2) {
+        return { value: 0, direction: 'NEUTRAL', flipped: false };
+    }
+
+    const { high, low, close } = toSeries(prices);
+    const atr = wilderSmooth(trueRanges(high, low, close), period); // atr[j] belongs to bar j + period
+
+    let finalUpper = null, finalLower = null;
+    let direction = 'BULLISH';
+    let flipped = false;
+
+    for (let j = 0; j < atr.length; j++) {
+        const i = j + period;
+        const hl2 = (high[i] + low[i]) / 2;
+        const basicUpper = hl2 + multiplier * atr[j];
+        const basicLower = hl2 - multiplier * atr[j];
+
+        if (finalUpper === null) {
+            finalUpper = basicUpper;
+            finalLower = basicLower;
+            direction = close[i] >= hl2 ? 'BULLISH' : 'BEARISH';
+            continue;
+        }
+
+        finalUpper = basicUpper < finalUpper || close[i - 1] > finalUpper ? basicUpper : finalUpper;
+        finalLower = basicLower > finalLower || close[i - 1] < finalLower ? basicLower : finalLower;
+
+        const previous = direction;
+        if (direction === 'BULLISH' && close[i] < finalLower) direction = 'BEARISH';
+        else if (direction === 'BEARISH' && close[i] > finalUpper) direction = 'BULLISH';
+        flipped = direction !== previous;
+    }
+
+    return {
+        value: direction === 'BULLISH' ? finalLower : finalUpper,
+        direction,
+        flipped,
+    };
+}
+
+/**
+ * Commodity Channel Index over typical price
+ * > +100 overbought / strong up-move, < -100 oversold / strong down-move
+ */
+export function calculateCCI(prices, period = 20) {
+    if (!prices || prices.length < period) return 0;
+    const { high, low, close } = toSeries(prices);
+
+    const tp = close.slice(-period).map((c, i) => {
+        const idx = close.length - period + i;
+        return (high[idx] + low[idx] + c) / 3;
+    });
+    const mean = tp.reduce((a, b) => a + b, 0) / period;
+    const meanDev = tp.reduce((s, x) => s + Math.abs(x - mean), 0) / period;
+
+    return meanDev > 0 ? (tp[tp.length - 1] - mean) / (0.015 * meanDev) : 0;
+}
+
+/**
+ * Williams %R (-100 to 0); above -20 overbought, below -80 oversold
+ */
+export function calculateWilliamsR(prices, period = 14) {
+    if (!prices || prices.length < period) return -50;
+    const { high, low, close } = toSeries(prices);
+
+    const highest = Math.max(...high.slice(-period));
+    const lowest = Math.min(...low.slice(-period));
+    if (highest === lowest) return -50;
+
+    return ((highest - close[close.length - 1]) / (highest - lowest)) * -100;
+}
+
+/**
+ * Money Flow Index (0-100) - volume-weighted RSI over typical price
+ * Candle volume is used when `volumes` is omitted
+ */
+export function calculateMFI(prices, volumes, period = 14) {
+    if (!prices || prices.length < period + 1) return 50;
+    const { high, low, close, volume } = toSeries(prices, volumes);
+
+    const tp = close.map((c, i) => (high[i] + low[i] + c) / 3);
+    let positive = 0, negative = 0;
+
+    for (let i = tp.length - period; i < tp.length; i++) {
+        const flow = tp[i] * (volume[i] || 1);
+        if (tp[i] > tp[i - 1]) positive += flow;
+        else if (tp[i] < tp[i - 1]) negative += flow;
+    }
+
+    if (positive === 0 && negative === 0) return 50;
+    if (negative === 0) return 100;
+    return 100 - (100 / (1 + positive / negative));
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // COMPOSITE ANALYSIS FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════
 
 /**
- * Trend Strength using multiple MA crossovers
+ * Trend Strength from ADX, with direction from +DI vs -DI
+ * strength is the ADX (0-100); below 20 the trend is NEUTRAL. Histories too short for
+ * ADX fall back to the 5/10/20 SMA stack.
  */
 export function calculateTrendStrength(prices) {
     if (!prices || prices.length < 20) return { direction: 'NEUTRAL', strength: 0 };
 
-    const shortMA = calculateSMA(prices, 5);
-    const medMA = calculateSMA(prices, 10);
-    const longMA = calculateSMA(prices, 20);
+    if (prices.length >= 29) {
+        const { adx, plusDI, minusDI } = calculateADX(prices);
+        const direction = adx < 20 || plusDI === minusDI ? 'NEUTRAL' : plusDI > minusDI ? 'BULLISH' : 'BEARISH';
+        return { direction, strength: adx, adx, plusDI, minusDI, method: 'adx' };
+    }
+
+    const closes = toCloses(prices);
+    const shortMA = calculateSMA(closes, 5);
+    const medMA = calculateSMA(closes, 10);
+    const longMA = calculateSMA(closes, 20);
 
     if (shortMA > medMA && medMA > longMA) {
         const strength = longMA > 0 ? ((shortMA - longMA) / longMA) * 1000 : 0;
-        return { direction: 'BULLISH', strength: Math.min(strength, 100) };
+        return { direction: 'BULLISH', strength: Math.min(strength, 100), method: 'sma' };
     } else if (shortMA < medMA && medMA < longMA) {
         const strength = longMA > 0 ? ((longMA - shortMA) / longMA) * 1000 : 0;
-        return { direction: 'BEARISH', strength: Math.min(strength, 100) };
+        return { direction: 'BEARISH', strength: Math.min(strength, 100), method: 'sma' };
     }
 
-    return { direction: 'NEUTRAL', strength: 10 };
+    return { direction: 'NEUTRAL', strength: 10, method: 'sma' };
 }
 
 /**
@@ -350,6 +745,7 @@ export function calculateTrendStrength(prices) {
  * Combines: RSI, Volatility, Momentum, Trend, BB Width, Volume Trend
  */
 export function calculateFearGreedIndex(prices, volumes = []) {
+    prices = toCloses(prices);
     if (!prices || prices.length < 30) return 50;
 
     let index = 50;
@@ -387,16 +783,18 @@ export function calculateFearGreedIndex(prices, volumes = []) {
  * Market Regime Detection
  */
 export function detectMarketRegime(prices, volumes = []) {
+    prices = toCloses(prices);
     if (!prices || prices.length < 30) return 'UNKNOWN';
 
     const volatility = calculateVolatility(prices);
     const trend = calculateTrendStrength(prices);
     const bb = calculateBollingerBands(prices);
 
-    if (volatility > 8 && trend.strength > 30) return 'TRENDING_VOLATILE';
-    if (volatility < 3 && trend.strength < 10) return 'RANGING_CALM';
-    if (volatility > 8 && trend.strength < 10) return 'VOLATILE_CHOPPY';
-    if (volatility < 3 && trend.strength > 30) return 'TRENDING_STEADY';
+    // ADX conventions: > 25 trending, < 20 no trend
+    if (volatility > 8 && trend.strength > 25) return 'TRENDING_VOLATILE';
+    if (volatility < 3 && trend.strength < 20) return 'RANGING_CALM';
+    if (volatility > 8 && trend.strength < 20) return 'VOLATILE_CHOPPY';
+    if (volatility < 3 && trend.strength > 25) return 'TRENDING_STEADY';
     if (bb.bandwidth < 2) return 'SQUEEZE';
 
     return 'TRANSITIONAL';
@@ -407,6 +805,7 @@ export function detectMarketRegime(prices, volumes = []) {
  * Better than simple percentile-based approach
  */
 export function calculateSupportResistance(prices, volumes = [], lookback = 50) {
+    if (isCandleInput(prices)) ({ close: prices, volume: volumes } = toSeries(prices, volumes));
     if (!prices || prices.length < 20) {
         const p = prices?.[prices.length - 1] || 0;
         return { support: p * 0.95, resistance: p * 1.05 };
@@ -443,34 +842,168 @@ export function calculateSupportResistance(prices, volumes = [], lookback = 50)
 // FULL ANALYSIS REPORT
 // ═══════════════════════════════════════════════════════════════════
 
+/**
+ * Default indicator periods/multipliers used by generateFullAnalysis()
+ * Strategy profiles (shared/strategyProfiles.js) override these per token
+ */
+export const DEFAULT_INDICATOR_PARAMS = {
+    rsi: { period: 14 },
+    macd: { fast: 12, slow: 26, signal: 9 },
+    bollinger: { period: 20, multiplier: 2 },
+    stochasticRSI: { rsiPeriod: 14, stochPeriod: 14, kSmooth: 3, dSmooth: 3 },
+    momentum: { period: 10 },
+    volatility: { period: 20 },
+    atr: { period: 14 },
+    fibonacci: { lookback: 50 },
+    adx: { period: 14 },
+    keltner: { period: 20, multiplier: 2, atrPeriod: 10 },
+    donchian: { period: 20 },
+    superTrend: { period: 10, multiplier: 3 },
+    cci: { period: 20 },
+    williamsR: { period: 14 },
+    mfi: { period: 14 },
+};
+
 /**
  * Generate comprehensive technical analysis report
+ * @param {number[]|Object[]} prices - Closes, ticks ({ price }) or OHLCV candles
+ * @param {number[]} [volumes] - Per-point volume (defaults to candle volume, else 1)
+ * @param {Object} [params] - Partial DEFAULT_INDICATOR_PARAMS overrides, e.g. { rsi: { period: 9 } }
  */
-export function generateFullAnalysis(prices, volumes = []) {
-    const p = prices.map(d => typeof d === 'number' ? d : d.price);
-    const v = volumes.length > 0 ? volumes : p.map(() => 1);
+export function generateFullAnalysis(prices, volumes = [], params = {}) {
+    const series = toSeries(prices, volumes);
+    const p = series.close;
+    const v = series.volume.some(x => x > 0) ? series.volume : p.map(() => 1);
+    // Range-aware indicators get full candles when highs/lows are real
+    const ohlc = series.hasRange
+        ? p.map((close, i) => ({ open: series.open[i], high: series.high[i], low: series.low[i], close, volume: v[i] }))
+        : p;
+    const cfg = (name) => ({ ...DEFAULT_INDICATOR_PARAMS[name], ...params?.[name] });
+    const macd = cfg('macd');
+    const bollinger = cfg('bollinger');
+    const stochasticRSI = cfg('stochasticRSI');
+    const keltner = cfg('keltner');
+    const superTrend = cfg('superTrend');
 
     return {
         price: p[p.length - 1],
-        rsi: calculateRSI(p),
-        macd: calculateMACD(p),
-        bollinger: calculateBollingerBands(p),
-        stochasticRSI: calculateStochasticRSI(p),
-        trend: calculateTrendStrength(p),
-        momentum: calculateMomentum(p),
-        volatility: calculateVolatility(p),
-        atr: calculateATR(p),
-        vwap: calculateVWAP(p, v),
-        fibonacci: calculateFibonacciLevels(p),
-        ichimoku: calculateIchimokuCloud(p),
+        rsi: calculateRSI(p, cfg('rsi').period),
+        macd: calculateMACD(p, macd.fast, macd.slow, macd.signal),
+        bollinger: calculateBollingerBands(p, bollinger.period, bollinger.multiplier),
+        stochasticRSI: calculateStochasticRSI(p, stochasticRSI.rsiPeriod, stochasticRSI.stochPeriod, stochasticRSI.kSmooth, stochasticRSI.dSmooth),
+        trend: calculateTrendStrength(ohlc),
+        momentum: calculateMomentum(p, cfg('momentum').period),
+        volatility: calculateVolatility(p, cfg('volatility').period),
+        atr: calculateATR(ohlc, cfg('atr').period),
+        vwap: calculateVWAP(ohlc, v),
+        fibonacci: calculateFibonacciLevels(ohlc, cfg('fibonacci').lookback),
+        ichimoku: calculateIchimokuCloud(ohlc),
         obv: calculateOBV(p, v),
+        adx: calculateADX(ohlc, cfg('adx').period),
+        keltner: calculateKeltnerChannels(ohlc, keltner.period, keltner.multiplier, keltner.atrPeriod),
+        donchian: calculateDonchianChannels(ohlc, cfg('donchian').period),
+        superTrend: calculateSuperTrend(ohlc, superTrend.period, superTrend.multiplier),
+        cci: calculateCCI(ohlc, cfg('cci').period),
+        williamsR: calculateWilliamsR(ohlc, cfg('williamsR').period),
+        mfi: calculateMFI(ohlc, v, cfg('mfi').period),
         fearGreed: calculateFearGreedIndex(p, v),
         regime: detectMarketRegime(p, v),
         supportResistance: calculateSupportResistance(p, v),
     };
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// MULTI-TIMEFRAME ANALYSIS
+// ═══════════════════════════════════════════════════════════════════
+
+const INTERVAL_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+function intervalMs(label) {
+    const match = /^(\d+)([mhd])$/.exec(label);
+    return match ? Number(match[1]) * INTERVAL_UNITS[match[2]] : 0;
+}
+
+/**
+ * Directional bias of one timeframe's analysis, -1 (bearish) to 1 (bullish)
+ * ADX trend 40%, SuperTrend 20%, MACD histogram 20%, price vs EMA50 20%
+ */
+function timeframeBias(analysis, closes) {
+    const sign = (dir) => (dir === 'BULLISH' ? 1 : dir === 'BEARISH' ? -1 : 0);
+    const ema50 = calculateEMA(closes, Math.min(50, closes.length));
+
+    const score = sign(analysis.trend.direction) * Math.min(1, analysis.trend.strength / 40) * 0.4
+        + sign(analysis.superTrend.direction) * 0.2
+        + Math.sign(analysis.macd.histogram) * 0.2
+        + Math.sign(analysis.price - ema50) * 0.2;
+
+    return {
+        score: +score.toFixed(3),
+        direction: score > 0.2 ? 'BULLISH' : score < -0.2 ? 'BEARISH' : 'NEUTRAL',
+    };
+}
+
+/**
+ * Run the indicator suite per timeframe and score how well their trends agree
+ * Higher timeframes carry more weight (weight grows with log of the interval)
+ * @param {Object} frames - { '5m': candles[], '1h': candles[], '4h': candles[] } (candles or closes)
+ * @param {Object} [options]
+ * @param {number} [options.minBars=30] - Timeframes with fewer bars are skipped
+ * @param {Object} [options.params] - Indicator overrides passed to generateFullAnalysis()
+ * @returns {Object} { timeframes: { [interval]: { analysis, bias, direction, bars } }, alignment }
+ */
+export function generateMultiTimeframeAnalysis(frames, { minBars = 30, params = {} } = {}) {
+    const timeframes = {};
+    const intervals = Object.keys(frames || {})
+        .filter(tf => frames[tf]?.length >= minBars)
+        .sort((a, b) => intervalMs(a) - intervalMs(b));
+
+    for (const tf of intervals) {
+        const analysis = generateFullAnalysis(frames[tf], [], params);
+        const bias = timeframeBias(analysis, toCloses(frames[tf]));
+        timeframes[tf] = { analysis, bias: bias.score, direction: bias.direction, bars: frames[tf].length };
+    }
+
+    if (intervals.length === 0) return { timeframes, alignment: null };
+
+    const baseMs = intervalMs(intervals[0]) || 60_000;
+    let weighted = 0, totalWeight = 0;
+    for (const tf of intervals) {
+        const weight = 1 + Math.log(Math.max(1, intervalMs(tf) / baseMs));
+        weighted += timeframes[tf].bias * weight;
+        totalWeight += weight;
+    }
+    const score = weighted / totalWeight;
+    const direction = score > 0.2 ? 'BULLISH' : score < -0.2 ? 'BEARISH' : 'NEUTRAL';
+    const directions = intervals.map(tf => timeframes[tf].direction);
+    const higher = intervals[intervals.length - 1];
+
+    return {
+        timeframes,
+        alignment: {
+            score: +score.toFixed(3),
+            direction,
+            agreement: Math.round((directions.filter(d => d === direction).length / directions.length) * 100),
+            aligned: direction !== 'NEUTRAL' && directions.every(d => d === direction),
+            higherTimeframe: { interval: higher, direction: timeframes[higher].direction },
+            timeframeCount: intervals.length,
+        },
+    };
+}
+
+/**
+ * Confidence multiplier for a BUY/SELL signal given multi-timeframe alignment
+ * 1.2 when every timeframe agrees with the signal, down to 0.6 when they all oppose it;
+ * HOLD signals and single-timeframe data are left unchanged
+ */
+export function alignmentFactor(alignment, signalType) {
+    if (!alignment || alignment.timeframeCount < 2 || (signalType !== 'BUY' && signalType !== 'SELL')) return 1;
+    const agreement = (signalType === 'BUY' ? 1 : -1) * alignment.score;
+    return +(agreement >= 0 ? 1 + 0.2 * agreement : 1 + 0.4 * agreement).toFixed(3);
+}
+
 export default {
+    toCloses,
+    toSeries,
     calculateSMA,
     calculateEMA,
     calculateRSI,
@@ -485,9 +1018,20 @@ export default {
     calculateIchimokuCloud,
     calculateOBV,
     calculateVolumeProfile,
+    calculateMarketProfile,
+    calculateADX,
+    calculateKeltnerChannels,
+    calculateDonchianChannels,
+    calculateSuperTrend,
+    calculateCCI,
+    calculateWilliamsR,
+    calculateMFI,
     calculateTrendStrength,
     calculateFearGreedIndex,
     detectMarketRegime,
     calculateSupportResistance,
+    DEFAULT_INDICATOR_PARAMS,
     generateFullAnalysis,
+    generateMultiTimeframeAnalysis,
+    alignmentFactor,
 };
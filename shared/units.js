@@ -0,0 +1,78 @@
+// Shared Price Units for all DUCKMON Agents
+// Unit-aware price objects so MON and USD figures for the same token are never mixed.
+// Bare numbers are treated as MON per token (the unit priceService, candles and the
+// DuckSignals contract use); anything in USD must say so.
+
+export const CURRENCIES = Object.freeze({ MON: 'MON', USD: 'USD' });
+
+/**
+ * Create a denominated price
+ * @param {number} value - Price per token
+ * @param {string} [currency='MON'] - Quote currency (CURRENCIES)
+ * @returns {{ value: number, currency: string }}
+ */
+export function createPrice(value, currency = CURRENCIES.MON) {
+    if (!CURRENCIES[currency]) throw new Error(`Unknown price currency: ${currency}`);
+    return { value: Number(value) || 0, currency };
+}
+
+export const mon = (value) => createPrice(value, CURRENCIES.MON);
+export const usd = (value) => createPrice(value, CURRENCIES.USD);
+
+export function isPrice(input) {
+    return !!input && typeof input === 'object' && typeof input.value === 'number' && !!CURRENCIES[input.currency];
+}
+
+/**
+ * Convert a price to another currency
+ * @param {number|Object} input - Denominated price (bare numbers are MON)
+ * @param {string} currency - Target currency
+ * @param {number|null} [monUsd] - USD per MON, required when crossing currencies
+ * @returns {{ value: number, currency: string }|null} null when the rate is missing
+ */
+export function convertPrice(input, currency, monUsd = null) {
+    const from = isPrice(input) ? input : mon(input);
+    if (from.currency === currency) return createPrice(from.value, currency);
+    if (!(monUsd > 0)) return null;
+    return from.currency === CURRENCIES.MON
+        ? usd(from.value * monUsd)
+        : mon(from.value / monUsd);
+}
+
+/**
+ * Numeric value of a price in the requested currency, throwing instead of silently mixing units
+ */
+export function priceValue(input, currency = CURRENCIES.MON, monUsd = null) {
+    const converted = convertPrice(input, currency, monUsd);
+    if (!converted) {
+        throw new Error(`Cannot express ${input.currency} price in ${currency} without a MON/USD rate`);
+    }
+    return converted.value;
+}
+
+function formatDigits(n) {
+    if (!n || isNaN(n)) return '0.00';
+    if (n < 0.001) return n.toFixed(8);
+    if (n < 1) return n.toFixed(6);
+    if (n < 1000) return n.toFixed(4);
+    return n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a denominated price: "$0.00003812" or "0.00001906 MON"
+ */
+export function formatAmount(input) {
+    const p = isPrice(input) ? input : mon(input);
+    return p.currency === CURRENCIES.USD ? `$${formatDigits(p.value)}` : `${formatDigits(p.value)} MON`;
+}
+
+export default {
+    CURRENCIES,
+    createPrice,
+    mon,
+    usd,
+    isPrice,
+    convertPrice,
+    priceValue,
+    formatAmount,
+};
@@ -1,22 +1,44 @@
 // Shared Wallet & Blockchain Operations for all DUCKMON Agents
-import { createPublicClient, createWalletClient, http, parseEther } from 'viem';
+import { createPublicClient, createWalletClient, http, webSocket, parseEther } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
-import { monadMainnet, contracts, DUCK_SIGNALS_ABI } from './config.js';
+import { monadMainnet, contracts, DUCK_SIGNALS_ABI, STREAM_CONFIG } from './config.js';
+import { scheduledRpcFetch } from './requestScheduler.js';
+import { priceValue } from './units.js';
 
 let _publicClient = null;
+let _streamClient = null;
 let _walletClient = null;
 let _account = null;
 
+// HTTP RPC transport sharing the scheduler's per-host rate limit with every agent process
+function rpcTransport() {
+    return http(monadMainnet.rpcUrls.default.http[0], { fetchFn: scheduledRpcFetch });
+}
+
 export function getPublicClient() {
     if (!_publicClient) {
         _publicClient = createPublicClient({
             chain: monadMainnet,
-            transport: http(monadMainnet.rpcUrls.default.http[0]),
+            transport: rpcTransport(),
         });
     }
     return _publicClient;
 }
 
+// Client for block subscriptions: WebSocket when WS_RPC_URL is set, fast HTTP polling otherwise
+export function getStreamClient() {
+    if (!_streamClient) {
+        _streamClient = STREAM_CONFIG.WS_RPC_URL
+            ? createPublicClient({ chain: monadMainnet, transport: webSocket(STREAM_CONFIG.WS_RPC_URL) })
+            : createPublicClient({
+                chain: monadMainnet,
+                transport: rpcTransport(),
+                pollingInterval: STREAM_CONFIG.POLL_INTERVAL,
+            });
+    }
+    return _streamClient;
+}
+
 export function createClients() {
     const publicClient = getPublicClient();
     const privateKey = process.env.PRIVATE_KEY;
@@ -27,7 +49,7 @@ export function createClients() {
         _walletClient = createWalletClient({
             account: _account,
             chain: monadMainnet,
-            transport: http(monadMainnet.rpcUrls.default.http[0]),
+            transport: rpcTransport(),
         });
         return { publicClient, walletClient: _walletClient, account: _account };
     }
@@ -83,6 +105,11 @@ export async function registerAgent(name, log) {
     }
 }
 
+/**
+ * Post a signal to DuckSignals
+ * The contract stores price as MON per token with 18 decimals; pass a unit-aware
+ * price (`mon(x)` from units.js). Bare numbers are accepted as MON, USD prices are refused.
+ */
 export async function postSignal(signalType, confidence, price, reason, log) {
     const walletClient = _walletClient;
     const publicClient = getPublicClient();
@@ -90,7 +117,7 @@ export async function postSignal(signalType, confidence, price, reason, log) {
     if (!walletClient) return false;
 
     try {
-        const priceWei = parseEther(price.toFixed(18));
+        const priceWei = parseEther(priceValue(price, 'MON').toFixed(18));
         if (log) log.info('Broadcasting signal to blockchain...');
 
         const hash = await walletClient.writeContract({
@@ -109,6 +136,7 @@ export async function postSignal(signalType, confidence, price, reason, log) {
     }
 }
 
+// referencePrice follows the same MON-denominated convention as postSignal
 export async function postPrediction(direction, confidence, referencePrice, targetTime, log) {
     const walletClient = _walletClient;
     const publicClient = getPublicClient();
@@ -116,7 +144,7 @@ export async function postPrediction(direction, confidence, referencePrice, targ
     if (!walletClient) return false;
 
     try {
-        const priceWei = parseEther(referencePrice.toFixed(18));
+        const priceWei = parseEther(priceValue(referencePrice, 'MON').toFixed(18));
         const targetTimestamp = BigInt(Math.floor(targetTime / 1000));
 
         if (log) log.info('Broadcasting prediction to blockchain...');
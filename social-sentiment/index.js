@@ -2,19 +2,23 @@
 import { contracts, DEXSCREENER_API } from '../shared/config.js';
 import { createLogger, formatPrice, formatNumber, formatUptime } from '../shared/logger.js';
 import { createClients, registerAgent, postSignal } from '../shared/wallet.js';
-import { fetchPrice, buildHistory } from '../shared/priceService.js';
+import { mon } from '../shared/units.js';
+import { fetchPrice, buildHistory, quarantineReason } from '../shared/priceService.js';
+import { getCandles, exitOnSignals } from '../shared/candleStore.js';
+import { scheduledFetch } from '../shared/requestScheduler.js';
 import { calculateMomentum, calculateVolatility, calculateTrendStrength } from '../shared/technical-analysis.js';
+import { getStrategyProfile } from '../shared/strategyProfiles.js';
 import { sendSignal } from '../shared/websocketClient.js';
 import AI from '../shared/aiModule.js';
 
 const AGENT_NAME = 'Social Sentiment v1.0';
 const log = createLogger('Sentmt');
+AI.setAgentName(AGENT_NAME);
 
 const CONFIG = {
     CHECK_INTERVAL: 900000,     // 15 min
     HISTORY_SIZE: 100,
-    BULLISH_THRESHOLD: 65,
-    BEARISH_THRESHOLD: 35,
+    STRATEGY_AGENT: 'social-sentiment', // Key under "agents" in the strategy profile file
 };
 
 let priceHistory = [];
@@ -42,13 +46,7 @@ const sentiment = {
 
 async function fetchSocialMetrics() {
     try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 10000);
-
-        const response = await fetch(DEXSCREENER_API, { signal: controller.signal });
-        clearTimeout(timeout);
-
-        const data = await response.json();
+        const [data, priceData] = await Promise.all([scheduledFetch(DEXSCREENER_API), fetchPrice()]);
 
         if (!data.pairs || data.pairs.length === 0) return null;
 
@@ -57,7 +55,8 @@ async function fetchSocialMetrics() {
         ) || data.pairs[0];
 
         return {
-            price: parseFloat(pair.priceNative || 0),
+            price: priceData?.price || 0, // MON, from the aggregated oracle (priceNative may be in USDC)
+            priceQuarantine: priceData ? quarantineReason(priceData) : 'no price',
             volume24h: parseFloat(pair.volume?.h24 || 0),
             volume6h: parseFloat(pair.volume?.h6 || 0),
             volume1h: parseFloat(pair.volume?.h1 || 0),
@@ -85,11 +84,15 @@ async function fetchSocialMetrics() {
 // SENTIMENT SCORING ENGINE
 // ═══════════════════════════════════════════════════════════════════
 
-function calculateSentimentScore(metrics, prices) {
+/**
+ * @param {Object} profile - getStrategyProfile() result: component weights, label thresholds
+ */
+function calculateSentimentScore(metrics, prices, profile) {
+    const { weights, thresholds } = profile;
     let score = 50;
     const components = {};
 
-    // 1. Buy/Sell Ratio Analysis (weight: 25%)
+    // 1. Buy/Sell Ratio Analysis
     const buySellRatio24h = metrics.buys24h / (metrics.sells24h || 1);
     const buySellRatio1h = metrics.buys1h / (metrics.sells1h || 1);
 
@@ -107,7 +110,7 @@ function calculateSentimentScore(metrics, prices) {
 
     components.buySell = Math.max(0, Math.min(100, buySellScore));
 
-    // 2. Volume Trend Analysis (weight: 25%)
+    // 2. Volume Trend Analysis
     let volumeScore = 50;
     if (metrics.volume1h > 0 && metrics.volume6h > 0) {
         const hourlyAvg6h = metrics.volume6h / 6;
@@ -121,7 +124,7 @@ function calculateSentimentScore(metrics, prices) {
     }
     components.volume = Math.max(0, Math.min(100, volumeScore));
 
-    // 3. Price Momentum (weight: 25%)
+    // 3. Price Momentum
     let momentumScore = 50;
     if (prices.length >= 10) {
         const mom = calculateMomentum(prices);
@@ -137,7 +140,7 @@ function calculateSentimentScore(metrics, prices) {
     }
     components.momentum = Math.max(0, Math.min(100, momentumScore));
 
-    // 4. Transaction Activity (weight: 25%)
+    // 4. Transaction Activity
     let activityScore = 50;
     const totalTxs24h = metrics.buys24h + metrics.sells24h;
     const totalTxs1h = metrics.buys1h + metrics.sells1h;
@@ -157,20 +160,18 @@ function calculateSentimentScore(metrics, prices) {
     }
     components.activity = Math.max(0, Math.min(100, activityScore));
 
-    // Weighted average
-    score = Math.round(
-        components.buySell * 0.25 +
-        components.volume * 0.25 +
-        components.momentum * 0.25 +
-        components.activity * 0.25
-    );
+    // Weighted average (profile weights)
+    const totalWeight = Object.keys(components).reduce((sum, name) => sum + (weights[name] ?? 0), 0);
+    score = totalWeight > 0
+        ? Math.round(Object.entries(components).reduce((sum, [name, value]) => sum + value * (weights[name] ?? 0), 0) / totalWeight)
+        : 50;
 
     // Determine label
     let label;
-    if (score >= 75) label = 'VERY BULLISH';
-    else if (score >= CONFIG.BULLISH_THRESHOLD) label = 'BULLISH';
-    else if (score <= 25) label = 'VERY BEARISH';
-    else if (score <= CONFIG.BEARISH_THRESHOLD) label = 'BEARISH';
+    if (score >= thresholds.veryBullish) label = 'VERY BULLISH';
+    else if (score >= thresholds.bullish) label = 'BULLISH';
+    else if (score <= thresholds.veryBearish) label = 'VERY BEARISH';
+    else if (score <= thresholds.bearish) label = 'BEARISH';
     else label = 'NEUTRAL';
 
     // Volume trend label
@@ -208,10 +209,18 @@ async function runAnalysis() {
     const socialMetrics = await fetchSocialMetrics();
     if (!socialMetrics) { log.error('No social data'); return null; }
 
-    priceHistory.push(socialMetrics.price);
-    if (priceHistory.length > CONFIG.HISTORY_SIZE) priceHistory = priceHistory.slice(-CONFIG.HISTORY_SIZE);
+    if (socialMetrics.priceQuarantine) {
+        log.warning(`Price tick quarantined (${socialMetrics.priceQuarantine}) - momentum uses previous history, no signal post`);
+    } else {
+        priceHistory.push(socialMetrics.price);
+        if (priceHistory.length > CONFIG.HISTORY_SIZE) priceHistory = priceHistory.slice(-CONFIG.HISTORY_SIZE);
+    }
 
-    const result = calculateSentimentScore(socialMetrics, priceHistory);
+    const profile = getStrategyProfile(contracts.DUCK_TOKEN, CONFIG.STRATEGY_AGENT);
+    const result = calculateSentimentScore(socialMetrics, priceHistory, profile);
+    const signalType = result.score >= profile.thresholds.bullish ? 'BUY' :
+        result.score <= profile.thresholds.bearish ? 'SELL' : 'HOLD';
+    const signalConfidence = Math.round(Math.min(50 + Math.abs(result.score - 50) * 0.8, 95));
     performance.totalChecks++;
 
     // Update global sentiment
@@ -286,10 +295,6 @@ async function runAnalysis() {
 
     // Post to blockchain
     if (isRegistered) {
-        const signalType = result.score >= CONFIG.BULLISH_THRESHOLD ? 'BUY' :
-            result.score <= CONFIG.BEARISH_THRESHOLD ? 'SELL' : 'HOLD';
-        const confidence = Math.round(Math.min(50 + Math.abs(result.score - 50) * 0.8, 95));
-
         const reason = [
             `SENTIMENT`,
             `Score:${result.score}/100`,
@@ -300,8 +305,8 @@ async function runAnalysis() {
             aiSentiment ? `AI:${aiSentiment.sentiment || 'N/A'}` : null,
         ].filter(Boolean).join(' | ');
 
-        if (confidence >= 55) {
-            await postSignal(signalType, confidence, socialMetrics.price, reason, log);
+        if (signalConfidence >= profile.minConfidence && !socialMetrics.priceQuarantine) {
+            await postSignal(signalType, signalConfidence, mon(socialMetrics.price), reason, log);
             performance.signals++;
         }
     }
@@ -310,9 +315,8 @@ async function runAnalysis() {
     try {
         await sendSignal({
             agentName: AGENT_NAME,
-            type: result.score >= CONFIG.BULLISH_THRESHOLD ? 'BUY' :
-                result.score <= CONFIG.BEARISH_THRESHOLD ? 'SELL' : 'HOLD',
-            confidence: Math.round(Math.min(50 + Math.abs(result.score - 50) * 0.8, 95)),
+            type: signalType,
+            confidence: signalConfidence,
             price: socialMetrics.price,
             category: 'sentiment',
             sentimentScore: result.score,
@@ -354,6 +358,10 @@ async function main() {
     if (account) log.success(`Wallet: ${account.address.slice(0, 10)}...`);
     isRegistered = await registerAgent(AGENT_NAME, log);
 
+    // Warm momentum/trend from persisted candles instead of starting empty
+    priceHistory = getCandles(contracts.DUCK_TOKEN, '15m', CONFIG.HISTORY_SIZE).map(c => c.close);
+    if (priceHistory.length > 0) log.success(`Restored ${priceHistory.length} 15m candles from disk`);
+
     await runAnalysis();
 
     setInterval(async () => {
@@ -365,4 +373,7 @@ async function main() {
 }
 
 export { runAnalysis, performance, sentiment };
+
+exitOnSignals();
+
 main().catch(console.error);
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * DUCKMON Regime Detection Check
+ * Runs detectRegime() on seeded synthetic series with a known regime change and checks
+ * the reported regime and the bar of the last shift.
+ *
+ *   node test/regime.mjs
+ */
+
+import { detectRegime } from '../shared/regime.js';
+
+const BARS = 200;
+const SHIFT_TOLERANCE = 10; // Bars the reported shift may miss the true one by
+const SEEDS = [1, 2, 3, 4, 5];
+
+const cases = [
+    {
+        name: 'zero-drift walk, volatility x6 at bar 150',
+        step: i => [0, i < 150 ? 0.005 : 0.03],
+        regime: 'VOLATILE_CHOPPY',
+        shift: 150,
+    },
+    {
+        name: 'up 100 bars, then down',
+        step: i => [i < 100 ? 0.004 : -0.004, 0.005],
+        regime: 'TRENDING_DOWN',
+        shift: 100,
+    },
+];
+
+// mulberry32
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Log-normal walk; step(i) gives [drift, volatility] of the return into bar i
+function walk(step, seed) {
+    const rand = random(seed);
+    const prices = [1];
+    for (let i = 1; i < BARS; i++) {
+        const [drift, vol] = step(i);
+        const z = Math.sqrt(-2 * Math.log(rand() || 1e-12)) * Math.cos(2 * Math.PI * rand());
+        prices.push(prices[i - 1] * Math.exp(drift + vol * z));
+    }
+    return prices;
+}
+
+let failures = 0;
+for (const c of cases) {
+    for (const seed of SEEDS) {
+        const result = detectRegime(walk(c.step, seed));
+        const shift = result?.lastShift?.index ?? null;
+        const ok = result?.regime === c.regime && shift !== null && Math.abs(shift - c.shift) <= SHIFT_TOLERANCE;
+        if (!ok) {
+            failures++;
+            console.log(`\x1b[31m[REGIME] ${c.name} (seed ${seed}): got ${result?.regime} shifting at bar ${shift}, expected ${c.regime} near bar ${c.shift}\x1b[0m`);
+        }
+    }
+}
+
+if (failures > 0) {
+    console.log(`\x1b[31m[REGIME] ${failures} case(s) failed\x1b[0m`);
+    process.exit(1);
+}
+console.log(`\x1b[32m[REGIME] ${cases.length * SEEDS.length} synthetic series classified as expected\x1b[0m`);
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * DUCKMON Replay Regression
+ * Replays a recorded DUCK session through Trading Oracle and Prediction Bot with no network
+ * and compares the signals they post against expected.json.
+ *
+ *   node test/replay/regression.mjs            # compare
+ *   node test/replay/regression.mjs --update   # accept the current output as expected
+ */
+
+import { spawn } from 'child_process';
+import { createServer } from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '../..');
+const RECORDING = path.join(__dirname, 'duck-session.jsonl');
+const EXPECTED = path.join(__dirname, 'expected.json');
+const AGENT_TIMEOUT = 120000;
+
+const agents = [
+    { name: 'Trading Oracle', path: 'trading-oracle' },
+    { name: 'Prediction Bot', path: 'prediction-bot' },
+];
+
+// Stands in for ws-server: collects every signal an agent posts
+function startCapture() {
+    const signals = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/api/signal') signals.push(JSON.parse(body));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"success":true}');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, signals })));
+}
+
+function runAgent(agent, serverUrl, stateDir) {
+    // Fresh state dirs and no wallet/AI keys so nothing outside the recording shapes the output
+    const env = {
+        ...process.env,
+        PRICE_MODE: 'replay',
+        PRICE_REPLAY_FILE: RECORDING,
+        PRICE_RECORD_FILE: '',
+        WEBSOCKET_SERVER_URL: serverUrl,
+        AI_PROVIDER: 'stub',
+        AI_STUB_FILE: '',
+        AI_CACHE_DIR: '',
+        AI_STATE_DIR: path.join(stateDir, 'ai'),
+        CANDLE_DATA_DIR: path.join(stateDir, 'candles'),
+        SCHEDULER_STATE_DIR: path.join(stateDir, 'scheduler'),
+        STRATEGY_PROFILE_FILE: path.join(ROOT, 'shared/strategies.json'),
+        PRIVATE_KEY: '',
+    };
+
+    return new Promise((resolve, reject) => {
+        const proc = spawn('node', ['index.js'], { cwd: path.join(ROOT, agent.path), env, stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        proc.stderr.on('data', chunk => { stderr += chunk; });
+        const timer = setTimeout(() => proc.kill('SIGTERM'), AGENT_TIMEOUT);
+        proc.on('error', reject);
+        proc.on('exit', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) resolve();
+            else reject(new Error(`${agent.name} exited with ${signal || code}${stderr ? `\n${stderr}` : ''}`));
+        });
+    });
+}
+
+async function main() {
+    const update = process.argv.includes('--update');
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duckmon-replay-'));
+    const { server, signals } = await startCapture();
+    const serverUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const actual = {};
+    try {
+        for (const agent of agents) {
+            signals.length = 0;
+            await runAgent(agent, serverUrl, stateDir);
+            actual[agent.name] = [...signals];
+            console.log(`  ${agent.name}: ${signals.length} signals`);
+        }
+    } finally {
+        server.close();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+
+    if (update || !fs.existsSync(EXPECTED)) {
+        fs.writeFileSync(EXPECTED, JSON.stringify(actual, null, 2) + '\n');
+        console.log(`\x1b[32m[REPLAY] Wrote ${path.relative(ROOT, EXPECTED)}\x1b[0m`);
+        return;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(EXPECTED, 'utf8'));
+    let failures = 0;
+    for (const agent of agents) {
+        const want = expected[agent.name] || [];
+        const got = actual[agent.name] || [];
+        for (let i = 0; i < Math.max(want.length, got.length); i++) {
+            if (isDeepStrictEqual(want[i], got[i])) continue;
+            failures++;
+            console.log(`\x1b[31m[REPLAY] ${agent.name} signal #${i + 1} differs\x1b[0m`);
+            console.log(`  expected: ${JSON.stringify(want[i] ?? null).slice(0, 400)}`);
+            console.log(`  actual:   ${JSON.stringify(got[i] ?? null).slice(0, 400)}`);
+        }
+    }
+
+    if (failures > 0) {
+        console.log(`\x1b[31m[REPLAY] ${failures} signal(s) differ — run with --update if the change is intended\x1b[0m`);
+        process.exit(1);
+    }
+    console.log('\x1b[32m[REPLAY] Signals match expected.json\x1b[0m');
+}
+
+main().catch((error) => {
+    console.error(`\x1b[31m[REPLAY] ${error.message}\x1b[0m`);
+    process.exit(1);
+});
@@ -1,23 +1,31 @@
 // DUCKMON TRADING ORACLE v3.0 - Professional AI-Powered Trading Analysis
-import { contracts } from '../shared/config.js';
+import { contracts, MTF_CONFIG } from '../shared/config.js';
 import { createLogger, formatPrice, formatUptime } from '../shared/logger.js';
 import { createClients, registerAgent, postSignal } from '../shared/wallet.js';
-import { fetchPrice, buildHistory } from '../shared/priceService.js';
-import { generateFullAnalysis } from '../shared/technical-analysis.js';
+import { mon } from '../shared/units.js';
+import { fetchPrice, buildHistory, quarantineReason, tradedVolumeSince } from '../shared/priceService.js';
+import { now, every } from '../shared/clock.js';
+import { generateFullAnalysis, generateMultiTimeframeAnalysis, alignmentFactor } from '../shared/technical-analysis.js';
+import { getMultiTimeframeCandles, exitOnSignals } from '../shared/candleStore.js';
+import { getStrategyProfile } from '../shared/strategyProfiles.js';
+import { detectDivergences, describeDivergence } from '../shared/divergence.js';
 import { sendSignal } from '../shared/websocketClient.js';
 import AI from '../shared/aiModule.js';
 
 const AGENT_NAME = 'Trading Oracle v3.0';
 const log = createLogger('Oracle');
+AI.setAgentName(AGENT_NAME);
 
 const CONFIG = {
     ANALYSIS_INTERVAL: 900000,
     HISTORY_SIZE: 200,
-    MIN_CONFIDENCE: 60,
+    MIN_CONFIDENCE: 60,              // Used when the strategy profile sets no minConfidence
+    STRATEGY_AGENT: 'trading-oracle', // Key under "agents" in the strategy profile file
 };
 
 let priceHistory = [];
 let volumeHistory = [];
+let lastSampleAt = null; // Timestamp of the newest history point
 let isRegistered = false;
 
 const performance = {
@@ -29,31 +37,38 @@ const performance = {
 // SIGNAL GENERATION ENGINE v3.0
 // ═══════════════════════════════════════════════════════════════════
 
-function generateSignal(prices, volumes) {
+/**
+ * @param {number[]} prices
+ * @param {number[]} volumes
+ * @param {Object} [mtf] - generateMultiTimeframeAnalysis() result; BUY/SELL confidence is
+ *   scaled by how well the candle timeframes agree with the signal
+ * @param {Object} profile - getStrategyProfile() result: indicator params, weights, thresholds
+ */
+function generateSignal(prices, volumes, mtf, profile) {
     if (prices.length < 30) {
         return { type: 'HOLD', confidence: 30, reason: 'Insufficient data', price: prices[prices.length - 1] || 0, indicators: {} };
     }
 
-    const analysis = generateFullAnalysis(prices, volumes);
+    const analysis = generateFullAnalysis(prices, volumes, profile.indicators);
     const { rsi, macd, bollinger, stochasticRSI, trend, momentum, volatility, atr, vwap, ichimoku, fearGreed, regime, supportResistance } = analysis;
     const currentPrice = prices[prices.length - 1];
 
-    // Weighted scoring system
-    const weights = { rsi: 0.20, macd: 0.15, bollinger: 0.15, trend: 0.15, ichimoku: 0.10, stochRSI: 0.10, momentum: 0.10, vwap: 0.05 };
+    // Weighted scoring system (weights and thresholds from the strategy profile)
+    const { weights, thresholds: t } = profile;
     let buyScore = 0, sellScore = 0;
     const reasons = [];
 
     // RSI
-    if (rsi < 30) { buyScore += weights.rsi * (1 + (30 - rsi) / 30); reasons.push('RSI oversold'); }
-    else if (rsi > 70) { sellScore += weights.rsi * (1 + (rsi - 70) / 30); reasons.push('RSI overbought'); }
+    if (rsi < t.rsiOversold) { buyScore += weights.rsi * (1 + (t.rsiOversold - rsi) / 30); reasons.push('RSI oversold'); }
+    else if (rsi > t.rsiOverbought) { sellScore += weights.rsi * (1 + (rsi - t.rsiOverbought) / 30); reasons.push('RSI overbought'); }
 
     // MACD (now with proper signal line)
     if (macd.histogram > 0 && macd.value > 0) { buyScore += weights.macd; reasons.push('MACD bullish'); }
     else if (macd.histogram < 0 && macd.value < 0) { sellScore += weights.macd; reasons.push('MACD bearish'); }
 
     // Bollinger Bands (using real percentB)
-    if (bollinger.percentB < 10) { buyScore += weights.bollinger; reasons.push('BB oversold'); }
-    else if (bollinger.percentB > 90) { sellScore += weights.bollinger; reasons.push('BB overbought'); }
+    if (bollinger.percentB < t.bbOversold) { buyScore += weights.bollinger; reasons.push('BB oversold'); }
+    else if (bollinger.percentB > t.bbOverbought) { sellScore += weights.bollinger; reasons.push('BB overbought'); }
 
     // Trend
     if (trend.direction === 'BULLISH') { buyScore += weights.trend * (trend.strength / 100); reasons.push('Bullish trend'); }
@@ -66,25 +81,38 @@ function generateSignal(prices, volumes) {
     else if (ichimoku.signal === 'BEARISH') { sellScore += weights.ichimoku * 0.5; }
 
     // Stochastic RSI
-    if (stochasticRSI.k < 20 && stochasticRSI.d < 20) { buyScore += weights.stochRSI; reasons.push('StochRSI oversold'); }
-    else if (stochasticRSI.k > 80 && stochasticRSI.d > 80) { sellScore += weights.stochRSI; reasons.push('StochRSI overbought'); }
+    if (stochasticRSI.k < t.stochOversold && stochasticRSI.d < t.stochOversold) { buyScore += weights.stochRSI; reasons.push('StochRSI oversold'); }
+    else if (stochasticRSI.k > t.stochOverbought && stochasticRSI.d > t.stochOverbought) { sellScore += weights.stochRSI; reasons.push('StochRSI overbought'); }
 
     // Momentum
-    if (momentum > 3) { buyScore += weights.momentum; }
-    else if (momentum < -3) { sellScore += weights.momentum; }
+    if (momentum > t.momentum) { buyScore += weights.momentum; }
+    else if (momentum < -t.momentum) { sellScore += weights.momentum; }
 
     // VWAP
-    if (vwap > 0 && currentPrice < vwap * 0.98) { buyScore += weights.vwap; reasons.push('Below VWAP'); }
-    else if (vwap > 0 && currentPrice > vwap * 1.02) { sellScore += weights.vwap; reasons.push('Above VWAP'); }
+    if (vwap > 0 && currentPrice < vwap * (1 - t.vwapDeviation)) { buyScore += weights.vwap; reasons.push('Below VWAP'); }
+    else if (vwap > 0 && currentPrice > vwap * (1 + t.vwapDeviation)) { sellScore += weights.vwap; reasons.push('Above VWAP'); }
+
+    // Divergences (regular = reversal, hidden = continuation; recent ones count more).
+    // RSI, MACD and OBV together add at most weights.divergence per side, like any one indicator.
+    const divergence = detectDivergences(prices, volumes, { params: profile.indicators });
+    let divBuy = 0, divSell = 0;
+    for (const d of divergence.divergences) {
+        const weight = weights.divergence * (d.kind === 'regular' ? 1 : 0.6) * (d.barsAgo <= 5 ? 1 : 0.6);
+        if (d.type === 'bullish') divBuy += weight;
+        else divSell += weight;
+    }
+    buyScore += Math.min(divBuy, weights.divergence);
+    sellScore += Math.min(divSell, weights.divergence);
+    if (divergence.divergences.length > 0) reasons.push(`Divergence: ${divergence.divergences.map(describeDivergence).join(', ')}`);
 
     // Determine signal
     const netScore = buyScore - sellScore;
     let type, confidence;
 
-    if (netScore > 0.15) {
+    if (netScore > t.signalScore) {
         type = 'BUY';
         confidence = Math.min(50 + Math.abs(netScore) * 100, 95);
-    } else if (netScore < -0.15) {
+    } else if (netScore < -t.signalScore) {
         type = 'SELL';
         confidence = Math.min(50 + Math.abs(netScore) * 100, 95);
     } else {
@@ -92,6 +120,14 @@ function generateSignal(prices, volumes) {
         confidence = 50 + Math.abs(netScore) * 50;
     }
 
+    // Higher-timeframe agreement
+    const alignment = mtf?.alignment || null;
+    const factor = alignmentFactor(alignment, type);
+    if (factor !== 1) {
+        confidence = Math.min(confidence * factor, 95);
+        reasons.push(`${factor > 1 ? 'HTF aligned' : 'HTF against'} (${alignment.higherTimeframe.interval} ${alignment.higherTimeframe.direction})`);
+    }
+
     const detailedReason = [
         `RSI: ${rsi.toFixed(1)}`,
         `MACD: ${macd.histogram > 0 ? 'Bullish' : macd.histogram < 0 ? 'Bearish' : 'Neutral'}`,
@@ -122,10 +158,18 @@ function generateSignal(prices, volumes) {
             volatility: volatility.toFixed(2),
             fearGreed,
             regime,
+            mtf: alignment ? {
+                direction: alignment.direction,
+                score: alignment.score,
+                agreement: alignment.agreement,
+                timeframes: Object.fromEntries(Object.entries(mtf.timeframes).map(([tf, f]) => [tf, f.direction])),
+            } : null,
+            divergence: divergence.bias,
+            divergences: divergence.divergences,
             support: supportResistance.support.toFixed(8),
             resistance: supportResistance.resistance.toFixed(8),
         },
-        timestamp: Date.now(),
+        timestamp: now(),
     };
 }
 
@@ -139,15 +183,27 @@ async function runAnalysis() {
 
     const priceData = await fetchPrice();
     if (!priceData) { log.error('Failed to fetch price data'); return null; }
+    if (priceData.quarantined) {
+        log.warning(`Price tick quarantined (${quarantineReason(priceData)}) - skipping update and signal`);
+        return null;
+    }
 
     priceHistory.push(priceData.price);
-    volumeHistory.push(priceData.volume || 0);
+    // Traded MON since the previous point (priceData.volume is a 24h USD snapshot)
+    volumeHistory.push(tradedVolumeSince(contracts.DUCK_TOKEN, lastSampleAt));
+    lastSampleAt = priceData.timestamp;
+    AI.scoreVerdicts(priceData); // Score earlier AI signals that have reached their horizon
     if (priceHistory.length > CONFIG.HISTORY_SIZE) {
         priceHistory = priceHistory.slice(-CONFIG.HISTORY_SIZE);
         volumeHistory = volumeHistory.slice(-CONFIG.HISTORY_SIZE);
     }
 
-    const signal = generateSignal(priceHistory, volumeHistory);
+    const profile = getStrategyProfile(contracts.DUCK_TOKEN, CONFIG.STRATEGY_AGENT);
+    const mtf = generateMultiTimeframeAnalysis(
+        getMultiTimeframeCandles(contracts.DUCK_TOKEN, MTF_CONFIG.TIMEFRAMES, MTF_CONFIG.BARS),
+        { minBars: MTF_CONFIG.MIN_BARS, params: profile.indicators },
+    );
+    const signal = generateSignal(priceHistory, volumeHistory, mtf, profile);
 
     // AI Enhancement
     let aiAnalysis = null;
@@ -172,10 +228,16 @@ async function runAnalysis() {
             if (aiAnalysis) {
                 log.ai(`AI Signal: ${aiAnalysis.signal} (${aiAnalysis.confidence}%)`);
                 const aiReason = AI.formatAISignalReason(aiAnalysis);
-                if (aiReason) {
+                // Blend by measured AI reliability: an agreeing AI adds its calibrated confidence,
+                // a disagreeing one pulls the signal's confidence down
+                const { weight } = AI.getReliability('market-analysis');
+                if (aiReason && weight > 0) {
+                    const aiConfidence = AI.calibrateConfidence('market-analysis', aiAnalysis.confidence);
+                    const support = aiAnalysis.signal === signal.type ? aiConfidence : 100 - aiConfidence;
                     signal.reason = aiReason;
-                    signal.confidence = Math.round((signal.confidence + aiAnalysis.confidence) / 2);
+                    signal.confidence = Math.round(signal.confidence * (1 - weight) + support * weight);
                     signal.aiEnhanced = true;
+                    signal.aiWeight = weight;
                     signal.aiData = aiAnalysis;
                 }
             }
@@ -197,12 +259,17 @@ async function runAnalysis() {
     console.log(`  RSI:         ${signal.indicators.rsi} | StochRSI: K${signal.indicators.stochasticRSI.k} D${signal.indicators.stochasticRSI.d}`);
     console.log(`  MACD:        ${signal.indicators.macd} (Signal: ${signal.indicators.macdSignal})`);
     console.log(`  Bollinger:   %B=${signal.indicators.bollinger.percentB} BW=${signal.indicators.bollinger.bandwidth}`);
-    console.log(`  Trend:       ${signal.indicators.trend} (${signal.indicators.trendStrength}%) | Ichimoku: ${signal.indicators.ichimoku}`);
+    console.log(`  Trend:       ${signal.indicators.trend} (strength ${signal.indicators.trendStrength}) | Ichimoku: ${signal.indicators.ichimoku}`);
     console.log(`  Regime:      ${signal.indicators.regime} | Fear/Greed: ${signal.indicators.fearGreed}`);
     console.log(`  Support:     ${signal.indicators.support} | Resistance: ${signal.indicators.resistance}`);
+    if (signal.indicators.mtf) {
+        const frames = Object.entries(signal.indicators.mtf.timeframes).map(([tf, d]) => `${tf}:${d}`).join(' ');
+        console.log(`  Timeframes:  ${frames} | Alignment: ${signal.indicators.mtf.direction} (${signal.indicators.mtf.agreement}%)`);
+    }
     if (signal.aiData) {
         console.log(`  AI Support:  ${signal.aiData.support || 'N/A'} | AI Resistance: ${signal.aiData.resistance || 'N/A'}`);
         console.log(`  AI R/R:      ${signal.aiData.riskReward || 'N/A'} | Sentiment: ${signal.aiData.sentiment || 'N/A'}`);
+        console.log(`  AI Weight:   ${(signal.aiWeight * 100).toFixed(0)}% (measured reliability) | AI Signal: ${signal.aiData.signal} (${signal.aiData.confidence}%)`);
     }
     log.signal(signal.type, `Signal: ${signal.type} (${signal.confidence}% confidence)`);
     console.log(`  Reason:      ${signal.reason}`);
@@ -210,8 +277,8 @@ async function runAnalysis() {
     console.log(`  Stats: ${performance.buySignals}B | ${performance.sellSignals}S | ${performance.holdSignals}H | Uptime: ${formatUptime(Date.now() - performance.startTime)}`);
 
     // Post to blockchain
-    if (isRegistered && signal.confidence >= CONFIG.MIN_CONFIDENCE) {
-        await postSignal(signal.type, signal.confidence, signal.price, signal.reason, log);
+    if (isRegistered && signal.confidence >= (profile.minConfidence ?? CONFIG.MIN_CONFIDENCE)) {
+        await postSignal(signal.type, signal.confidence, mon(signal.price), signal.reason, log);
     }
 
     // Send to ws-server for frontend
@@ -225,6 +292,7 @@ async function runAnalysis() {
             category: 'technical',
             indicators: signal.indicators,
             aiEnhanced: signal.aiEnhanced || false,
+            aiWeight: signal.aiWeight ?? null,
             aiData: signal.aiData || null,
         });
     } catch (e) { /* ws-server may be offline */ }
@@ -254,19 +322,23 @@ async function main() {
     isRegistered = await registerAgent(AGENT_NAME, log);
 
     log.info('Building price history...');
-    const history = await buildHistory(50, 3000, log);
+    const history = await buildHistory(contracts.DUCK_TOKEN, 50, 3000, log);
     priceHistory = history.map(d => d.price);
     volumeHistory = history.map(d => d.volume || 0);
+    lastSampleAt = history[history.length - 1]?.timestamp ?? null;
 
     await runAnalysis();
 
-    setInterval(async () => {
+    every(CONFIG.ANALYSIS_INTERVAL, async () => {
         try { await runAnalysis(); }
         catch (err) { log.error(`Analysis loop error: ${err.message}`); }
-    }, CONFIG.ANALYSIS_INTERVAL);
+    });
 
     log.success('Agent is running!');
 }
 
 export { runAnalysis, performance };
+
+exitOnSignals();
+
 main().catch(console.error);
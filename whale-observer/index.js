@@ -3,12 +3,15 @@ import { formatEther, parseAbiItem } from 'viem';
 import { contracts, TOKENS, WHALE_CONFIG, ERC20_ABI } from '../shared/config.js';
 import { createLogger, formatNumber, formatAddress, formatUptime } from '../shared/logger.js';
 import { createClients, getPublicClient, registerAgent, postSignal } from '../shared/wallet.js';
+import { mon } from '../shared/units.js';
 import { fetchPrice } from '../shared/priceService.js';
+import { exitOnSignals } from '../shared/candleStore.js';
 import { sendSignal } from '../shared/websocketClient.js';
 import AI from '../shared/aiModule.js';
 
 const AGENT_NAME = 'Whale Observer v2.0';
 const log = createLogger('Whale');
+AI.setAgentName(AGENT_NAME);
 
 const CONFIG = {
     SCAN_INTERVAL: 300000,       // 5 min whale scan
@@ -270,20 +273,20 @@ async function postWhaleAlert(transfer, activity) {
     // AI analysis
     if (AI.isAIEnabled()) {
         try {
-            const priceData = await fetchPrice();
             const aiResult = await AI.analyzeWhaleBehavior({
-                transferAmount: transfer.amount,
-                fromProfile: fromWallet?.profile || 'UNKNOWN',
-                toProfile: toWallet?.profile || 'UNKNOWN',
-                totalSupplyPercent: (transfer.amount / TOKENS.DUCK.totalSupply) * 100,
-                currentPrice: priceData?.price || 0,
-                recentWhaleCount: performance.whaleAlerts,
+                wallet: transfer.to,
+                balanceChange: transfer.amount,
+                newBalance: await getTokenBalance(transfer.to),
+                percentOfSupply: (transfer.amount / TOKENS.DUCK.totalSupply) * 100,
+                recentActivity: `${activity.type} from ${fromWallet?.profile || 'UNKNOWN'} to ${toWallet?.profile || 'UNKNOWN'} (${performance.whaleAlerts} recent whale alerts)`,
+                networkStats: { gasPrice: networkStats.avgGasGwei, txPerBlock: networkStats.avgTxPerBlock, congestion: assessNetworkHealth().congestion },
             });
+            // Validated responses only; the AI may settle a HOLD but never overrides the wallet profiles
             if (aiResult) {
-                log.ai(`AI Whale Analysis: ${aiResult.intent || 'N/A'} - Impact: ${aiResult.priceImpact || 'N/A'}`);
-                if (aiResult.recommendation) {
-                    signalType = aiResult.recommendation === 'BUY' ? 'BUY' : aiResult.recommendation === 'SELL' ? 'SELL' : signalType;
-                }
+                log.ai(`AI Whale Analysis: ${aiResult.behavior} (${aiResult.sentiment}) - ${aiResult.intent || 'N/A'} - Impact: ${aiResult.marketImpact}`);
+                const aiSignal = aiResult.sentiment === 'BULLISH' ? 'BUY' : aiResult.sentiment === 'BEARISH' ? 'SELL' : 'HOLD';
+                if (signalType === 'HOLD') signalType = aiSignal;
+                else if (aiSignal !== 'HOLD' && aiSignal !== signalType) log.ai(`AI disagrees (${aiSignal}) - keeping profile-based ${signalType}`);
             }
         } catch (err) {
             log.warning(`AI whale analysis failed: ${err.message}`);
@@ -291,9 +294,13 @@ async function postWhaleAlert(transfer, activity) {
     }
 
     if (isRegistered) {
-        // Fixed: use actual price instead of 0
-        const priceForSignal = (await fetchPrice())?.price || 0;
-        await postSignal(signalType, confidence, priceForSignal, reason, log);
+        // Reference price must be a clean tick; skip the post rather than anchor it to a stale/spiking one
+        const priceData = await fetchPrice();
+        if (priceData && !priceData.quarantined) {
+            await postSignal(signalType, confidence, mon(priceData.price), reason, log);
+        } else {
+            log.warning('Price tick quarantined - whale signal not posted on-chain');
+        }
     }
 
     // Send to ws-server for frontend
@@ -422,4 +429,7 @@ async function main() {
 }
 
 export { runWhaleAnalysis, runNetworkAnalysis, performance, trackedWallets };
+
+exitOnSignals();
+
 main().catch(console.error);
@@ -14,12 +14,24 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server as SocketIO } from 'socket.io';
 import cors from 'cors';
-import { fetchPrice } from './shared/priceService.js';
+import fs from 'fs';
+import path from 'path';
+import { fetchPrice, subscribe, getStreamStatus, quarantineReason } from './shared/priceService.js';
+import { getCandles, getMultiTimeframeCandles, CANDLE_INTERVALS, exitOnSignals } from './shared/candleStore.js';
+import { MTF_CONFIG, WATCHLIST_CONFIG, STREAM_CONFIG } from './shared/config.js';
+import { BarStream } from './shared/streamingIndicators.js';
+import { detectDivergences, describeDivergence } from './shared/divergence.js';
+import { detectPatterns, describePattern } from './shared/patterns.js';
+import { detectRegime } from './shared/regime.js';
+import { getStrategyProfile } from './shared/strategyProfiles.js';
+import { rankWatchlist, refreshWatchlist } from './shared/correlation.js';
+import { backfillCandles } from './shared/candleBackfill.js';
+import { mon, convertPrice, formatAmount } from './shared/units.js';
 import {
     generateFullAnalysis, calculateSupportResistance,
-    calculateATR, calculateFibonacciLevels, calculateVolumeProfile,
+    calculateATR, calculateFibonacciLevels, calculateVolumeProfile, calculateMarketProfile,
     calculateOBV, calculateTrendStrength, calculateFearGreedIndex,
-    detectMarketRegime,
+    detectMarketRegime, generateMultiTimeframeAnalysis, alignmentFactor,
 } from './shared/technical-analysis.js';
 
 const app = express();
@@ -89,14 +101,46 @@ const AGENT_WEIGHTS = {
 
 const SIGNAL_TO_SCORE = { BUY: 1, SELL: -1, HOLD: 0 };
 
-function computeConfluenceScore() {
+// Per-regime agent weight multipliers and position-size scaling, blended by the
+// regime model's probabilities. Trend followers lead in trends; in chop, liquidity and
+// whale flow matter more than indicators and positions are halved.
+const REGIME_ADJUSTMENTS = {
+    TRENDING_UP: {
+        weights: { 'Trading Oracle v3.0': 1.2, 'Market Analyzer v3.0': 1.1, 'Prediction Bot v3.0': 1.1, 'Social Sentiment v1.0': 0.9 },
+        sizing: 1.0,
+    },
+    TRENDING_DOWN: {
+        weights: { 'Trading Oracle v3.0': 1.2, 'Market Analyzer v3.0': 1.1, 'Liquidity Sentinel v1.0': 1.2, 'Social Sentiment v1.0': 0.8 },
+        sizing: 0.8,
+    },
+    RANGING_CALM: {
+        weights: { 'Prediction Bot v3.0': 0.8, 'On-Chain Analytics v1.0': 1.2, 'Whale Observer v2.0': 1.2 },
+        sizing: 1.0,
+    },
+    VOLATILE_CHOPPY: {
+        weights: { 'Trading Oracle v3.0': 0.8, 'Prediction Bot v3.0': 0.7, 'Liquidity Sentinel v1.0': 1.5, 'Whale Observer v2.0': 1.5 },
+        sizing: 0.5,
+    },
+};
+
+function regimeAdjustment(regime, pick) {
+    if (!regime?.probabilities) return 1;
+    return Object.entries(regime.probabilities)
+        .reduce((sum, [name, p]) => sum + p * (pick(REGIME_ADJUSTMENTS[name]) ?? 1), 0);
+}
+
+/**
+ * @param {Object} [regime] - detectRegime() result; agent weights adapt to it when given
+ */
+function computeConfluenceScore(regime = null) {
     const now = Date.now();
     let weightedSum = 0;
     let totalWeight = 0;
     let agentCount = 0;
     const breakdown = {};
 
-    for (const [name, weight] of Object.entries(AGENT_WEIGHTS)) {
+    for (const [name, baseWeight] of Object.entries(AGENT_WEIGHTS)) {
+        const weight = baseWeight * regimeAdjustment(regime, (adj) => adj?.weights[name]);
         const sig = state.agentSignals[name];
         if (!sig || now - sig.receivedAt > SIGNAL_EXPIRY) continue;
 
@@ -142,9 +186,10 @@ function calculateAgreement(breakdown) {
 // Produces senior-analyst-level market commentary
 // ═══════════════════════════════════════════════════════════════════
 
-function generateNarrative(priceData, technical, confluence, levels, risk) {
+function generateNarrative(priceData, technical, confluence, levels, risk, divergence, patterns, mtf, regimeModel) {
     const sym = priceData.tokenSymbol || 'Token';
-    const price = priceData.priceUsd || priceData.price;
+    const price = priceData.price; // MON, same unit as the history-derived levels
+    const fmt = (value) => formatLevel(value, priceData.monUsd);
     const parts = [];
 
     // 1. Market structure overview
@@ -159,16 +204,40 @@ function generateNarrative(priceData, technical, confluence, levels, risk) {
             'VOLATILE_CHOPPY': 'volatile, choppy conditions with no clear direction',
         }[regime] || 'mixed conditions';
 
-        parts.push(`${sym} is currently trading at $${formatUsd(price)} and exhibits ${regimeText}.`);
+        parts.push(`${sym} is currently trading at ${fmt(price)} and exhibits ${regimeText}.`);
 
         // Trend + momentum interpretation
         if (trend) {
-            if (trend.direction === 'BULLISH' && trend.strength > 60) {
-                parts.push(`Trend momentum is firmly bullish at ${trend.strength.toFixed(0)}% strength, suggesting continuation bias.`);
-            } else if (trend.direction === 'BEARISH' && trend.strength > 60) {
-                parts.push(`Bearish trend is dominant at ${trend.strength.toFixed(0)}% strength — caution warranted for long positions.`);
+            // strength is ADX only when there was enough history for it (> 40 is a strong trend);
+            // the SMA fallback gives a direction without an ADX reading
+            if (trend.method !== 'adx') {
+                parts.push(trend.direction === 'NEUTRAL'
+                    ? 'Moving averages show no clear trend yet (too little history for ADX).'
+                    : `Moving averages lean ${trend.direction.toLowerCase()}, though there is too little history for ADX to confirm it.`);
+            } else if (trend.direction === 'BULLISH' && trend.strength > 40) {
+                parts.push(`Trend momentum is firmly bullish (ADX ${trend.strength.toFixed(0)}), suggesting continuation bias.`);
+            } else if (trend.direction === 'BEARISH' && trend.strength > 40) {
+                parts.push(`Bearish trend is dominant (ADX ${trend.strength.toFixed(0)}) — caution warranted for long positions.`);
             } else {
-                parts.push(`Trend is weak (${trend.strength.toFixed(0)}% ${trend.direction.toLowerCase()}), indicating indecision among market participants.`);
+                parts.push(`Trend is weak (ADX ${trend.strength.toFixed(0)}, ${trend.direction.toLowerCase()}), indicating indecision among market participants.`);
+            }
+        }
+
+        // Statistical regime model
+        if (regimeModel) {
+            const label = regimeModel.regime.toLowerCase().replace('_', ' ');
+            const since = regimeModel.lastShift ? ` since shifting out of ${regimeModel.lastShift.from.toLowerCase().replace('_', ' ')} ${regimeModel.barsInRegime} bars ago` : '';
+            parts.push(`The regime model classifies the market as ${label} (${Math.round(regimeModel.confidence * 100)}% probability)${since}.`);
+        }
+
+        // Timeframe alignment
+        const alignment = mtf?.alignment;
+        if (alignment && alignment.timeframeCount >= 2) {
+            const frames = Object.entries(mtf.timeframes).map(([tf, f]) => `${tf} ${f.direction.toLowerCase()}`).join(', ');
+            if (alignment.aligned) {
+                parts.push(`All timeframes point the same way (${frames}), which adds weight to the ${alignment.direction.toLowerCase()} case.`);
+            } else {
+                parts.push(`Timeframes disagree (${frames}); the ${alignment.higherTimeframe.interval} chart is ${alignment.higherTimeframe.direction.toLowerCase()}, so lower-timeframe signals carry less weight.`);
             }
         }
 
@@ -189,6 +258,32 @@ function generateNarrative(priceData, technical, confluence, levels, risk) {
             parts.push(`Price is at the lower Bollinger Band — potential bounce zone if support holds.`);
         }
 
+        // Divergences between price and oscillators
+        if (divergence?.divergences.length > 0) {
+            const regular = divergence.divergences.filter(d => d.kind === 'regular');
+            const hidden = divergence.divergences.filter(d => d.kind === 'hidden');
+            if (regular.length > 0) {
+                const bullish = regular[0].type === 'bullish';
+                parts.push(`${regular.map(describeDivergence).join(' and ')} divergence${regular.length > 1 ? 's' : ''} detected — ${bullish ? 'selling momentum is fading into the lows, a classic early reversal sign' : 'price is making new highs on weakening momentum, often a precursor to a pullback'}.`);
+            }
+            if (hidden.length > 0) {
+                parts.push(`Hidden ${hidden.map(d => `${d.type} ${d.indicator}`).join(' and ')} divergence supports trend continuation.`);
+            }
+        }
+
+        // Chart / candlestick structure
+        const notable = (patterns?.patterns || []).filter(p => p.confidence >= 60).slice(0, 2);
+        for (const p of notable) {
+            const bias = p.direction === 'BULLISH' ? 'bullish' : p.direction === 'BEARISH' ? 'bearish' : 'indecisive';
+            if (p.confirmed) {
+                parts.push(`A ${bias} ${describePattern(p)} has confirmed with price through ${fmt(p.breakoutLevel)}.`);
+            } else if (p.direction === 'NEUTRAL') {
+                parts.push(`The latest candle is a ${describePattern(p)} — a break above ${fmt(p.breakoutLevel)} or below ${fmt(p.invalidationLevel)} should set the next leg.`);
+            } else {
+                parts.push(`A ${bias} ${describePattern(p)} is forming; it confirms on a ${p.direction === 'BULLISH' ? 'break above' : 'break below'} ${fmt(p.breakoutLevel)}${p.invalidationLevel ? ` and fails beyond ${fmt(p.invalidationLevel)}` : ''}.`);
+            }
+        }
+
         // Fear & Greed
         if (fearGreed !== undefined) {
             const fgLabel = fearGreed >= 75 ? 'Extreme Greed' : fearGreed >= 55 ? 'Greed' : fearGreed <= 25 ? 'Extreme Fear' : fearGreed <= 45 ? 'Fear' : 'Neutral';
@@ -208,17 +303,27 @@ function generateNarrative(priceData, technical, confluence, levels, risk) {
         if (levels.support > 0 && levels.resistance > 0) {
             const distToSupport = ((price - levels.support) / price * 100).toFixed(1);
             const distToResist = ((levels.resistance - price) / price * 100).toFixed(1);
-            parts.push(`Key support at $${formatUsd(levels.support)} (${distToSupport}% below), resistance at $${formatUsd(levels.resistance)} (${distToResist}% above).`);
+            parts.push(`Key support at ${fmt(levels.support)} (${distToSupport}% below), resistance at ${fmt(levels.resistance)} (${distToResist}% above).`);
+        }
+        if (levels.poc > 0) {
+            const where = price > levels.valueAreaHigh ? 'above the value area — acceptance up here or a rotation back to value'
+                : price < levels.valueAreaLow ? 'below the value area — watch for rejection back into value or continuation lower'
+                    : 'inside the value area, where two-sided trade dominates';
+            parts.push(`Volume profile: POC at ${fmt(levels.poc)}, value area ${fmt(levels.valueAreaLow)}–${fmt(levels.valueAreaHigh)}; price is ${where}.`);
+            if (levels.nakedPocs.length > 0) {
+                const nearest = levels.nakedPocs.reduce((a, b) => (Math.abs(b - price) < Math.abs(a - price) ? b : a));
+                parts.push(`An untested prior-session POC at ${fmt(nearest)} remains a magnet for price.`);
+            }
         }
         if (levels.fibonacci) {
-            parts.push(`Fibonacci levels: 38.2% at $${formatUsd(levels.fibonacci.level_38_2)}, 61.8% at $${formatUsd(levels.fibonacci.level_61_8)}.`);
+            parts.push(`Fibonacci levels: 38.2% at ${fmt(levels.fibonacci.level_38_2)}, 61.8% at ${fmt(levels.fibonacci.level_61_8)}.`);
         }
     }
 
     // 4. Risk assessment
     if (risk) {
         if (risk.riskRewardRatio > 2) {
-            parts.push(`Risk/reward ratio of ${risk.riskRewardRatio.toFixed(1)}:1 favors entry at current levels with a stop at $${formatUsd(risk.stopLoss)}.`);
+            parts.push(`Risk/reward ratio of ${risk.riskRewardRatio.toFixed(1)}:1 favors entry at current levels with a stop at ${fmt(risk.stopLoss)}.`);
         } else if (risk.riskRewardRatio < 1) {
             parts.push(`Risk/reward ratio of ${risk.riskRewardRatio.toFixed(1)}:1 is unfavorable — wait for a better entry or tighter stop placement.`);
         }
@@ -245,12 +350,9 @@ function generateNarrative(priceData, technical, confluence, levels, risk) {
     return parts.join(' ');
 }
 
-function formatUsd(n) {
-    if (!n || isNaN(n)) return '0.00';
-    if (n < 0.001) return n.toFixed(8);
-    if (n < 1) return n.toFixed(6);
-    if (n < 1000) return n.toFixed(4);
-    return n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+// Levels are computed in MON; show USD when the MON/USD reference rate is known
+function formatLevel(valueMon, monUsd) {
+    return formatAmount(convertPrice(mon(valueMon), 'USD', monUsd) || mon(valueMon));
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -258,7 +360,7 @@ function formatUsd(n) {
 // Uses modified Kelly Criterion + ATR-based stops
 // ═══════════════════════════════════════════════════════════════════
 
-function calculateRiskLevels(price, technical, confluence) {
+function calculateRiskLevels(price, technical, confluence, regime = null) {
     if (!technical || !price) return null;
 
     const atr = technical.atr || 0;
@@ -282,15 +384,18 @@ function calculateRiskLevels(price, technical, confluence) {
     // Kelly% = (W * R - L) / R where W = win%, L = loss%, R = avg win/loss ratio
     const winRate = confluence.strength > 60 ? 0.55 : 0.50;
     const kellyPct = Math.max(0, Math.min(0.25, (winRate * riskRewardRatio - (1 - winRate)) / riskRewardRatio));
-    // Half-Kelly for safety
-    const positionSizePct = +(kellyPct * 50).toFixed(1); // percentage of portfolio
+    // Half-Kelly for safety, scaled down in volatile / downtrending regimes
+    const regimeSizeFactor = +regimeAdjustment(regime, (adj) => adj?.sizing).toFixed(2);
+    const positionSizePct = +(kellyPct * 50 * regimeSizeFactor).toFixed(1); // percentage of portfolio
 
     return {
+        currency: 'MON',
         stopLoss: +stopLoss.toFixed(8),
         target1: +target1.toFixed(8),
         target2: +target2.toFixed(8),
         riskRewardRatio: +riskRewardRatio.toFixed(2),
         positionSizePct,
+        regimeSizeFactor,
         atr: +atr.toFixed(8),
         riskPerUnit: +risk.toFixed(8),
     };
@@ -300,10 +405,25 @@ function calculateRiskLevels(price, technical, confluence) {
 // TOKEN ANALYSIS ENGINE (Institutional Grade)
 // ═══════════════════════════════════════════════════════════════════
 
-const priceHistories = new Map();
-const volumeHistories = new Map();
+const candleHistories = new Map(); // tokenAddress (lowercase) -> OHLCV candles, oldest first
 const HISTORY_MAX = 200;
+const CHART_BARS = 100;                  // Bars of price/candle history sent with each result
+const HISTORY_CANDLE_INTERVAL = '15m'; // Matches ANALYSIS_INTERVAL spacing
+const BACKFILL_MIN_CANDLES = 30;         // Enough for RSI/MACD warm-up
+const BACKFILL_HOURS = 24;
 let analysisInterval = null;
+let priceUnsubscribe = null;
+let streamEngine = null;                // BarStream for the current token's block stream
+
+// Shift bar indices (pivots, candlestick index) from the full candle history onto the
+// last CHART_BARS bars sent to clients
+function toChartIndices(items, offset) {
+    return items.map(item => ({
+        ...item,
+        ...(item.pivots && { pivots: item.pivots.map(i => i - offset) }),
+        ...(item.index !== undefined && { index: item.index - offset }),
+    }));
+}
 
 async function analyzeToken(tokenAddress) {
     if (!tokenAddress) return null;
@@ -316,32 +436,70 @@ async function analyzeToken(tokenAddress) {
             return null;
         }
 
-        // Build price + volume history
-        if (!priceHistories.has(key)) priceHistories.set(key, []);
-        if (!volumeHistories.has(key)) volumeHistories.set(key, []);
+        // OHLCV history from the candle store (fetchPrice() records every clean tick into it);
+        // backfilled from on-chain swaps on first sight
+        if (!candleHistories.has(key)) {
+            let candles = getCandles(tokenAddress, HISTORY_CANDLE_INTERVAL, HISTORY_MAX);
+            if (candles.length < BACKFILL_MIN_CANDLES && priceData.pairAddress) {
+                const backfill = await backfillCandles(tokenAddress, { pairAddress: priceData.pairAddress, hours: BACKFILL_HOURS });
+                console.log(`[Analysis] Backfill ${tokenAddress.slice(0, 10)}...: ${backfill.error || `${backfill.trades} trades (${backfill.method})`}`);
+                candles = getCandles(tokenAddress, HISTORY_CANDLE_INTERVAL, HISTORY_MAX);
+            }
+            candleHistories.set(key, candles);
+        }
+
+        // Stale or spiking ticks would skew RSI/Bollinger for the whole lookback window
+        if (priceData.quarantined) {
+            console.log(`[Analysis] ${tokenAddress.slice(0, 10)}... tick quarantined (${quarantineReason(priceData)}), history unchanged`);
+        } else {
+            candleHistories.set(key, getCandles(tokenAddress, HISTORY_CANDLE_INTERVAL, HISTORY_MAX));
+        }
+
+        const candles = candleHistories.get(key);
+        const history = candles.map(c => c.close);
+        const chartOffset = Math.max(0, candles.length - CHART_BARS);
+        // Traded MON per bar only: backfilled bars carry it, live-only bars have none (0).
+        // The rolling 24h USD snapshot (volume24h) is a different unit and must not mix in.
+        const volHistory = candles.map(c => c.volume || 0);
 
-        const history = priceHistories.get(key);
-        const volHistory = volumeHistories.get(key);
-        history.push(priceData.price);
-        volHistory.push(priceData.volume || 0);
-        if (history.length > HISTORY_MAX) history.splice(0, history.length - HISTORY_MAX);
-        if (volHistory.length > HISTORY_MAX) volHistory.splice(0, volHistory.length - HISTORY_MAX);
+        // Per-token indicator params, weights and thresholds
+        const profile = getStrategyProfile(tokenAddress, 'analysis-engine');
 
         // Core technical analysis
         let technicalAnalysis = null;
         if (history.length >= 5) {
-            technicalAnalysis = generateFullAnalysis(history, volHistory);
+            technicalAnalysis = generateFullAnalysis(candles, volHistory, profile.indicators);
         }
 
+        // Statistical regime (HMM over bar returns)
+        const regime = detectRegime(candles);
+
+        // Same suite per candle timeframe, for higher-timeframe agreement
+        const mtf = generateMultiTimeframeAnalysis(
+            getMultiTimeframeCandles(tokenAddress, MTF_CONFIG.TIMEFRAMES, MTF_CONFIG.BARS),
+            { minBars: MTF_CONFIG.MIN_BARS, params: profile.indicators },
+        );
+
         // Extended analysis
         let supportResistance = null;
         let fibonacci = null;
         let volumeProfile = null;
+        let marketProfile = null;
         let obv = null;
+        let divergence = null;
+        let patterns = null;
+
+        if (history.length >= 30) {
+            divergence = detectDivergences(candles, volHistory, { params: profile.indicators });
+        }
+        if (history.length >= 20) {
+            patterns = detectPatterns(candles);
+        }
 
         if (history.length >= 20) {
             supportResistance = calculateSupportResistance(history, volHistory);
-            fibonacci = calculateFibonacciLevels(history);
+            fibonacci = calculateFibonacciLevels(candles);
+            marketProfile = calculateMarketProfile(candles, volHistory);
             if (volHistory.some(v => v > 0)) {
                 volumeProfile = calculateVolumeProfile(history, volHistory);
                 obv = calculateOBV(history, volHistory);
@@ -349,7 +507,7 @@ async function analyzeToken(tokenAddress) {
         }
 
         // Multi-agent confluence
-        const confluence = computeConfluenceScore();
+        const confluence = computeConfluenceScore(regime);
 
         // Combined signal: 60% own analysis + 40% agent consensus
         let signalType = 'HOLD';
@@ -358,68 +516,78 @@ async function analyzeToken(tokenAddress) {
 
         if (technicalAnalysis) {
             const { rsi, macd, trend, bollinger, stochasticRSI, ichimoku } = technicalAnalysis;
+            const { weights: w, thresholds: t } = profile;
             let buyScore = 0, sellScore = 0;
 
             // RSI zones
-            if (rsi < 25) buyScore += 0.25;
-            else if (rsi < 35) buyScore += 0.12;
-            else if (rsi > 75) sellScore += 0.25;
-            else if (rsi > 65) sellScore += 0.12;
+            if (rsi < t.rsiExtremeLow) buyScore += w.rsiExtreme;
+            else if (rsi < t.rsiLow) buyScore += w.rsi;
+            else if (rsi > t.rsiExtremeHigh) sellScore += w.rsiExtreme;
+            else if (rsi > t.rsiHigh) sellScore += w.rsi;
 
             // MACD + histogram momentum
-            if (macd.histogram > 0 && macd.value > 0) buyScore += 0.15;
-            else if (macd.histogram < 0 && macd.value < 0) sellScore += 0.15;
+            if (macd.histogram > 0 && macd.value > 0) buyScore += w.macd;
+            else if (macd.histogram < 0 && macd.value < 0) sellScore += w.macd;
             // MACD histogram reversal detection
-            if (macd.histogram > 0 && macd.value < 0) buyScore += 0.08; // emerging bullish
-            else if (macd.histogram < 0 && macd.value > 0) sellScore += 0.08; // emerging bearish
+            if (macd.histogram > 0 && macd.value < 0) buyScore += w.macdReversal; // emerging bullish
+            else if (macd.histogram < 0 && macd.value > 0) sellScore += w.macdReversal; // emerging bearish
 
             // Bollinger position
-            if (bollinger.percentB < 5) buyScore += 0.15;
-            else if (bollinger.percentB < 15) buyScore += 0.08;
-            else if (bollinger.percentB > 95) sellScore += 0.15;
-            else if (bollinger.percentB > 85) sellScore += 0.08;
+            if (bollinger.percentB < t.bbExtremeLow) buyScore += w.bollingerExtreme;
+            else if (bollinger.percentB < t.bbLow) buyScore += w.bollinger;
+            else if (bollinger.percentB > t.bbExtremeHigh) sellScore += w.bollingerExtreme;
+            else if (bollinger.percentB > t.bbHigh) sellScore += w.bollinger;
 
             // Trend strength contribution
-            if (trend.direction === 'BULLISH') buyScore += 0.20 * (trend.strength / 100);
-            else if (trend.direction === 'BEARISH') sellScore += 0.20 * (trend.strength / 100);
+            if (trend.direction === 'BULLISH') buyScore += w.trend * (trend.strength / 100);
+            else if (trend.direction === 'BEARISH') sellScore += w.trend * (trend.strength / 100);
 
             // Ichimoku cloud
-            if (ichimoku.signal === 'STRONG_BULLISH') buyScore += 0.10;
-            else if (ichimoku.signal === 'BULLISH') buyScore += 0.05;
-            else if (ichimoku.signal === 'STRONG_BEARISH') sellScore += 0.10;
-            else if (ichimoku.signal === 'BEARISH') sellScore += 0.05;
+            if (ichimoku.signal === 'STRONG_BULLISH') buyScore += w.ichimokuStrong;
+            else if (ichimoku.signal === 'BULLISH') buyScore += w.ichimoku;
+            else if (ichimoku.signal === 'STRONG_BEARISH') sellScore += w.ichimokuStrong;
+            else if (ichimoku.signal === 'BEARISH') sellScore += w.ichimoku;
 
             // Stochastic RSI with smoothing
-            if (stochasticRSI.k < 20 && stochasticRSI.d < 20) buyScore += 0.10;
-            else if (stochasticRSI.k > 80 && stochasticRSI.d > 80) sellScore += 0.10;
+            if (stochasticRSI.k < t.stochLow && stochasticRSI.d < t.stochLow) buyScore += w.stochRSI;
+            else if (stochasticRSI.k > t.stochHigh && stochasticRSI.d > t.stochHigh) sellScore += w.stochRSI;
             // StochRSI crossover detection
-            if (stochasticRSI.k > stochasticRSI.d && stochasticRSI.k < 30) buyScore += 0.05;
-            else if (stochasticRSI.k < stochasticRSI.d && stochasticRSI.k > 70) sellScore += 0.05;
+            if (stochasticRSI.k > stochasticRSI.d && stochasticRSI.k < t.stochCrossLow) buyScore += w.stochCross;
+            else if (stochasticRSI.k < stochasticRSI.d && stochasticRSI.k > t.stochCrossHigh) sellScore += w.stochCross;
 
             ownScore = buyScore - sellScore; // range roughly -1 to 1
+
+            // Scale by higher-timeframe agreement (x0.6 when all timeframes oppose, x1.2 when aligned)
+            ownScore *= alignmentFactor(mtf.alignment, ownScore > 0 ? 'BUY' : ownScore < 0 ? 'SELL' : 'HOLD');
         }
 
-        // Merge own analysis (60%) with agent confluence (40%)
+        // Merge own analysis (profile ownShare, 60% by default) with agent confluence
         const agentScore = confluence.normalizedScore || 0;
-        const mergedScore = (ownScore * 0.6) + (agentScore * 0.4);
+        const mergedScore = (ownScore * profile.ownShare) + (agentScore * (1 - profile.ownShare));
+        const threshold = profile.thresholds.signalScore;
 
-        if (mergedScore > 0.10) { signalType = 'BUY'; confidence = Math.min(95, 50 + mergedScore * 120); }
-        else if (mergedScore < -0.10) { signalType = 'SELL'; confidence = Math.min(95, 50 + Math.abs(mergedScore) * 120); }
+        if (mergedScore > threshold) { signalType = 'BUY'; confidence = Math.min(95, 50 + mergedScore * 120); }
+        else if (mergedScore < -threshold) { signalType = 'SELL'; confidence = Math.min(95, 50 + Math.abs(mergedScore) * 120); }
         else { signalType = 'HOLD'; confidence = 50 - Math.abs(mergedScore) * 80; }
         confidence = Math.max(25, Math.round(confidence));
 
         // Key levels
         const levels = {
+            currency: 'MON',
             support: supportResistance?.support || 0,
             resistance: supportResistance?.resistance || 0,
             fibonacci: fibonacci || null,
+            poc: marketProfile?.poc || 0,
+            valueAreaHigh: marketProfile?.vah || 0,
+            valueAreaLow: marketProfile?.val || 0,
+            nakedPocs: marketProfile?.nakedPocs.map(p => p.price) || [],
         };
 
         // Risk levels
-        const risk = calculateRiskLevels(priceData.price, { ...technicalAnalysis, supportResistance, atr: technicalAnalysis?.atr }, confluence);
+        const risk = calculateRiskLevels(priceData.price, { ...technicalAnalysis, supportResistance, atr: technicalAnalysis?.atr }, confluence, regime);
 
         // Professional narrative
-        const narrative = generateNarrative(priceData, technicalAnalysis, confluence, levels, risk);
+        const narrative = generateNarrative(priceData, technicalAnalysis, confluence, levels, risk, divergence, patterns, mtf, regime);
 
         const result = {
             tokenAddress,
@@ -428,10 +596,15 @@ async function analyzeToken(tokenAddress) {
             timestamp: Date.now(),
             agentName: 'Duckmon Intelligence Engine v3.0',
 
-            // Price data
+            // Price data (price, priceHistory, levels and risk are MON per token)
             price: priceData.price,
             priceUsd: priceData.priceUsd || 0,
             priceNative: priceData.priceNative || 0,
+            currency: 'MON',
+            monUsd: priceData.monUsd || null,
+            prices: priceData.prices || { MON: mon(priceData.price), USD: null },
+            quality: priceData.quality || null,
+            quarantined: !!priceData.quarantined,
             priceChange24h: priceData.priceChange24h || 0,
             priceChange1h: priceData.priceChange1h || 0,
             priceChange5m: priceData.priceChange5m || 0,
@@ -445,12 +618,28 @@ async function analyzeToken(tokenAddress) {
 
             // Technical indicators (raw for charts)
             technical: technicalAnalysis,
-            priceHistory: history.slice(-100),
+            priceHistory: history.slice(-CHART_BARS),
+            candles: candles.slice(-CHART_BARS),
 
             // Advanced analysis
             supportResistance,
             fibonacci,
             volumeProfile,
+            marketProfile,
+            // Pivot indices refer to the emitted `candles` (the last CHART_BARS bars)
+            divergence: divergence && { ...divergence, divergences: toChartIndices(divergence.divergences, chartOffset) },
+            patterns: patterns && { ...patterns, patterns: toChartIndices(patterns.patterns, chartOffset) },
+            regime,
+            mtf: {
+                alignment: mtf.alignment,
+                timeframes: Object.fromEntries(Object.entries(mtf.timeframes).map(([tf, f]) => [tf, {
+                    direction: f.direction,
+                    bias: f.bias,
+                    bars: f.bars,
+                    rsi: f.analysis.rsi,
+                    trend: f.analysis.trend,
+                }])),
+            },
 
             // Multi-agent confluence
             confluence,
@@ -483,17 +672,34 @@ function startAnalysisLoop(tokenAddress) {
         clearInterval(analysisInterval);
         analysisInterval = null;
     }
+    if (priceUnsubscribe) {
+        priceUnsubscribe();
+        priceUnsubscribe = null;
+    }
 
     if (!tokenAddress) return;
+    saveStream(); // Keep the previous token's indicator state
     state.currentToken = tokenAddress;
 
+    // Block-driven price stream between full analysis cycles. Indicators advance per closed
+    // STREAM_CONFIG.BAR_INTERVAL bar; each block only previews the open bar.
+    streamEngine = loadStream(tokenAddress);
+    priceUnsubscribe = subscribe(tokenAddress, (update) => {
+        if (!update.quarantined) {
+            const barsBefore = streamEngine.engine.count;
+            update.indicators = streamEngine.update({ price: update.price, timestamp: update.timestamp });
+            if (streamEngine.engine.count !== barsBefore) saveStream();
+        }
+        io.emit('price:update', update);
+    });
+
     console.log(`[Analysis] Starting analysis loop for ${tokenAddress.slice(0, 10)}... (every ${ANALYSIS_INTERVAL / 60000}min)`);
 
     const runAndBroadcast = async () => {
         const result = await analyzeToken(tokenAddress);
         if (result) {
             io.emit('analysis:result', result);
-            console.log(`[Analysis] ${result.tokenSymbol} = $${formatUsd(result.priceUsd || result.price)} | ${result.type} (${result.confidence}%) | ${result.confluence.agentCount} agents | R/R: ${result.risk?.riskRewardRatio || 'N/A'}`);
+            console.log(`[Analysis] ${result.tokenSymbol} = ${formatLevel(result.price, result.monUsd)} | ${result.type} (${result.confidence}%) | ${result.confluence.agentCount} agents | R/R: ${result.risk?.riskRewardRatio || 'N/A'}`);
         }
     };
 
@@ -501,6 +707,52 @@ function startAnalysisLoop(tokenAddress) {
     analysisInterval = setInterval(runAndBroadcast, ANALYSIS_INTERVAL);
 }
 
+function streamStateFile(tokenAddress) {
+    return path.join(STREAM_CONFIG.STATE_DIR, `${tokenAddress.toLowerCase()}-${STREAM_CONFIG.BAR_INTERVAL}.json`);
+}
+
+// Saved indicator state when there is one, caught up on the bars stored since it was written
+function loadStream(tokenAddress) {
+    const intervalMs = CANDLE_INTERVALS[STREAM_CONFIG.BAR_INTERVAL];
+    let stream = null;
+    try {
+        const saved = JSON.parse(fs.readFileSync(streamStateFile(tokenAddress), 'utf8'));
+        if (saved.intervalMs === intervalMs) stream = BarStream.fromJSON(saved);
+    } catch { /* no saved state: warm up from stored bars */ }
+    return (stream || new BarStream(intervalMs)).seed(getCandles(tokenAddress, STREAM_CONFIG.BAR_INTERVAL, HISTORY_MAX));
+}
+
+function saveStream() {
+    if (!streamEngine || !state.currentToken) return;
+    try {
+        const file = streamStateFile(state.currentToken);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(streamEngine));
+        fs.renameSync(tmp, file);
+    } catch (error) {
+        console.log(`[Stream] Saving indicator state failed: ${error.message}`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// WATCHLIST (relative strength across tokens)
+// ═══════════════════════════════════════════════════════════════════
+
+function watchlistTokens() {
+    return state.currentToken ? [...WATCHLIST_CONFIG.TOKENS, state.currentToken] : WATCHLIST_CONFIG.TOKENS;
+}
+
+// The current token is already quoted by its block stream; the rest need their own ticks
+function startWatchlistRefresh() {
+    const refresh = () => refreshWatchlist(
+        watchlistTokens().filter(t => t.toLowerCase() !== state.currentToken?.toLowerCase()),
+    ).catch(error => console.error(`[Watchlist] Refresh failed: ${error.message}`));
+
+    refresh();
+    setInterval(refresh, WATCHLIST_CONFIG.REFRESH_INTERVAL);
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // SOCKET.IO CONNECTIONS
 // ═══════════════════════════════════════════════════════════════════
@@ -561,7 +813,8 @@ app.post('/api/agent/heartbeat', (req, res) => {
 
 // Agent Signal — UPGRADED: now also stores per-agent for confluence
 app.post('/api/signal', (req, res) => {
-    const data = req.body;
+    // Agent prices are MON per token unless the agent says otherwise
+    const data = { currency: 'MON', ...req.body };
     if (!data.agentName) return res.status(400).json({ error: 'agentName required' });
 
     addToList(state.signals, data);
@@ -614,7 +867,7 @@ app.get('/api/state', (_req, res) => {
         uptime: Date.now() - state.startTime,
         agents: agentList,
         currentToken: state.currentToken,
-        confluence: computeConfluenceScore(),
+        confluence: computeConfluenceScore(state.analysisResults[state.currentToken?.toLowerCase()]?.regime),
         totalSignals: state.signals.length,
         totalAlerts: state.whaleAlerts.length,
         totalLaunches: state.tokenLaunches.length,
@@ -624,6 +877,15 @@ app.get('/api/state', (_req, res) => {
     });
 });
 
+// Watchlist ranked by relative strength, with each token's correlation to the others
+app.get('/api/watchlist', (_req, res) => {
+    const watchlist = rankWatchlist(watchlistTokens());
+    for (const row of watchlist.ranked) {
+        row.symbol = row.symbol || state.analysisResults[row.token.toLowerCase()]?.tokenSymbol || null;
+    }
+    res.json(watchlist);
+});
+
 app.get('/health', (_req, res) => {
     res.json({
         status: 'ok',
@@ -632,6 +894,7 @@ app.get('/health', (_req, res) => {
         connections: io.engine.clientsCount,
         currentToken: state.currentToken,
         confluenceAgents: Object.keys(state.agentSignals).length,
+        priceStream: getStreamStatus(),
     });
 });
 
@@ -669,10 +932,12 @@ server.listen(PORT, () => {
     console.log(`    POST /api/whale/alert         – Whale Observer posts alerts`);
     console.log(`    POST /api/agent/heartbeat     – Agent heartbeat`);
     console.log(`     GET /api/state               – Get current state + confluence`);
+    console.log(`     GET /api/watchlist           – Tokens ranked by relative strength`);
     console.log('');
     console.log('  WebSocket Events (Frontend):');
     console.log(`    emit  token:analyze          – Request analysis for a token`);
     console.log(`    on    analysis:result         – Institutional-grade analysis`);
+    console.log(`    on    price:update            – Block-driven price stream`);
     console.log(`    on    signal                  – Individual agent signals`);
     console.log(`    on    whale:alert             – Whale alerts`);
     console.log(`    on    gas:update              – Gas updates`);
@@ -680,4 +945,16 @@ server.listen(PORT, () => {
     console.log('');
     console.log(sep);
     console.log('');
+    startWatchlistRefresh();
 });
+
+// Graceful shutdown: stop the block stream and save its indicator state, then exit through
+// process.exit so the candle store's exit hook writes open bars
+function shutdown(signal) {
+    console.log(`\n  ${signal} received — shutting down`);
+    if (priceUnsubscribe) priceUnsubscribe();
+    saveStream();
+    io.close();
+}
+
+exitOnSignals(shutdown);